@@ -11,12 +11,12 @@ pragma solidity ^0.8.20;
 contract MoltOracleAttestation {
     
     struct Attestation {
-        bytes32 dataHash;       // keccak256(asset, price, sources, timestamp)
+        bytes32 dataHash;       // keccak256(abi.encode(version, asset, quote, price, sources, confidence, divergence, timestamp))
         uint256 timestamp;      // block.timestamp when attested
         uint8 sourceCount;      // number of sources that agreed
         uint8 confidence;       // 0-100 confidence score
-        string asset;           // e.g. "BTC", "ETH"
-        uint256 price;          // price in USD with 8 decimals (e.g. 6738900000000 = $67,389.00)
+        string asset;           // e.g. "BTC", "ETH", or "BTC/EUR" for a price in another quote currency
+        uint256 price;          // price in USD (or the pair's quote) with 8 decimals (e.g. 6738900000000 = $67,389.00)
         int16 maxDivergenceBps; // max divergence between sources in basis points
     }
 
@@ -0,0 +1,35 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title MockAggregatorV3
+ * @notice Minimal Chainlink AggregatorV3 stand-in for local tests.
+ */
+contract MockAggregatorV3 {
+    uint8 public decimals;
+
+    uint80 private roundId;
+    int256 private answer;
+    uint256 private updatedAt;
+
+    constructor(uint8 _decimals, int256 _answer) {
+        decimals = _decimals;
+        setAnswer(_answer);
+    }
+
+    function setAnswer(int256 _answer) public {
+        roundId++;
+        answer = _answer;
+        updatedAt = block.timestamp;
+    }
+
+    function setUpdatedAt(uint256 _updatedAt) external {
+        updatedAt = _updatedAt;
+    }
+
+    function latestRoundData() external view returns (
+        uint80, int256, uint256, uint256, uint80
+    ) {
+        return (roundId, answer, updatedAt, updatedAt, roundId);
+    }
+}
@@ -0,0 +1,400 @@
+/**
+ * MoltOracle — Alerts
+ * Agent-registered conditions checked on every snapshot refresh, delivered
+ * as HMAC-signed webhooks with retries and a per-alert delivery log.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
+const crypto = require('crypto');
+
+const MAX_MOVE_WINDOW = 86400;
+const DELIVERY_LOG_SIZE = 50;
+
+// --- Conditions ---
+// price:      { type: 'price', asset, above?, below? }
+// move:       { type: 'move', asset, pct, windowSec }           — |move| over the window
+// divergence: { type: 'divergence', asset: 'BTC' | '*', aboveBps }
+// depeg:      { type: 'depeg', asset, bps, peg = 1 }
+// fearGreed:  { type: 'fearGreed', crosses, direction: 'above' | 'below' | 'any' }
+
+const isNum = (n) => typeof n === 'number' && Number.isFinite(n);
+const isTicker = (a) => typeof a === 'string' && /^[A-Z0-9]{1,15}$/.test(a);
+
+function parseCondition(c) {
+  if (!c || typeof c !== 'object') throw new Error('condition must be an object');
+  const asset = typeof c.asset === 'string' ? c.asset.toUpperCase() : c.asset;
+
+  switch (c.type) {
+    case 'price':
+      if (!isTicker(asset)) throw new Error('price: asset must be a ticker');
+      if (!isNum(c.above) && !isNum(c.below)) throw new Error('price: set above and/or below');
+      return { type: 'price', asset, above: c.above, below: c.below };
+    case 'move':
+      if (!isTicker(asset)) throw new Error('move: asset must be a ticker');
+      if (!isNum(c.pct) || c.pct <= 0) throw new Error('move: pct must be > 0');
+      if (!Number.isInteger(c.windowSec) || c.windowSec < 60 || c.windowSec > MAX_MOVE_WINDOW) throw new Error('move: windowSec must be 60..86400');
+      return { type: 'move', asset, pct: c.pct, windowSec: c.windowSec };
+    case 'divergence':
+      if (asset !== '*' && !isTicker(asset)) throw new Error('divergence: asset must be a ticker or "*"');
+      if (!isNum(c.aboveBps) || c.aboveBps < 0) throw new Error('divergence: aboveBps must be >= 0');
+      return { type: 'divergence', asset, aboveBps: c.aboveBps };
+    case 'depeg':
+      if (!isTicker(asset)) throw new Error('depeg: asset must be a ticker');
+      if (!isNum(c.bps) || c.bps <= 0) throw new Error('depeg: bps must be > 0');
+      if (c.peg !== undefined && (!isNum(c.peg) || c.peg <= 0)) throw new Error('depeg: peg must be > 0');
+      return { type: 'depeg', asset, bps: c.bps, peg: c.peg || 1 };
+    case 'fearGreed':
+      if (!isNum(c.crosses) || c.crosses < 0 || c.crosses > 100) throw new Error('fearGreed: crosses must be 0..100');
+      if (c.direction !== undefined && !['above', 'below', 'any'].includes(c.direction)) throw new Error('fearGreed: direction must be above, below or any');
+      return { type: 'fearGreed', crosses: c.crosses, direction: c.direction || 'any' };
+    default:
+      throw new Error('condition.type must be one of price, move, divergence, depeg, fearGreed');
+  }
+}
+
+// --- Webhook delivery ---
+
+// IANA special-purpose IPv4 blocks: none of them is a public unicast host
+const SPECIAL_IPV4 = [
+  ['0.0.0.0', 8], // "this network"
+  ['10.0.0.0', 8], // private
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8], // loopback
+  ['169.254.0.0', 16], // link-local
+  ['172.16.0.0', 12], // private
+  ['192.0.0.0', 24], // IETF protocol assignments
+  ['192.0.2.0', 24], // documentation
+  ['192.31.196.0', 24], // AS112
+  ['192.52.193.0', 24], // AMT
+  ['192.88.99.0', 24], // 6to4 relay anycast
+  ['192.168.0.0', 16], // private
+  ['192.175.48.0', 24], // AS112
+  ['198.18.0.0', 15], // benchmarking
+  ['198.51.100.0', 24], // documentation
+  ['203.0.113.0', 24], // documentation
+  ['224.0.0.0', 4], // multicast
+  ['240.0.0.0', 4] // reserved, broadcast
+];
+// IPv6 hosts are public only inside global unicast (2000::/3), minus these blocks
+const SPECIAL_IPV6 = [
+  ['2001::', 23], // IETF protocol assignments (Teredo, benchmarking, ORCHID, ...)
+  ['2001:db8::', 32], // documentation
+  ['2002::', 16], // 6to4, which embeds an IPv4 address
+  ['3fff::', 20] // documentation
+];
+
+const specialRanges = new net.BlockList();
+for (const [address, prefix] of SPECIAL_IPV4) specialRanges.addSubnet(address, prefix, 'ipv4');
+for (const [address, prefix] of SPECIAL_IPV6) specialRanges.addSubnet(address, prefix, 'ipv6');
+const globalUnicast = new net.BlockList();
+globalUnicast.addSubnet('2000::', 3, 'ipv6');
+
+// True for anything but a public unicast address (private, loopback, multicast, reserved, ...)
+function isPrivateAddress(ip) {
+  if (net.isIPv4(ip)) return specialRanges.check(ip, 'ipv4');
+  if (!net.isIPv6(ip)) return true;
+  const lower = ip.toLowerCase();
+  // IPv4-mapped, dotted (::ffff:10.0.0.1) or as URLs normalize it (::ffff:a00:1)
+  const dotted = lower.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (dotted) return isPrivateAddress(dotted[1]);
+  const hex = lower.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+  if (hex) return isPrivateAddress([hex[1], hex[2]].map(h => parseInt(h, 16)).flatMap(n => [n >> 8, n & 255]).join('.'));
+  return !globalUnicast.check(lower, 'ipv6') || specialRanges.check(lower, 'ipv6');
+}
+
+function signPayload(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * POST a signed JSON payload. Resolves with the HTTP status; rejects on
+ * network errors, timeouts, non-2xx responses and private targets.
+ * The host is resolved once and the connection pinned to the address that
+ * was checked, so a DNS answer that changes between check and connect
+ * (rebinding) cannot reach a private address. lookup(hostname) resolves to
+ * [{ address, family }], like dns.promises.lookup with all: true.
+ */
+async function postWebhook(url, secret, payload, { allowPrivate = false, timeoutMs = 10000, lookup = (host) => dns.promises.lookup(host, { all: true }) } = {}) {
+  const target = new URL(url);
+  const addresses = await lookup(target.hostname.replace(/^\[|\]$/g, ''));
+  if (!addresses.length) throw new Error(`No address for ${target.hostname}`);
+  if (!allowPrivate) {
+    const blocked = addresses.find(a => isPrivateAddress(a.address));
+    if (blocked) throw new Error(`Refusing to deliver to private address ${blocked.address}`);
+  }
+  const { address, family } = addresses[0];
+  const pinned = (hostname, options, callback) => {
+    if (options.all) callback(null, [{ address, family }]);
+    else callback(null, address, family);
+  };
+
+  const body = JSON.stringify(payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const mod = target.protocol === 'https:' ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const req = mod.request(target, {
+      method: 'POST',
+      timeout: timeoutMs,
+      lookup: pinned,
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        'User-Agent': 'MoltOracle/1.0',
+        'X-MoltOracle-Timestamp': String(timestamp),
+        'X-MoltOracle-Signature': signPayload(secret, timestamp, body)
+      }
+    }, (res) => {
+      res.resume();
+      res.on('end', () => {
+        if (res.statusCode >= 200 && res.statusCode < 300) resolve(res.statusCode);
+        else reject(new Error(`HTTP ${res.statusCode}`));
+      });
+    });
+    req.on('timeout', () => req.destroy(new Error('Timeout')));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Create the alert manager. Alerts persist to `file`; delivery logs are in memory.
+ * deliver(url, secret, payload) is injectable for tests.
+ */
+function createAlertManager({
+  file = null,
+  deliver = null,
+  isKnownAsset = () => true,
+  allowPrivate = false,
+  maxAlerts = 1000,
+  maxPerOwner = 20,
+  maxAttempts = 5,
+  baseDelayMs = 1000
+} = {}) {
+  const send = deliver || ((url, secret, payload) => postWebhook(url, secret, payload, { allowPrivate }));
+  const alerts = new Map(); // id → { id, url, secret, condition, owner, createdAt }
+  const logs = new Map(); // id → recent deliveries
+  const active = new Set(); // "alertId:asset" currently true (edge-triggered)
+  const samples = new Map(); // asset → [{ timestamp, price }] for move windows
+  let lastFearGreed = null;
+  const pending = new Set();
+
+  if (file && fs.existsSync(file)) {
+    for (const alert of JSON.parse(fs.readFileSync(file, 'utf8'))) alerts.set(alert.id, alert);
+  }
+
+  function save() {
+    if (!file) return;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify([...alerts.values()], null, 2), { mode: 0o600 });
+  }
+
+  function publicView(alert) {
+    const { secret, owner, ...rest } = alert;
+    return rest;
+  }
+
+  function register({ url, condition }, owner) {
+    let target;
+    try { target = new URL(url); } catch (e) { throw new Error('url must be an absolute http(s) URL'); }
+    if (!['http:', 'https:'].includes(target.protocol)) throw new Error('url must be an absolute http(s) URL');
+    const literal = target.hostname.replace(/^\[|\]$/g, '');
+    if (!allowPrivate && (target.hostname === 'localhost' || (net.isIP(literal) && isPrivateAddress(literal)))) {
+      throw new Error('url must not point to a private address');
+    }
+    const parsed = parseCondition(condition);
+    if (parsed.asset && parsed.asset !== '*' && !isKnownAsset(parsed.asset)) throw new Error(`Unknown asset ${parsed.asset}`);
+    if (alerts.size >= maxAlerts) throw new Error('Alert capacity reached');
+    if ([...alerts.values()].filter(a => a.owner === owner).length >= maxPerOwner) throw new Error(`At most ${maxPerOwner} alerts per client`);
+
+    const alert = {
+      id: crypto.randomUUID(),
+      url: target.toString(),
+      secret: crypto.randomBytes(32).toString('hex'),
+      condition: parsed,
+      owner,
+      createdAt: new Date().toISOString()
+    };
+    alerts.set(alert.id, alert);
+    save();
+    return { ...publicView(alert), secret: alert.secret };
+  }
+
+  // Management calls authenticate with the alert's secret
+  function authorize(id, secret) {
+    const alert = alerts.get(id);
+    if (!alert || typeof secret !== 'string' || secret.length !== alert.secret.length) return null;
+    return crypto.timingSafeEqual(Buffer.from(secret), Buffer.from(alert.secret)) ? alert : null;
+  }
+
+  function get(id, secret) {
+    const alert = authorize(id, secret);
+    return alert ? { ...publicView(alert), deliveries: logs.get(id) || [] } : null;
+  }
+
+  function remove(id, secret) {
+    if (!authorize(id, secret)) return false;
+    alerts.delete(id);
+    logs.delete(id);
+    for (const key of [...active]) if (key.startsWith(`${id}:`)) active.delete(key);
+    save();
+    return true;
+  }
+
+  function logDelivery(alertId, entry) {
+    if (!logs.has(alertId)) logs.set(alertId, []);
+    const log = logs.get(alertId);
+    log.unshift(entry);
+    if (log.length > DELIVERY_LOG_SIZE) log.pop();
+  }
+
+  // Retry with exponential backoff and jitter; every attempt lands in the log entry
+  async function dispatch(alert, payload) {
+    const entry = { id: payload.id, event: payload.event, status: 'pending', attempts: 0, lastError: null, createdAt: new Date().toISOString(), deliveredAt: null };
+    logDelivery(alert.id, entry);
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      entry.attempts = attempt;
+      try {
+        await send(alert.url, alert.secret, payload);
+        entry.status = 'delivered';
+        entry.deliveredAt = new Date().toISOString();
+        return entry;
+      } catch (e) {
+        entry.lastError = e.message;
+        if (attempt < maxAttempts) await sleep(baseDelayMs * 2 ** (attempt - 1) + Math.random() * baseDelayMs);
+      }
+    }
+    entry.status = 'failed';
+    return entry;
+  }
+
+  function fire(alert, asset, data, timestamp) {
+    const payload = {
+      id: crypto.randomUUID(),
+      alertId: alert.id,
+      event: alert.condition.type,
+      condition: alert.condition,
+      asset,
+      data,
+      timestamp
+    };
+    const job = dispatch(alert, payload).finally(() => pending.delete(job));
+    pending.add(job);
+    return payload;
+  }
+
+  // Edge trigger: fire when a condition becomes true, re-arm once it is false again
+  function edge(alert, asset, isTrue) {
+    const key = `${alert.id}:${asset}`;
+    if (!isTrue) { active.delete(key); return false; }
+    if (active.has(key)) return false;
+    active.add(key);
+    return true;
+  }
+
+  function recordSamples(snapshot) {
+    for (const [asset, info] of Object.entries(snapshot.prices || {})) {
+      if (!samples.has(asset)) samples.set(asset, []);
+      const list = samples.get(asset);
+      list.push({ timestamp: snapshot.timestamp, price: info.price });
+      while (list.length && list[0].timestamp < snapshot.timestamp - MAX_MOVE_WINDOW) list.shift();
+    }
+  }
+
+  function check(alert, snapshot) {
+    const c = alert.condition;
+    const fired = [];
+    const priceOf = (asset) => snapshot.prices && snapshot.prices[asset];
+    const snapshotData = (info) => ({ price: info.price, confidence: info.confidence, divergenceBps: info.divergenceBps, sources: info.sources });
+
+    if (c.type === 'price') {
+      const info = priceOf(c.asset);
+      if (!info) return fired;
+      const hit = (isNum(c.above) && info.price > c.above) || (isNum(c.below) && info.price < c.below);
+      if (edge(alert, c.asset, hit)) fired.push(fire(alert, c.asset, snapshotData(info), snapshot.timestamp));
+    } else if (c.type === 'move') {
+      const info = priceOf(c.asset);
+      const window = (samples.get(c.asset) || []).filter(s => s.timestamp >= snapshot.timestamp - c.windowSec);
+      if (!info || window.length < 2) return fired;
+      let reference = window[0].price;
+      for (const s of window) {
+        if (Math.abs(info.price - s.price) / s.price > Math.abs(info.price - reference) / reference) reference = s.price;
+      }
+      const movePct = (info.price - reference) / reference * 100;
+      if (edge(alert, c.asset, Math.abs(movePct) > c.pct)) {
+        fired.push(fire(alert, c.asset, { ...snapshotData(info), reference, movePct: Math.round(movePct * 100) / 100, windowSec: c.windowSec }, snapshot.timestamp));
+      }
+    } else if (c.type === 'divergence') {
+      const assets = c.asset === '*' ? Object.keys(snapshot.prices || {}) : [c.asset];
+      for (const asset of assets) {
+        const info = priceOf(asset);
+        if (!info) continue;
+        if (edge(alert, asset, info.divergenceBps > c.aboveBps)) {
+          fired.push(fire(alert, asset, { ...snapshotData(info), prices: info.prices, reasons: info.reasons, warning: info.warning }, snapshot.timestamp));
+        }
+      }
+    } else if (c.type === 'depeg') {
+      const info = priceOf(c.asset);
+      if (!info) return fired;
+      const deviationBps = Math.round((info.price - c.peg) / c.peg * 10000);
+      if (edge(alert, c.asset, Math.abs(deviationBps) > c.bps)) {
+        fired.push(fire(alert, c.asset, { ...snapshotData(info), peg: c.peg, deviationBps }, snapshot.timestamp));
+      }
+    } else if (c.type === 'fearGreed') {
+      const fg = snapshot.fearGreed;
+      if (!fg || lastFearGreed === null) return fired;
+      const down = lastFearGreed >= c.crosses && fg.value < c.crosses;
+      const up = lastFearGreed <= c.crosses && fg.value > c.crosses;
+      const hit = (c.direction !== 'above' && down) || (c.direction !== 'below' && up);
+      if (hit) fired.push(fire(alert, null, { value: fg.value, previous: lastFearGreed, label: fg.label }, snapshot.timestamp));
+    }
+    return fired;
+  }
+
+  /**
+   * Check every alert against a fresh snapshot. Returns the fired payloads;
+   * deliveries continue in the background.
+   */
+  function evaluate(snapshot) {
+    recordSamples(snapshot);
+    const fired = [];
+    for (const alert of alerts.values()) fired.push(...check(alert, snapshot));
+    if (snapshot.fearGreed) lastFearGreed = snapshot.fearGreed.value;
+    return fired;
+  }
+
+  // Wait for in-flight deliveries (tests, shutdown)
+  async function drain() {
+    while (pending.size) await Promise.allSettled([...pending]);
+  }
+
+  function count() {
+    return alerts.size;
+  }
+
+  // Tickers named by alerts, so refreshes can include untracked ones (e.g. USDC)
+  function assets() {
+    const tickers = new Set();
+    for (const { condition } of alerts.values()) {
+      if (condition.asset && condition.asset !== '*') tickers.add(condition.asset);
+    }
+    return [...tickers];
+  }
+
+  return { register, get, remove, evaluate, drain, count, assets };
+}
+
+module.exports = {
+  parseCondition,
+  signPayload,
+  postWebhook,
+  isPrivateAddress,
+  createAlertManager
+};
@@ -0,0 +1,119 @@
+/**
+ * MoltOracle — Anomaly Detection
+ * Screens each source's reading against that source's own recent history
+ * before aggregation, so a wick every source reports still gets caught:
+ *   ZSCORE_OUTLIER     the return is far outside the source's recent returns
+ *   MAX_MOVE_EXCEEDED  the price moved more than maxMoveBps within maxMoveIntervalSec
+ *   FROZEN_VALUE       the source has returned the identical price for frozenSec
+ * Flagged readings are quarantined. A move that persists for `confirmations`
+ * consecutive readings is accepted as the new level; a wick that reverts is not.
+ */
+
+const DEFAULTS = {
+  window: 60,              // recent returns kept per source and asset
+  minSamples: 10,          // returns needed before z-scores apply
+  zThreshold: 8,
+  minZMoveBps: 100,        // moves under 1% are never z-score outliers
+  maxMoveBps: 1000,        // 10% ...
+  maxMoveIntervalSec: 300, // ... within 5 minutes
+  frozenSec: 1800,
+  confirmations: 2,        // readings at a new level before it is believed
+  confirmBps: 100          // how close a follow-up must be to count as a confirmation
+};
+
+const bpsBetween = (a, b) => Math.round(Math.abs(a / b - 1) * 10000);
+
+function zScore(value, samples) {
+  const mean = samples.reduce((a, b) => a + b, 0) / samples.length;
+  const variance = samples.reduce((sum, x) => sum + (x - mean) ** 2, 0) / samples.length;
+  return (value - mean) / Math.max(Math.sqrt(variance), 1e-6);
+}
+
+/**
+ * Create a detector. options override DEFAULTS; exemptFrozen(asset) skips the
+ * frozen check (e.g. for stablecoins, which legitimately sit at one price).
+ * Readings that carry their own updatedAt (on-chain feeds) are never frozen:
+ * their staleness is judged from updatedAt instead.
+ */
+function createAnomalyDetector({ exemptFrozen = () => false, ...options } = {}) {
+  const opts = { ...DEFAULTS, ...options };
+  const series = new Map(); // "source:asset" → { price, timestamp, returns, unchangedSince, pending }
+
+  function accept(s, price, now) {
+    if (price !== s.price) {
+      s.returns.push(Math.log(price / s.price));
+      if (s.returns.length > opts.window) s.returns.shift();
+      s.unchangedSince = now;
+    }
+    s.price = price;
+    s.timestamp = now;
+    s.pending = null;
+  }
+
+  // Reason codes for one reading (empty = accepted); updates the source's history
+  function check(asset, reading, now) {
+    const key = `${reading.source}:${asset}`;
+    const { price, source } = reading;
+    if (!(typeof price === 'number' && price > 0)) return []; // left for aggregation to discard
+    const s = series.get(key);
+    if (!s) {
+      series.set(key, { price, timestamp: now, returns: [], unchangedSince: now, pending: null });
+      return [];
+    }
+
+    const reasons = [];
+    const intervalSec = Math.max(now - s.timestamp, 1);
+    const moveBps = bpsBetween(price, s.price);
+
+    if (price === s.price && reading.updatedAt === undefined && !exemptFrozen(asset) && now - s.unchangedSince >= opts.frozenSec) {
+      reasons.push({ code: 'FROZEN_VALUE', source, sinceSec: now - s.unchangedSince });
+    }
+    if (intervalSec <= opts.maxMoveIntervalSec && moveBps > opts.maxMoveBps) {
+      reasons.push({ code: 'MAX_MOVE_EXCEEDED', source, moveBps, intervalSec });
+    }
+    if (s.returns.length >= opts.minSamples && moveBps >= opts.minZMoveBps) {
+      const z = zScore(Math.log(price / s.price), s.returns);
+      if (Math.abs(z) > opts.zThreshold) reasons.push({ code: 'ZSCORE_OUTLIER', source, z: Math.round(z * 10) / 10 });
+    }
+
+    if (reasons.length === 0) {
+      accept(s, price, now);
+      return [];
+    }
+    if (reasons.some(r => r.code === 'FROZEN_VALUE')) {
+      s.timestamp = now;
+      return reasons;
+    }
+
+    // A jump: hold it until enough readings confirm the new level
+    if (s.pending && bpsBetween(price, s.pending.price) <= opts.confirmBps) s.pending.count++;
+    else s.pending = { price, count: 1 };
+    if (s.pending.count >= opts.confirmations) {
+      accept(s, price, now);
+      return [];
+    }
+    return reasons;
+  }
+
+  /**
+   * Split one asset's readings into accepted and quarantined. Quarantined
+   * readings carry their reasons: [{ code, source, ...details }].
+   */
+  function screen(asset, readings, now = Math.floor(Date.now() / 1000)) {
+    const accepted = [];
+    const quarantined = [];
+    for (const reading of readings) {
+      const reasons = check(asset, reading, now);
+      if (reasons.length) quarantined.push({ ...reading, reasons });
+      else accepted.push(reading);
+    }
+    return { accepted, quarantined };
+  }
+
+  return { screen };
+}
+
+module.exports = {
+  DEFAULTS,
+  createAnomalyDetector
+};
@@ -0,0 +1,100 @@
+/**
+ * MoltOracle — API Keys and Quotas
+ * Named tiers set per-minute and per-day quotas. Keys are stored by their
+ * SHA-256, never in the clear; requests without a key fall into the
+ * "anonymous" tier, counted per IP.
+ */
+
+const crypto = require('crypto');
+
+// null = unlimited
+const TIERS = {
+  anonymous: { perMinute: 10, perDay: 500 },
+  free: { perMinute: 30, perDay: 5000 },
+  pro: { perMinute: 300, perDay: 200000 },
+  internal: { perMinute: null, perDay: null }
+};
+
+const MINUTE = 60;
+const DAY = 86400;
+
+const hashKey = (apiKey) => crypto.createHash('sha256').update(apiKey).digest('hex');
+
+/**
+ * Create a key manager over a store (see store.js).
+ * Store layout: key:<sha256> → record, keyid:<id> → sha256, rl:<identity>:<window>:<n> → count
+ */
+function createKeyManager({ store, tiers = TIERS }) {
+  async function issue({ name, tier = 'free' }) {
+    if (!tiers[tier] || tier === 'anonymous') throw new Error(`Unknown tier ${tier}: use ${Object.keys(tiers).filter(t => t !== 'anonymous').join(', ')}`);
+    if (typeof name !== 'string' || !name.trim() || name.length > 100) throw new Error('name is required (max 100 characters)');
+
+    const apiKey = `mo_${crypto.randomBytes(24).toString('hex')}`;
+    const hash = hashKey(apiKey);
+    const record = { id: hash.slice(0, 16), name: name.trim(), tier, createdAt: new Date().toISOString() };
+    await store.set(`key:${hash}`, record);
+    await store.set(`keyid:${record.id}`, hash);
+    return { ...record, key: apiKey };
+  }
+
+  async function revoke(id) {
+    const hash = await store.get(`keyid:${id}`);
+    if (!hash) return false;
+    await store.del(`key:${hash}`);
+    await store.del(`keyid:${id}`);
+    return true;
+  }
+
+  async function list() {
+    const records = [];
+    for (const key of await store.keys('key:')) {
+      const record = await store.get(key);
+      if (record) records.push(record);
+    }
+    return records.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  // The key's record, or null if it is unknown or revoked
+  async function resolve(apiKey) {
+    if (typeof apiKey !== 'string' || !apiKey.startsWith('mo_')) return null;
+    return store.get(`key:${hashKey(apiKey)}`);
+  }
+
+  /**
+   * Count one request against an identity's quotas. The minute window is
+   * checked first, so requests it rejects don't use up the daily quota.
+   * Returns the window closest to its limit, for the X-RateLimit-* headers.
+   */
+  async function consume(identity, tier, now = Date.now()) {
+    const limits = tiers[tier];
+    const seconds = Math.floor(now / 1000);
+    const windows = [
+      { name: 'minute', limit: limits.perMinute, size: MINUTE },
+      { name: 'day', limit: limits.perDay, size: DAY }
+    ].filter(w => w.limit !== null);
+
+    let tightest = null;
+    for (const w of windows) {
+      const index = Math.floor(seconds / w.size);
+      const count = await store.incr(`rl:${identity}:${w.name}:${index}`, w.size);
+      const result = {
+        allowed: count <= w.limit,
+        tier,
+        window: w.name,
+        limit: w.limit,
+        remaining: Math.max(0, w.limit - count),
+        reset: (index + 1) * w.size
+      };
+      if (!result.allowed) return { ...result, retryAfter: result.reset - seconds };
+      if (!tightest || result.remaining / result.limit < tightest.remaining / tightest.limit) tightest = result;
+    }
+    return tightest || { allowed: true, tier, window: null, limit: null, remaining: null, reset: null };
+  }
+
+  return { issue, revoke, list, resolve, consume };
+}
+
+module.exports = {
+  TIERS,
+  createKeyManager
+};
@@ -0,0 +1,162 @@
+/**
+ * MoltOracle — Asset Registry
+ * Ticker → per-source identifiers, chain contract addresses and decimals,
+ * plus the chains those addresses live on (DeFiLlama name → chain id, CoinGecko
+ * platform and public RPC), and the quote currencies prices can be served in.
+ * An asset's "pairs" list its direct order books per quote currency.
+ * Loaded from config/assets.json (or ASSETS_FILE) and hot-reloaded on change.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FILE = path.join(__dirname, '..', 'config', 'assets.json');
+
+let registry = null;
+let registryFile = null;
+let watcher = null; // watched file path
+
+function validate(doc) {
+  if (!doc || typeof doc.assets !== 'object') throw new Error('Asset registry needs an "assets" object');
+  for (const [ticker, asset] of Object.entries(doc.assets)) {
+    if (ticker !== ticker.toUpperCase()) throw new Error(`Asset ${ticker}: tickers must be upper case`);
+    if (!asset.ids || typeof asset.ids !== 'object') throw new Error(`Asset ${ticker}: missing "ids"`);
+    if (asset.peg !== undefined && !(typeof asset.peg === 'number' && asset.peg > 0)) throw new Error(`Asset ${ticker}: peg must be a positive USD price`);
+    for (const [quote, ids] of Object.entries(asset.pairs || {})) {
+      if (quote !== quote.toUpperCase() || !ids || typeof ids !== 'object') throw new Error(`Asset ${ticker}: pairs.${quote} must map sources to pair ids`);
+    }
+    for (const [chain, token] of Object.entries(asset.contracts || {})) {
+      if (!/^0x[0-9a-fA-F]{40}$/.test(token.address)) throw new Error(`Asset ${ticker}: bad ${chain} address`);
+      if (!Number.isInteger(token.decimals)) throw new Error(`Asset ${ticker}: missing ${chain} decimals`);
+    }
+  }
+  for (const ticker of doc.tracked || []) {
+    if (!doc.assets[ticker]) throw new Error(`Tracked asset ${ticker} is not in the registry`);
+  }
+  for (const quote of doc.quotes || []) {
+    if (!doc.assets[quote]) throw new Error(`Quote currency ${quote} is not in the registry`);
+  }
+}
+
+// Build lookup tables once per load
+function index(doc) {
+  const byContract = new Map(); // "chain:0xaddress" → ticker
+  for (const [ticker, asset] of Object.entries(doc.assets)) {
+    for (const [chain, token] of Object.entries(asset.contracts || {})) {
+      byContract.set(`${chain}:${token.address.toLowerCase()}`, ticker);
+    }
+  }
+  return { tracked: doc.tracked || Object.keys(doc.assets), quotes: doc.quotes || [], chains: doc.chains || {}, assets: doc.assets, byContract };
+}
+
+function loadAssets(file = process.env.ASSETS_FILE || DEFAULT_FILE) {
+  const doc = JSON.parse(fs.readFileSync(file, 'utf8'));
+  validate(doc);
+  registry = index(doc);
+  registryFile = file;
+  return registry;
+}
+
+function current() {
+  return registry || loadAssets();
+}
+
+/**
+ * Reload the registry whenever its file changes. Polls the file's mtime, which
+ * also survives editors that save by renaming. An invalid edit is logged and
+ * the previous registry stays in place.
+ */
+function watchAssets({ intervalMs = 2000 } = {}) {
+  if (watcher) return;
+  current();
+  watcher = registryFile;
+  fs.watchFile(watcher, { interval: intervalMs }, (curr, prev) => {
+    if (curr.mtimeMs === prev.mtimeMs) return;
+    try {
+      loadAssets(watcher);
+      console.log(`Asset registry reloaded: ${Object.keys(registry.assets).length} assets`);
+    } catch (e) {
+      console.error('Asset registry reload failed, keeping previous:', e.message);
+    }
+  }).unref();
+}
+
+function unwatchAssets() {
+  if (watcher) fs.unwatchFile(watcher);
+  watcher = null;
+}
+
+function getAsset(ticker) {
+  return current().assets[ticker] || null;
+}
+
+function listAssets() {
+  return Object.keys(current().assets);
+}
+
+function getTrackedAssets() {
+  return [...current().tracked];
+}
+
+// Stablecoins and their USD peg, e.g. { USDC: 1, USDT: 1 }
+function getPeggedAssets() {
+  const pegs = {};
+  for (const [ticker, asset] of Object.entries(current().assets)) {
+    if (asset.peg !== undefined) pegs[ticker] = asset.peg;
+  }
+  return pegs;
+}
+
+// Quote currencies besides USD, e.g. ['EUR', 'ETH', 'BTC', 'USDC']; each is a registry asset priced in USD
+function getQuoteCurrencies() {
+  return [...current().quotes];
+}
+
+// { TICKER: id } for one source's direct books in a quote currency, e.g. pairIds('kraken', 'EUR') → { BTC: ['XBTEUR', 'XXBTZEUR'] }
+function pairIds(source, quote) {
+  const ids = {};
+  for (const [ticker, asset] of Object.entries(current().assets)) {
+    const pair = asset.pairs && asset.pairs[quote];
+    if (pair && pair[source] !== undefined) ids[ticker] = pair[source];
+  }
+  return ids;
+}
+
+// { TICKER: id } for one source, e.g. sourceIds('coingecko') → { BTC: 'bitcoin', ... }
+function sourceIds(source) {
+  const ids = {};
+  for (const [ticker, asset] of Object.entries(current().assets)) {
+    if (asset.ids[source] !== undefined) ids[ticker] = asset.ids[source];
+  }
+  return ids;
+}
+
+// "chain:0xaddress" identifiers for arbitrary ERC-20s, e.g. "base:0x8335..."
+function parseAssetId(id) {
+  const match = /^([a-z0-9-]+):(0x[0-9a-fA-F]{40})$/.exec(id);
+  return match ? { chain: match[1], address: match[2].toLowerCase() } : null;
+}
+
+function getChain(chain) {
+  return current().chains[chain] || null;
+}
+
+function findByContract(chain, address) {
+  return current().byContract.get(`${chain}:${address.toLowerCase()}`) || null;
+}
+
+module.exports = {
+  loadAssets,
+  watchAssets,
+  unwatchAssets,
+  getAsset,
+  listAssets,
+  getTrackedAssets,
+  getPeggedAssets,
+  getQuoteCurrencies,
+  sourceIds,
+  pairIds,
+  parseAssetId,
+  getChain,
+  findByContract
+};
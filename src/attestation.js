@@ -0,0 +1,320 @@
+/**
+ * MoltOracle — Attestation Layer
+ * Writes verified snapshots to MoltOracleAttestation and looks them up again
+ */
+
+const { ethers } = require('ethers');
+const { buildPreimage, toOnChainPrice, PRICE_DECIMALS } = require('./hash');
+
+const DEFAULT_CONTRACT = '0xF30C7624f5d759e3695738374Ff2D1618E92F12C';
+
+const ATTESTATION_ABI = [
+  'function oracle() view returns (address)',
+  'function attestationCount() view returns (uint256)',
+  'function attestations(uint256) view returns (bytes32 dataHash, uint256 timestamp, uint8 sourceCount, uint8 confidence, string asset, uint256 price, int16 maxDivergenceBps)',
+  'function latestAttestation(string) view returns (uint256)',
+  'function attest(string asset, uint256 price, uint8 sourceCount, uint8 confidence, int16 maxDivergenceBps, bytes32 dataHash) returns (uint256 id)',
+  'function attestBatch(string[] assets, uint256[] prices, uint8[] sourceCounts, uint8[] confidences, int16[] maxDivergenceBps, bytes32[] dataHashes)',
+  'function verify(uint256 id, bytes32 expectedHash) view returns (bool valid)',
+  'function getLatestPrice(string asset) view returns (uint256 price, uint8 confidence, uint256 timestamp, bytes32 dataHash)',
+  'event DataAttested(uint256 indexed id, string asset, uint256 price, uint8 confidence, bytes32 dataHash, uint256 timestamp)'
+];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Create a publisher that attests snapshot prices via attestBatch.
+ * An asset is (re)published when it has never been attested, when its price
+ * moved at least minMoveBps since the last attestation, or when the last
+ * attestation is older than maxAgeMs. Prices below minConfidence are skipped.
+ */
+function createPublisher({
+  signer,
+  contractAddress = DEFAULT_CONTRACT,
+  intervalMs = 300000,
+  minMoveBps = 50,
+  minConfidence = 70,
+  maxAgeMs = 3600000,
+  retries = 3,
+  retryDelayMs = 2000,
+  confirmTimeoutMs = 120000,
+  onPublish = null
+}) {
+  if (!signer) throw new Error('Publisher requires a signer');
+
+  const wallet = signer instanceof ethers.NonceManager ? signer : new ethers.NonceManager(signer);
+  const contract = new ethers.Contract(contractAddress, ATTESTATION_ABI, wallet);
+
+  const latest = new Map(); // asset → last attestation record
+  let lastSnapshotTimestamp = null;
+  let timer = null;
+  let inFlight = null;
+  const stats = { lastRun: null, lastSuccess: null, lastError: null, published: 0 };
+
+  function selectAssets(snapshot) {
+    const now = Date.now();
+    const batch = [];
+    for (const [asset, info] of Object.entries(snapshot.prices || {})) {
+      if (!info || !(info.price > 0)) continue;
+      if (info.confidence < minConfidence) continue;
+
+      const prev = latest.get(asset);
+      if (prev) {
+        const moveBps = Math.abs(info.price - prev.usdPrice) / prev.usdPrice * 10000;
+        const age = now - prev.attestedAt;
+        if (moveBps < minMoveBps && age < maxAgeMs) continue;
+      }
+
+      // Attest exactly the normalized values that went into the hash
+      const preimage = buildPreimage(asset, info, snapshot.timestamp);
+      batch.push({
+        asset,
+        usdPrice: info.price,
+        price: BigInt(preimage.values.price),
+        sourceCount: Math.min(info.sources, 255),
+        confidence: preimage.values.confidence,
+        divergenceBps: preimage.values.divergenceBps,
+        dataHash: preimage.dataHash,
+        timestamp: snapshot.timestamp
+      });
+    }
+    return batch;
+  }
+
+  async function submit(batch) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        // Resolve the nonce up front: if estimation failed first, the manager's own
+        // nonce lookup would be left to reject unhandled and bring the process down
+        await wallet.getNonce('pending');
+        const tx = await contract.attestBatch(
+          batch.map(b => b.asset),
+          batch.map(b => b.price),
+          batch.map(b => b.sourceCount),
+          batch.map(b => b.confidence),
+          batch.map(b => b.divergenceBps),
+          batch.map(b => b.dataHash)
+        );
+        const receipt = await tx.wait(1, confirmTimeoutMs);
+        return { tx, receipt };
+      } catch (e) {
+        // A failed send leaves the nonce manager ahead of the chain
+        wallet.reset();
+        // Reverts (e.g. signer is not the oracle) won't succeed on retry
+        if (e.code === 'CALL_EXCEPTION' || attempt >= retries) throw e;
+        await sleep(retryDelayMs * 2 ** attempt + Math.floor(Math.random() * retryDelayMs));
+      }
+    }
+  }
+
+  /**
+   * Attest prepared entries { asset, usdPrice, price, sourceCount, confidence,
+   * divergenceBps, dataHash, timestamp } as one transaction. Used directly for
+   * hashes that are not price hashes, such as market outcomes.
+   * Returns the new attestation records.
+   */
+  async function publishBatch(batch) {
+    const { tx, receipt } = await submit(batch);
+    const target = contractAddress.toLowerCase();
+    const ids = {};
+    for (const log of receipt.logs) {
+      if (log.address.toLowerCase() !== target) continue;
+      const parsed = contract.interface.parseLog(log);
+      if (parsed && parsed.name === 'DataAttested') ids[parsed.args.dataHash] = Number(parsed.args.id);
+    }
+
+    const attestedAt = Date.now();
+    const records = batch.map(b => ({
+      id: ids[b.dataHash] ?? null,
+      asset: b.asset,
+      price: b.price.toString(),
+      usdPrice: b.usdPrice,
+      confidence: b.confidence,
+      divergenceBps: b.divergenceBps,
+      dataHash: b.dataHash,
+      timestamp: b.timestamp,
+      txHash: tx.hash,
+      blockNumber: receipt.blockNumber,
+      attestedAt
+    }));
+    for (const r of records) latest.set(r.asset, r);
+    stats.published += records.length;
+    if (onPublish) onPublish(records);
+    return records;
+  }
+
+  /**
+   * Attest the eligible prices of a snapshot.
+   * Returns the new attestation records (empty if nothing qualified).
+   */
+  async function publish(snapshot) {
+    const batch = selectAssets(snapshot);
+    if (batch.length === 0) return [];
+    return publishBatch(batch);
+  }
+
+  async function tick(getSnapshot) {
+    if (inFlight) return inFlight;
+    inFlight = (async () => {
+      stats.lastRun = new Date().toISOString();
+      try {
+        const snapshot = await getSnapshot();
+        if (snapshot.timestamp === lastSnapshotTimestamp) return [];
+        const records = await publish(snapshot);
+        lastSnapshotTimestamp = snapshot.timestamp;
+        stats.lastSuccess = stats.lastRun;
+        stats.lastError = null;
+        return records;
+      } catch (e) {
+        stats.lastError = e.shortMessage || e.message;
+        console.error('Attestation error:', stats.lastError);
+        return [];
+      } finally {
+        inFlight = null;
+      }
+    })();
+    return inFlight;
+  }
+
+  function start(getSnapshot) {
+    if (timer) return;
+    tick(getSnapshot);
+    timer = setInterval(() => tick(getSnapshot), intervalMs);
+    timer.unref();
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  function getAttestation(asset) {
+    const r = latest.get(asset);
+    if (!r) return null;
+    return { id: r.id, txHash: r.txHash, blockNumber: r.blockNumber, dataHash: r.dataHash, timestamp: r.timestamp };
+  }
+
+  function status() {
+    return {
+      contract: contractAddress,
+      intervalMs,
+      minMoveBps,
+      minConfidence,
+      assets: latest.size,
+      ...stats
+    };
+  }
+
+  return { publish, publishBatch, tick, start, stop, getAttestation, status };
+}
+
+/**
+ * Create a verifier that resolves a dataHash to its on-chain attestation.
+ * dataHash is not an indexed event topic, so DataAttested logs are scanned
+ * incrementally from fromBlock into a local index. Without fromBlock the
+ * contract's deployment block is found first (a binary search on getCode).
+ * One scan covers at most maxScanBlocks; an index still behind the head
+ * reports unknown hashes as pending, and the next lookup resumes the scan.
+ * Records from our own publisher can be added directly so fresh
+ * attestations resolve without a scan.
+ */
+function createVerifier({ provider, contractAddress = DEFAULT_CONTRACT, fromBlock = null, blockRange = 10000, maxScanBlocks = 100000 }) {
+  if (!provider) throw new Error('Verifier requires a provider');
+
+  const contract = new ethers.Contract(contractAddress, ATTESTATION_ABI, provider);
+  const index = new Map(); // lowercased dataHash → { id, blockNumber, txHash }
+  let nextBlock = fromBlock;
+  let head = null;
+  let syncing = null;
+
+  function add(dataHash, entry) {
+    const key = dataHash.toLowerCase();
+    if (!index.has(key)) index.set(key, entry);
+  }
+
+  function record(records) {
+    for (const r of records) {
+      if (r.id !== null) add(r.dataHash, { id: r.id, blockNumber: r.blockNumber, txHash: r.txHash });
+    }
+  }
+
+  // First block with the contract's code, in ~log2(head) getCode calls
+  async function findDeploymentBlock(latest) {
+    const hasCode = async (block) => (await provider.getCode(contractAddress, block)) !== '0x';
+    if (!(await hasCode(latest))) throw new Error(`No contract at ${contractAddress}`);
+    let lo = 0;
+    let hi = latest;
+    while (lo < hi) {
+      const mid = Math.floor((lo + hi) / 2);
+      if (await hasCode(mid)) hi = mid;
+      else lo = mid + 1;
+    }
+    return lo;
+  }
+
+  // Pull DataAttested logs towards the chain head, at most maxScanBlocks per
+  // call (concurrent callers share one scan)
+  function sync() {
+    if (syncing) return syncing;
+    syncing = (async () => {
+      head = await provider.getBlockNumber();
+      if (nextBlock === null) nextBlock = await findDeploymentBlock(head);
+      const end = Math.min(head, nextBlock + maxScanBlocks - 1);
+      while (nextBlock <= end) {
+        const to = Math.min(nextBlock + blockRange - 1, end);
+        const logs = await contract.queryFilter(contract.filters.DataAttested(), nextBlock, to);
+        for (const log of logs) {
+          add(log.args.dataHash, { id: Number(log.args.id), blockNumber: log.blockNumber, txHash: log.transactionHash });
+        }
+        nextBlock = to + 1;
+      }
+    })().finally(() => { syncing = null; });
+    return syncing;
+  }
+
+  async function lookup(dataHash) {
+    const key = dataHash.toLowerCase();
+    if (!index.has(key)) await sync();
+
+    const entry = index.get(key);
+    if (!entry) {
+      const pending = nextBlock === null || nextBlock <= head;
+      return { hash: dataHash, verified: false, ...(pending && { pending: true, indexedBlock: nextBlock === null ? null : nextBlock - 1, head }), contract: contractAddress };
+    }
+
+    const [a, valid] = await Promise.all([
+      contract.attestations(entry.id),
+      contract.verify(entry.id, key)
+    ]);
+    return {
+      hash: dataHash,
+      verified: valid,
+      attestationId: entry.id,
+      asset: a.asset,
+      price: Number(ethers.formatUnits(a.price, PRICE_DECIMALS)),
+      priceRaw: a.price.toString(),
+      sourceCount: Number(a.sourceCount),
+      confidence: Number(a.confidence),
+      divergenceBps: Number(a.maxDivergenceBps),
+      blockNumber: entry.blockNumber,
+      timestamp: Number(a.timestamp),
+      txHash: entry.txHash,
+      contract: contractAddress
+    };
+  }
+
+  function status() {
+    return { indexed: index.size, nextBlock, head };
+  }
+
+  return { lookup, sync, record, status };
+}
+
+module.exports = {
+  ATTESTATION_ABI,
+  DEFAULT_CONTRACT,
+  PRICE_DECIMALS,
+  toOnChainPrice,
+  createPublisher,
+  createVerifier
+};
@@ -0,0 +1,143 @@
+/**
+ * MoltOracle — Dataset Cache
+ * Stale-while-revalidate cache with one entry per dataset (prices, gas,
+ * TVL, ...), each with its own TTL. Concurrent misses share one refresh,
+ * expired data is served (flagged stale) while a background refresh runs,
+ * and a warming schedule refreshes each dataset before anyone asks.
+ */
+
+/**
+ * define(name, { ttlMs, maxStaleMs, load }):
+ *   fresh for ttlMs; served stale (and refreshed in the background) until
+ *   maxStaleMs; older data is never served. load() resolving to null or
+ *   throwing counts as a failed refresh and keeps the previous value.
+ */
+function createCache({ now = Date.now } = {}) {
+  const datasets = new Map();
+  const timers = [];
+
+  function define(name, { ttlMs, maxStaleMs = ttlMs * 10, load }) {
+    datasets.set(name, {
+      name,
+      ttlMs,
+      maxStaleMs,
+      load,
+      value: null,
+      fetchedAt: 0,
+      inflight: null,
+      lastError: null,
+      lastErrorAt: 0,
+      hits: 0,
+      staleHits: 0,
+      misses: 0
+    });
+  }
+
+  function entryOf(name) {
+    const entry = datasets.get(name);
+    if (!entry) throw new Error(`Unknown dataset ${name}`);
+    return entry;
+  }
+
+  // One refresh per dataset at a time; callers share its promise
+  function refresh(name) {
+    const entry = entryOf(name);
+    if (entry.inflight) return entry.inflight;
+    entry.inflight = (async () => {
+      try {
+        const value = await entry.load();
+        if (value === null || value === undefined) throw new Error(`${name} unavailable`);
+        entry.value = value;
+        entry.fetchedAt = now();
+        entry.lastError = null;
+      } catch (e) {
+        entry.lastError = e.message;
+        entry.lastErrorAt = now();
+        console.error(`Cache refresh error (${name}):`, e.message);
+      } finally {
+        entry.inflight = null;
+      }
+      return entry.value;
+    })();
+    return entry.inflight;
+  }
+
+  function view(entry) {
+    const ageMs = entry.value === null ? null : now() - entry.fetchedAt;
+    if (ageMs !== null && ageMs >= entry.maxStaleMs) return { value: null, age: null, stale: true };
+    return {
+      value: entry.value,
+      age: ageMs === null ? null : Math.floor(ageMs / 1000),
+      stale: ageMs === null || ageMs >= entry.ttlMs
+    };
+  }
+
+  /**
+   * The dataset's value with { age (seconds), stale }. Waits only when there
+   * is nothing servable; otherwise stale data returns at once and refreshes
+   * behind the caller.
+   */
+  async function get(name) {
+    const entry = entryOf(name);
+    const current = view(entry);
+    if (current.value !== null && !current.stale) {
+      entry.hits++;
+      return current;
+    }
+    if (current.value !== null) {
+      entry.staleHits++;
+      refresh(name);
+      return current;
+    }
+    entry.misses++;
+    await refresh(name);
+    return view(entry);
+  }
+
+  // Current value without triggering a refresh
+  function peek(name) {
+    return view(entryOf(name)).value;
+  }
+
+  /**
+   * Refresh every dataset now and then once per TTL, so requests find
+   * fresh data. intervals: { name: ms } overrides the TTL-based schedule.
+   */
+  function startWarming({ intervals = {} } = {}) {
+    stopWarming();
+    for (const entry of datasets.values()) {
+      refresh(entry.name);
+      const timer = setInterval(() => refresh(entry.name), intervals[entry.name] || entry.ttlMs);
+      timer.unref();
+      timers.push(timer);
+    }
+  }
+
+  function stopWarming() {
+    while (timers.length) clearInterval(timers.pop());
+  }
+
+  function status() {
+    const result = {};
+    for (const entry of datasets.values()) {
+      const { age, stale } = view(entry);
+      result[entry.name] = {
+        age,
+        stale,
+        ttl: entry.ttlMs / 1000,
+        refreshing: entry.inflight !== null,
+        hits: entry.hits,
+        staleHits: entry.staleHits,
+        misses: entry.misses,
+        lastError: entry.lastError
+      };
+    }
+    return result;
+  }
+
+  return { define, get, peek, refresh, startWarming, stopWarming, status };
+}
+
+module.exports = {
+  createCache
+};
@@ -0,0 +1,283 @@
+/**
+ * MoltOracle — Client SDK
+ * One method per API route. Priced responses are checked before they are
+ * returned: each dataHash is recomputed locally from the served fields, and
+ * EIP-712 signatures are checked when the oracle signer is pinned. A single
+ * price below minConfidence is rejected; price maps leave such assets out.
+ * 429s wait out Retry-After, 5xx and network errors back off, and 402 quotes
+ * are paid when a payer is configured. verify() adds an on-chain check.
+ */
+
+const { ethers } = require('ethers');
+const { computeDataHash } = require('./hash');
+const { verifyResponse } = require('./signing');
+const { ATTESTATION_ABI, DEFAULT_CONTRACT } = require('./attestation');
+const { signAuthorization } = require('./payments');
+
+const DEFAULTS = {
+  baseUrl: 'http://localhost:3042',
+  minConfidence: 0,
+  retries: 3,              // extra attempts after the first
+  retryDelayMs: 500,       // base backoff, doubled per attempt
+  maxRetryDelayMs: 30000,  // a longer Retry-After fails at once instead of waiting
+  timeoutMs: 10000
+};
+
+// Requests that are safe to send twice; others (creating markets, alerts,
+// disputes) retry only when the server can't have acted on them
+const IDEMPOTENT = new Set(['GET', 'HEAD']);
+// fetch failures raised before the request reached the server
+const CONNECT_ERRORS = new Set(['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN']);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function clientError(message, props) {
+  return Object.assign(new Error(message), props);
+}
+
+/**
+ * Create a client.
+ * createClient({ baseUrl, apiKey?, minConfidence?, signer?, provider?,
+ *   contractAddress?, payer?, maxPrice?, retries?, timeoutMs?, fetch? })
+ * signer pins the oracle address responses must be signed by; provider
+ * enables on-chain verification; payer (an ethers Signer) pays 402 quotes
+ * up to maxPrice token units per call.
+ */
+function createClient(options = {}) {
+  const opts = { ...DEFAULTS, ...options };
+  const fetchFn = opts.fetch || globalThis.fetch;
+  if (typeof fetchFn !== 'function') throw new Error('createClient needs fetch (Node 18+) or options.fetch');
+  const baseUrl = opts.baseUrl.replace(/\/+$/, '');
+  let domain = opts.domain || null;
+  let contract = null;
+
+  function urlFor(route, query = {}) {
+    const url = new URL(baseUrl + route);
+    for (const [key, value] of Object.entries(query)) {
+      if (value !== undefined && value !== null) url.searchParams.set(key, String(value));
+    }
+    return url.toString();
+  }
+
+  // Seconds to wait before retrying a 429: Retry-After, else the body's retryAfter
+  function retryAfterMs(res, body) {
+    const header = res.headers.get('retry-after');
+    const seconds = header && /^\d+$/.test(header) ? parseInt(header) : body && body.retryAfter;
+    return typeof seconds === 'number' ? seconds * 1000 : null;
+  }
+
+  async function pay(quote) {
+    if (!quote || !(quote.schemes || []).includes('eip3009')) throw clientError('402 without an EIP-3009 payment quote', { status: 402, payment: quote });
+    if (opts.maxPrice !== undefined && Number(quote.price) > Number(opts.maxPrice)) {
+      throw clientError(`Payment of ${quote.price} ${quote.symbol} is above maxPrice ${opts.maxPrice}`, { status: 402, code: 'PRICE_TOO_HIGH', payment: quote });
+    }
+    return signAuthorization(opts.payer, quote);
+  }
+
+  /**
+   * One API call. Returns the parsed body; non-2xx responses throw with
+   * err.status and err.body once retries are used up. Only GET and HEAD are
+   * retried after timeouts and 5xx; other methods retry 429s and failed
+   * connections only, so a slow success is never sent twice.
+   */
+  async function request(method, route, { query, body, headers: extra } = {}) {
+    const url = urlFor(route, query);
+    const headers = { Accept: 'application/json', ...extra };
+    if (opts.apiKey) headers['X-API-Key'] = opts.apiKey;
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+    const idempotent = IDEMPOTENT.has(method.toUpperCase());
+    let paid = false;
+
+    for (let attempt = 0; ; attempt++) {
+      let res;
+      try {
+        res = await fetchFn(url, { method, headers, body: body === undefined ? undefined : JSON.stringify(body), signal: AbortSignal.timeout(opts.timeoutMs) });
+      } catch (e) {
+        const unsent = CONNECT_ERRORS.has(e.code) || CONNECT_ERRORS.has(e.cause && e.cause.code);
+        if (attempt >= opts.retries || !(idempotent || unsent)) throw e;
+        await sleep(Math.min(opts.retryDelayMs * 2 ** attempt, opts.maxRetryDelayMs));
+        continue;
+      }
+
+      const data = res.status === 204 ? null : await res.json().catch(() => null);
+      if (res.ok) return data;
+
+      // A payment is attempted once per call and does not use up a retry
+      if (res.status === 402 && opts.payer && !paid) {
+        headers['X-Payment'] = await pay(data && data.payment);
+        paid = true;
+        attempt--;
+        continue;
+      }
+
+      const message = (data && data.error) || `HTTP ${res.status}`;
+      if (res.status === 429) {
+        const wait = retryAfterMs(res, data) ?? opts.retryDelayMs * 2 ** attempt;
+        if (attempt >= opts.retries || wait > opts.maxRetryDelayMs) {
+          throw clientError(message, { status: 429, body: data, retryAfter: Math.ceil(wait / 1000) });
+        }
+        await sleep(wait);
+        continue;
+      }
+      if (res.status >= 500 && idempotent && attempt < opts.retries) {
+        await sleep(Math.min(opts.retryDelayMs * 2 ** attempt, opts.maxRetryDelayMs));
+        continue;
+      }
+      throw clientError(message, { status: res.status, body: data });
+    }
+  }
+
+  // The oracle's EIP-712 domain, fetched once from /signer
+  async function getDomain() {
+    if (!domain) domain = (await request('GET', '/signer')).domain;
+    return domain;
+  }
+
+  // History records (archived snapshots, /price/:asset/at) were never signed
+  const fromHistory = (response) => Boolean(response.archived) || response.requested !== undefined;
+
+  // Errors for one served price: a recomputed dataHash that differs, or a bad signature
+  async function checkPrice(asset, info, timestamp, { signed = true } = {}) {
+    const errors = [];
+    if (!info.dataHash) return [`${asset}: missing dataHash`];
+    try {
+      if (computeDataHash(asset, info, timestamp) !== info.dataHash) errors.push(`${asset}: dataHash does not match served data`);
+    } catch (e) {
+      errors.push(`${asset}: malformed price data (${e.message})`);
+    }
+    if (errors.length === 0 && opts.signer && signed) {
+      errors.push(...verifyResponse({ ...info, asset, timestamp }, { domain: await getDomain(), signer: opts.signer }).errors);
+    }
+    return errors;
+  }
+
+  // A single priced response: hash and signature checked, low confidence rejected
+  async function checked(response, { asset = response.asset, minConfidence = opts.minConfidence } = {}) {
+    const errors = await checkPrice(asset, response, response.timestamp, { signed: !fromHistory(response) });
+    if (errors.length) throw clientError(errors.join('; '), { code: 'VERIFICATION_FAILED', errors, body: response });
+    if (response.confidence < minConfidence) {
+      throw clientError(`${asset} confidence ${response.confidence} is below ${minConfidence}`, { code: 'LOW_CONFIDENCE', body: response });
+    }
+    return response;
+  }
+
+  // A prices map: every entry checked, entries below minConfidence moved to belowConfidence
+  async function checkedMap(response, { minConfidence = opts.minConfidence } = {}) {
+    const errors = [];
+    const prices = {};
+    const belowConfidence = [];
+    for (const [asset, info] of Object.entries(response.prices || {})) {
+      errors.push(...await checkPrice(info.asset || asset, info, info.timestamp ?? response.timestamp, { signed: !fromHistory(response) }));
+      if (info.confidence < minConfidence) belowConfidence.push(asset);
+      else prices[asset] = info;
+    }
+    if (errors.length) throw clientError(errors.join('; '), { code: 'VERIFICATION_FAILED', errors, body: response });
+    return { ...response, prices, belowConfidence };
+  }
+
+  const segment = (value) => encodeURIComponent(value);
+
+  // --- Prices ---
+  const getPrice = async (asset, { quote, minConfidence } = {}) => checked(await request('GET', `/price/${segment(asset)}`, { query: { quote } }), { minConfidence });
+  const getPreimage = (asset, { quote } = {}) => request('GET', `/price/${segment(asset)}/preimage`, { query: { quote } });
+  const getPriceAt = async (asset, timestamp, { minConfidence } = {}) => checked(await request('GET', `/price/${segment(asset)}/at/${segment(timestamp)}`), { minConfidence });
+  const getPrices = async ({ minConfidence } = {}) => checkedMap(await request('GET', '/prices'), { minConfidence });
+  const getTwap = async (asset, { window, to, minConfidence } = {}) => checked(await request('GET', `/twap/${segment(asset)}`, { query: { window, to } }), { minConfidence });
+  const getHistory = (asset, { from, to, interval } = {}) => request('GET', `/history/${segment(asset)}`, { query: { from, to, interval } });
+
+  async function getSnapshot(id, { minConfidence } = {}) {
+    return checkedMap(await request('GET', id === undefined ? '/snapshot' : `/snapshot/${segment(id)}`), { minConfidence });
+  }
+
+  // --- Market data ---
+  const getTvl = () => request('GET', '/tvl');
+  const getFearGreed = () => request('GET', '/fear-greed');
+  const getStablecoins = () => request('GET', '/stablecoins');
+  const getPeg = async (symbol, { minConfidence } = {}) => checked(await request('GET', `/stablecoins/${segment(symbol)}/peg`), { asset: symbol.toUpperCase(), minConfidence });
+  const getGas = (chain) => request('GET', chain === undefined ? '/gas' : `/gas/${segment(chain)}`);
+  const getYields = (filters = {}) => request('GET', '/yields', { query: filters });
+
+  // --- Markets and alerts ---
+  const createMarket = (market) => request('POST', '/markets', { body: market });
+  const getMarkets = ({ status, asset } = {}) => request('GET', '/markets', { query: { status, asset } });
+  const getMarket = (id) => request('GET', `/markets/${segment(id)}`);
+  const getMarketPreimage = (id) => request('GET', `/markets/${segment(id)}/preimage`);
+  const disputeMarket = (id, reason) => request('POST', `/markets/${segment(id)}/dispute`, { body: { reason } });
+  const createAlert = (alert) => request('POST', '/alerts', { body: alert });
+  const getAlert = (id, secret) => request('GET', `/alerts/${segment(id)}`, { headers: { Authorization: `Bearer ${secret}` } });
+  const deleteAlert = (id, secret) => request('DELETE', `/alerts/${segment(id)}`, { headers: { Authorization: `Bearer ${secret}` } });
+
+  // --- Service ---
+  const lookupHash = (hash) => request('GET', `/verify/${segment(hash)}`);
+  const getSigner = () => request('GET', '/signer');
+  const getHealth = () => request('GET', '/health');
+
+  /**
+   * Check a response from any priced route (a price, a snapshot or a prices
+   * map): dataHashes recomputed, signatures checked if a signer is pinned and,
+   * with onChain, each attested hash checked with the contract's verify(id, hash).
+   * Returns { valid, checked, errors, onChain: { ASSET: { attestationId, verified } } | null }.
+   */
+  async function verify(response, { onChain = Boolean(opts.provider) } = {}) {
+    if (!response || typeof response !== 'object') throw new Error('verify needs a response object');
+    const isMap = !response.asset && response.prices && typeof response.prices === 'object';
+    const entries = isMap ? Object.entries(response.prices) : [[response.asset || response.symbol, response]];
+
+    const errors = [];
+    for (const [asset, info] of entries) {
+      errors.push(...await checkPrice(info.asset || asset, info, info.timestamp ?? response.timestamp, { signed: !fromHistory(response) }));
+    }
+
+    let attested = null;
+    if (onChain) {
+      if (!opts.provider) throw new Error('On-chain verification needs a provider');
+      if (!contract) contract = new ethers.Contract(opts.contractAddress || DEFAULT_CONTRACT, ATTESTATION_ABI, opts.provider);
+      attested = {};
+      for (const [asset, info] of entries) {
+        const attestation = info.attestation;
+        if (!attestation || attestation.id === null || attestation.id === undefined) {
+          attested[asset] = { attestationId: null, verified: false };
+          continue;
+        }
+        // Only the exact data that was attested verifies; newer snapshots await their next attestation
+        attested[asset] = { attestationId: attestation.id, verified: await contract.verify(attestation.id, info.dataHash) };
+      }
+    }
+
+    return { valid: errors.length === 0, checked: entries.length, errors, onChain: attested };
+  }
+
+  return {
+    request,
+    verify,
+    getPrice,
+    getPreimage,
+    getPriceAt,
+    getPrices,
+    getTwap,
+    getHistory,
+    getSnapshot,
+    getTvl,
+    getFearGreed,
+    getStablecoins,
+    getPeg,
+    getGas,
+    getYields,
+    createMarket,
+    getMarkets,
+    getMarket,
+    getMarketPreimage,
+    disputeMarket,
+    createAlert,
+    getAlert,
+    deleteAlert,
+    lookupHash,
+    getSigner,
+    getHealth
+  };
+}
+
+module.exports = {
+  DEFAULTS,
+  createClient
+};
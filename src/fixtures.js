@@ -0,0 +1,191 @@
+/**
+ * MoltOracle — Upstream Fixtures
+ * Record and replay of raw upstream responses, so the server and
+ * getFullSnapshot run offline and an incident can be reproduced:
+ *   UPSTREAM_FIXTURES=record  calls go upstream and every response is saved;
+ *                             the file is written once, when the process ends
+ *   UPSTREAM_FIXTURES=replay  calls are answered from the fixture file; a call
+ *                             with no fixture fails like a source outage
+ * HTTP sources are keyed by URL (API keys redacted), JSON-RPC reads by RPC
+ * host, method and params. Writes to chains and loopback requests always go
+ * through. FIXTURES_FILE picks the file (default tests/fixtures/upstream.json).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FetchRequest } = require('ethers');
+
+const MODES = ['live', 'record', 'replay'];
+const DEFAULT_FILE = path.join(__dirname, '..', 'tests', 'fixtures', 'upstream.json');
+const REPLAYABLE_RPC = new Set(['eth_chainId', 'eth_blockNumber', 'eth_call', 'eth_feeHistory', 'eth_getBlockByNumber']);
+const SECRET_PARAM = /key|token|secret/i;
+const LOOPBACK = new Set(['localhost', '127.0.0.1', '[::1]']);
+
+// Fixture key of an HTTP GET; secrets in the query string are redacted
+function httpKey(url) {
+  const u = new URL(url);
+  for (const name of [...u.searchParams.keys()]) {
+    if (SECRET_PARAM.test(name)) u.searchParams.set(name, 'REDACTED');
+  }
+  return `GET ${u}`;
+}
+
+function rpcKey(url, method, params) {
+  return `RPC ${new URL(url).host} ${method} ${JSON.stringify(params || [])}`;
+}
+
+const isLoopback = (url) => LOOPBACK.has(new URL(url).hostname);
+
+function noFixture(key) {
+  const err = new Error(`No fixture for ${key}`);
+  err.code = 'NO_FIXTURE';
+  err.noRetry = true;
+  return err;
+}
+
+/**
+ * A fixture tape: { recordedAt, entries: { key: { status, body } | { result } | { error } } }.
+ * json() wraps one HTTP attempt and getUrl is an ethers getUrl function for
+ * JSON-RPC; both pass straight through in live mode. passLoopback: false also
+ * records and replays local servers (tests).
+ */
+function createTape({ mode = 'live', file = DEFAULT_FILE, passLoopback = true, liveGetUrl = FetchRequest.createGetUrlFunc() } = {}) {
+  if (!MODES.includes(mode)) throw new Error(`UPSTREAM_FIXTURES must be one of: ${MODES.join(', ')}`);
+  let tape = { recordedAt: null, entries: {} };
+  if (mode !== 'live' && fs.existsSync(file)) tape = JSON.parse(fs.readFileSync(file, 'utf8'));
+  else if (mode === 'replay') throw new Error(`No fixture file at ${file}`);
+  const misses = new Set();
+  let dirty = false;
+  const passes = (url) => mode === 'live' || (passLoopback && isLoopback(url));
+
+  function lookup(key) {
+    const entry = tape.entries[key];
+    if (!entry && !misses.has(key)) {
+      misses.add(key);
+      console.error(`Replay: no fixture for ${key}`);
+    }
+    return entry;
+  }
+
+  // Recorded entries stay in memory until flush()
+  function put(key, entry) {
+    tape.entries[key] = entry;
+    dirty = true;
+  }
+
+  // Write what was recorded since the last flush; synchronous, so it can run on exit
+  function flush() {
+    if (!dirty) return false;
+    dirty = false;
+    tape.recordedAt = new Date().toISOString();
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(tape, null, 2) + '\n');
+    return true;
+  }
+
+  // One GET attempt: fetchLive() resolves to parsed JSON or rejects with err.status
+  async function json(url, fetchLive) {
+    if (passes(url)) return fetchLive();
+    const key = httpKey(url);
+
+    if (mode === 'replay') {
+      const entry = lookup(key);
+      if (!entry) throw noFixture(key);
+      if (entry.status >= 200 && entry.status < 300) return entry.body;
+      const err = new Error(`HTTP ${entry.status} from ${new URL(url).host}`);
+      err.status = entry.status;
+      throw err;
+    }
+
+    try {
+      const body = await fetchLive();
+      put(key, { status: 200, body });
+      return body;
+    } catch (e) {
+      if (e.status) put(key, { status: e.status });
+      throw e;
+    }
+  }
+
+  // JSON-RPC reads in a request body ([] for a batch), or null when it must go through
+  function rpcCalls(req) {
+    if (passes(req.url) || req.method !== 'POST' || !req.body) return null;
+    let payload;
+    try { payload = JSON.parse(Buffer.from(req.body).toString('utf8')); }
+    catch { return null; }
+    const calls = Array.isArray(payload) ? payload : [payload];
+    return calls.every(c => c && REPLAYABLE_RPC.has(c.method)) ? { calls, batch: Array.isArray(payload) } : null;
+  }
+
+  async function getUrl(req, signal) {
+    const rpc = rpcCalls(req);
+    if (!rpc) return liveGetUrl(req, signal);
+
+    if (mode === 'replay') {
+      const replies = rpc.calls.map((c) => {
+        const key = rpcKey(req.url, c.method, c.params);
+        const entry = lookup(key) || { error: { code: -32000, message: noFixture(key).message } };
+        return { jsonrpc: '2.0', id: c.id, ...entry };
+      });
+      const body = JSON.stringify(rpc.batch ? replies : replies[0]);
+      return { statusCode: 200, statusMessage: 'OK', headers: { 'content-type': 'application/json' }, body: Buffer.from(body) };
+    }
+
+    const response = await liveGetUrl(req, signal);
+    if (response.statusCode === 200 && response.body) {
+      try {
+        const parsed = JSON.parse(Buffer.from(response.body).toString('utf8'));
+        const replies = new Map((Array.isArray(parsed) ? parsed : [parsed]).map(r => [r.id, r]));
+        for (const c of rpc.calls) {
+          const reply = replies.get(c.id);
+          if (reply && reply.error) put(rpcKey(req.url, c.method, c.params), { error: reply.error });
+          else if (reply && 'result' in reply) put(rpcKey(req.url, c.method, c.params), { result: reply.result });
+        }
+      } catch (e) {
+        console.error('Record: unreadable JSON-RPC reply:', e.message);
+      }
+    }
+    return response;
+  }
+
+  // Seconds "now" for judging upstream data age: the recording time when replaying
+  function now() {
+    if (mode === 'replay' && tape.recordedAt) return Math.floor(Date.parse(tape.recordedAt) / 1000);
+    return Math.floor(Date.now() / 1000);
+  }
+
+  function status() {
+    if (mode === 'live') return { mode };
+    return { mode, file: path.basename(file), recordedAt: tape.recordedAt, entries: Object.keys(tape.entries).length, ...(mode === 'replay' && { misses: [...misses] }) };
+  }
+
+  return {
+    mode,
+    file,
+    json,
+    getUrl,
+    now,
+    flush,
+    misses: () => [...misses],
+    status
+  };
+}
+
+// The process-wide tape, from UPSTREAM_FIXTURES and FIXTURES_FILE
+const upstream = createTape({ mode: process.env.UPSTREAM_FIXTURES || 'live', file: process.env.FIXTURES_FILE || DEFAULT_FILE });
+
+// A recording is written when the process ends, including on Ctrl-C and SIGTERM
+if (upstream.mode === 'record') {
+  process.on('exit', upstream.flush);
+  for (const signal of ['SIGINT', 'SIGTERM']) process.once(signal, () => process.exit(128 + os.constants.signals[signal]));
+}
+
+module.exports = {
+  MODES,
+  DEFAULT_FILE,
+  httpKey,
+  rpcKey,
+  createTape,
+  upstream
+};
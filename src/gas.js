@@ -0,0 +1,137 @@
+/**
+ * MoltOracle — Multi-Chain Gas
+ * EIP-1559 fee estimates per chain from eth_feeHistory on each chain's RPC:
+ * the next block's base fee plus priority-fee percentiles over recent blocks.
+ * On Ethereum the estimate is cross-verified with Etherscan's gas oracle when
+ * an ETHERSCAN_API_KEY is set.
+ */
+
+const { ethers } = require('ethers');
+const { call } = require('./http');
+const { getChainProvider } = require('./rpc');
+const { getChain } = require('./assets');
+const { fetchEtherscanGas, verifyReadings } = require('./sources');
+
+const GAS_CHAINS = (process.env.GAS_CHAINS || 'ethereum,base,arbitrum,optimism')
+  .split(',')
+  .map(c => c.trim().toLowerCase())
+  .filter(Boolean);
+const FEE_BLOCKS = 20;
+const PERCENTILES = [10, 50, 90];
+const TIERS = ['low', 'standard', 'fast']; // one per percentile
+
+// Hex wei → gwei, kept to wei precision
+const gwei = (hex) => Number(ethers.formatUnits(BigInt(hex), 'gwei'));
+const round = (value) => Math.round(value * 1e9) / 1e9;
+
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * eth_feeHistory result → fee estimates in gwei.
+ * baseFee is the next block's; each priority tier is the median of that
+ * percentile over blocks that carried transactions. maxFee leaves room for
+ * the base fee to double; gasPrice is what a transaction pays at current fees.
+ */
+function feeEstimates(history) {
+  const baseFees = history.baseFeePerGas.map(gwei);
+  const baseFee = baseFees[baseFees.length - 1];
+  const ratios = history.gasUsedRatio || [];
+  const rewards = (history.reward || []).filter((r, i) => Array.isArray(r) && r.length === PERCENTILES.length && ratios[i] > 0);
+
+  const priorityFee = {};
+  const maxFee = {};
+  const gasPrice = {};
+  TIERS.forEach((tier, i) => {
+    priorityFee[tier] = round(median(rewards.map(r => gwei(r[i]))));
+    maxFee[tier] = round(2 * baseFee + priorityFee[tier]);
+    gasPrice[tier] = round(baseFee + priorityFee[tier]);
+  });
+
+  return {
+    blockNumber: parseInt(history.oldestBlock, 16) + ratios.length - 1,
+    baseFee: round(baseFee),
+    priorityFee,
+    maxFee,
+    gasPrice,
+    gasUsedRatio: ratios.length ? Math.round(ratios.reduce((a, b) => a + b, 0) / ratios.length * 1000) / 1000 : null,
+    blocks: ratios.length
+  };
+}
+
+async function fetchFeeHistory(chain, provider) {
+  return call(`rpc-${chain}`, () => provider.send('eth_feeHistory', [ethers.toQuantity(FEE_BLOCKS), 'latest', PERCENTILES]), { retries: 1 });
+}
+
+/**
+ * Gas for one registry chain, or null when no source answered.
+ * options.providerFor(chain) and options.etherscan() replace the defaults in tests.
+ */
+async function fetchChainGas(chain, { providerFor = getChainProvider, etherscan = fetchEtherscanGas } = {}) {
+  const info = getChain(chain);
+  if (!info) return null;
+  const provider = providerFor(chain);
+
+  const [rpc, scan] = await Promise.all([
+    provider
+      ? fetchFeeHistory(chain, provider).then(feeEstimates).catch((e) => {
+        console.error(`Gas ${chain} RPC error:`, e.shortMessage || e.message);
+        return null;
+      })
+      : null,
+    chain === 'ethereum' && etherscan ? etherscan() : null
+  ]);
+  if (!rpc && !scan) return null;
+
+  // Compare what a standard transaction pays right now
+  const readings = [];
+  if (rpc) readings.push({ source: 'rpc', price: rpc.gasPrice.standard });
+  if (scan) readings.push({ source: 'etherscan', price: scan.standard });
+  const verified = verifyReadings(readings);
+
+  return {
+    chain,
+    chainId: info.chainId,
+    unit: 'gwei',
+    ...(rpc || {
+      blockNumber: scan.blockNumber,
+      baseFee: scan.baseFee,
+      gasPrice: { low: scan.low, standard: scan.standard, fast: scan.fast }
+    }),
+    etherscan: scan ? { low: scan.low, standard: scan.standard, fast: scan.fast, baseFee: scan.baseFee } : undefined,
+    sources: readings.length,
+    sourceNames: readings.map(r => r.source),
+    confidence: verified ? verified.confidence : null,
+    divergenceBps: verified ? verified.divergenceBps : null,
+    warning: verified ? verified.warning : null
+  };
+}
+
+/**
+ * Every configured chain; null when none answered. Ethereum's gas prices and
+ * base fee are also kept at the top level ({ low, standard, fast, baseFee,
+ * source }), the shape /gas served before it went multi-chain.
+ */
+async function fetchGas(chains = GAS_CHAINS, options) {
+  const results = await Promise.all(chains.map(chain => fetchChainGas(chain, options)));
+  const byChain = {};
+  chains.forEach((chain, i) => {
+    if (results[i]) byChain[chain] = results[i];
+  });
+  if (Object.keys(byChain).length === 0) return null;
+
+  const eth = byChain.ethereum;
+  const legacy = eth ? { ...eth.gasPrice, baseFee: eth.baseFee, source: eth.sourceNames[0] } : {};
+  return { timestamp: Math.floor(Date.now() / 1000), ...legacy, chains: byChain };
+}
+
+module.exports = {
+  GAS_CHAINS,
+  feeEstimates,
+  fetchChainGas,
+  fetchGas
+};
@@ -0,0 +1,101 @@
+/**
+ * MoltOracle — Data Hashing
+ * Canonical, versioned hash of a verified data point, used for on-chain attestation
+ *
+ * v2: keccak256(abi.encode(
+ *       uint8 version, string asset, string quote, uint256 price, string[] sources,
+ *       uint8 confidence, int16 divergenceBps, uint256 timestamp))
+ *
+ * quote is the currency the price is in ("USD", "EUR", "ETH", ...), so a
+ * BTC/ETH rate can never pass for a USD price. price has 8 decimals (the
+ * contract's fixed point), sources are the source names sorted ascending,
+ * timestamp is the snapshot time in unix seconds. Solidity recomputes it with
+ * the same abi.encode call.
+ *
+ * v1 is v2 without quote (USD only). Points recorded under v1 carry
+ * hashVersion 1 and still recompute.
+ */
+
+const { ethers } = require('ethers');
+
+const HASH_VERSION = 2;
+const PRICE_DECIMALS = 8;
+const DEFAULT_QUOTE = 'USD';
+
+const PREIMAGE_FIELDS = {
+  1: [
+    { name: 'version', type: 'uint8' },
+    { name: 'asset', type: 'string' },
+    { name: 'price', type: 'uint256' },
+    { name: 'sources', type: 'string[]' },
+    { name: 'confidence', type: 'uint8' },
+    { name: 'divergenceBps', type: 'int16' },
+    { name: 'timestamp', type: 'uint256' }
+  ],
+  2: [
+    { name: 'version', type: 'uint8' },
+    { name: 'asset', type: 'string' },
+    { name: 'quote', type: 'string' },
+    { name: 'price', type: 'uint256' },
+    { name: 'sources', type: 'string[]' },
+    { name: 'confidence', type: 'uint8' },
+    { name: 'divergenceBps', type: 'int16' },
+    { name: 'timestamp', type: 'uint256' }
+  ]
+};
+
+const coder = ethers.AbiCoder.defaultAbiCoder();
+
+// Price → contract fixed point (8 decimals)
+function toOnChainPrice(price) {
+  return ethers.parseUnits(price.toFixed(PRICE_DECIMALS), PRICE_DECIMALS);
+}
+
+const clamp = (n, min, max) => Math.min(Math.max(Math.round(n || 0), min), max);
+
+/**
+ * Normalize a verified price into the exact values that get ABI-encoded.
+ * info needs { price, sourceNames, confidence, divergenceBps } and may carry
+ * quote (default USD) and hashVersion (default the current version).
+ */
+function buildPreimage(asset, info, timestamp) {
+  const version = info.hashVersion ?? HASH_VERSION;
+  const fields = PREIMAGE_FIELDS[version];
+  if (!fields) throw new Error(`Unknown hash version ${version}`);
+  const quote = info.quote || DEFAULT_QUOTE;
+  if (version === 1 && quote !== DEFAULT_QUOTE) throw new Error('Hash v1 only covers USD prices');
+
+  const values = {
+    version,
+    asset,
+    quote,
+    price: toOnChainPrice(info.price).toString(),
+    sources: [...info.sourceNames].sort(),
+    confidence: clamp(info.confidence, 0, 100),
+    divergenceBps: clamp(info.divergenceBps, -32768, 32767),
+    timestamp
+  };
+  if (version === 1) delete values.quote;
+  const encoded = coder.encode(fields.map(f => f.type), fields.map(f => values[f.name]));
+  return {
+    hashVersion: version,
+    scheme: `keccak256(abi.encode(${fields.map(f => `${f.type} ${f.name}`).join(', ')}))`,
+    fields,
+    values,
+    encoded,
+    dataHash: ethers.keccak256(encoded)
+  };
+}
+
+function computeDataHash(asset, info, timestamp) {
+  return buildPreimage(asset, info, timestamp).dataHash;
+}
+
+module.exports = {
+  HASH_VERSION,
+  PRICE_DECIMALS,
+  DEFAULT_QUOTE,
+  toOnChainPrice,
+  buildPreimage,
+  computeDataHash
+};
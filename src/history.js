@@ -0,0 +1,182 @@
+/**
+ * MoltOracle — Historical Price Store
+ * Append-only JSONL files, one per UTC day, holding every verified snapshot
+ * with its per-source prices and the dataHash served (and attested) at the time.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { computeDataHash, HASH_VERSION } = require('./hash');
+
+const DAY = 86400;
+const MAX_TIME = 8.64e12; // the latest unix second a Date can hold
+const INTERVALS = { m: 60, h: 3600, d: DAY };
+
+// "5m", "1h", "1d" or plain seconds → seconds
+function parseInterval(value) {
+  if (/^\d+$/.test(String(value))) return parseInt(value);
+  const match = /^(\d+)([mhd])$/.exec(String(value));
+  return match ? parseInt(match[1]) * INTERVALS[match[2]] : null;
+}
+
+// Unix seconds or an ISO date → unix seconds
+function parseTime(value) {
+  if (value === undefined || value === '') return null;
+  if (/^\d+$/.test(String(value))) return parseInt(value);
+  const ms = Date.parse(value);
+  return Number.isNaN(ms) ? null : Math.floor(ms / 1000);
+}
+
+const dayOf = (timestamp) => new Date(timestamp * 1000).toISOString().slice(0, 10);
+
+// The fields needed to serve a price and recompute its dataHash
+function toRecord(snapshot) {
+  const prices = {};
+  for (const [asset, info] of Object.entries(snapshot.prices || {})) {
+    prices[asset] = {
+      price: info.price,
+      prices: info.prices,
+      sources: info.sources,
+      sourceNames: info.sourceNames,
+      confidence: info.confidence,
+      divergenceBps: info.divergenceBps,
+      volume24h: info.volume24h,
+      dataHash: info.dataHash || computeDataHash(asset, info, snapshot.timestamp),
+      hashVersion: info.hashVersion || HASH_VERSION
+    };
+  }
+  const record = { timestamp: snapshot.timestamp, prices };
+  return snapshot.id === undefined ? record : { id: snapshot.id, ...record };
+}
+
+/**
+ * Create a history store rooted at dir. Completed days are immutable, so
+ * their parsed records are kept in a small cache.
+ */
+function createHistoryStore({ dir, cachedDays = 7 }) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  const dayCache = new Map(); // "YYYY-MM-DD" → records (past days only)
+  let lastTimestamp = null;
+  let writing = Promise.resolve();
+
+  const fileFor = (day) => path.join(dir, `${day}.jsonl`);
+
+  // Snapshots are appended in order; the same snapshot is only stored once
+  function append(snapshot) {
+    if (!snapshot || snapshot.timestamp === lastTimestamp) return writing;
+    lastTimestamp = snapshot.timestamp;
+    const line = JSON.stringify(toRecord(snapshot)) + '\n';
+    const file = fileFor(dayOf(snapshot.timestamp));
+    writing = writing
+      .then(() => fs.promises.appendFile(file, line))
+      .catch((e) => console.error('History write error:', e.message));
+    return writing;
+  }
+
+  async function readDay(day) {
+    if (dayCache.has(day)) return dayCache.get(day);
+    let text;
+    try {
+      text = await fs.promises.readFile(fileFor(day), 'utf8');
+    } catch (e) {
+      if (e.code === 'ENOENT') return [];
+      throw e;
+    }
+    const records = [];
+    for (const line of text.split('\n')) {
+      if (!line) continue;
+      try { records.push(JSON.parse(line)); } catch (e) { /* torn write at crash; skip */ }
+    }
+    if (day < dayOf(Math.floor(Date.now() / 1000))) {
+      if (dayCache.size >= cachedDays) dayCache.delete(dayCache.keys().next().value);
+      dayCache.set(day, records);
+    }
+    return records;
+  }
+
+  // Every stored point for an asset with from <= timestamp <= to; only day
+  // files on disk are read, however wide the range
+  async function range(asset, from, to) {
+    if (from > MAX_TIME) return [];
+    const first = dayOf(Math.max(from, 0));
+    const last = to >= MAX_TIME ? null : dayOf(to);
+    const stored = (await days()).filter(day => day >= first && (last === null || day <= last)).reverse();
+    const points = [];
+    for (const day of stored) {
+      for (const r of await readDay(day)) {
+        if (r.timestamp < from || r.timestamp > to || !r.prices[asset]) continue;
+        points.push({ timestamp: r.timestamp, ...r.prices[asset] });
+      }
+    }
+    return points;
+  }
+
+  // Day files, newest first
+  async function days() {
+    await writing;
+    const files = await fs.promises.readdir(dir);
+    return files.filter(f => f.endsWith('.jsonl')).map(f => f.slice(0, -6)).sort().reverse();
+  }
+
+  // Highest snapshot id stored, so ids keep increasing across restarts
+  async function lastId() {
+    for (const day of await days()) {
+      const records = await readDay(day);
+      for (let i = records.length - 1; i >= 0; i--) {
+        if (records[i].id !== undefined) return records[i].id;
+      }
+    }
+    return 0;
+  }
+
+  // The stored record of snapshot `id`; ids increase with time, so search back from today
+  async function byId(id) {
+    for (const day of await days()) {
+      const records = (await readDay(day)).filter(r => r.id !== undefined);
+      if (!records.length) return null; // older days predate snapshot ids
+      if (records[0].id > id) continue;
+      return records.find(r => r.id === id) || null;
+    }
+    return null;
+  }
+
+  // What the oracle said at time T: the latest point at or before T (looks back one day)
+  async function at(asset, timestamp) {
+    const points = await range(asset, timestamp - DAY, timestamp);
+    return points.length ? points[points.length - 1] : null;
+  }
+
+  // OHLC candles over [from, to] in buckets of intervalSec
+  async function candles(asset, from, to, intervalSec) {
+    const buckets = new Map();
+    for (const p of await range(asset, from, to)) {
+      const start = p.timestamp - (p.timestamp % intervalSec);
+      if (!buckets.has(start)) buckets.set(start, []);
+      buckets.get(start).push(p);
+    }
+    return [...buckets.entries()].map(([start, points]) => {
+      const prices = points.map(p => p.price);
+      const close = points[points.length - 1];
+      return {
+        timestamp: start,
+        open: prices[0],
+        high: Math.max(...prices),
+        low: Math.min(...prices),
+        close: close.price,
+        samples: points.length,
+        minConfidence: Math.min(...points.map(p => p.confidence)),
+        closeTimestamp: close.timestamp,
+        closeDataHash: close.dataHash
+      };
+    });
+  }
+
+  return { append, range, at, candles, lastId, byId };
+}
+
+module.exports = {
+  createHistoryStore,
+  parseInterval,
+  parseTime
+};
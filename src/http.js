@@ -0,0 +1,211 @@
+/**
+ * MoltOracle — Resilient Upstream Calls
+ * Every upstream request goes through here: a hard timeout, bounded retries
+ * with jittered backoff, and a per-source circuit breaker that skips a failing
+ * source for a cooldown. Outcomes feed per-source health for /health.
+ */
+
+const https = require('https');
+const http = require('http');
+const { upstream } = require('./fixtures');
+const { isDown } = require('./simulate');
+
+const DEFAULTS = {
+  timeoutMs: 8000,
+  retries: 2,              // extra attempts after the first
+  retryDelayMs: 300,       // base backoff, doubled per attempt, ±50% jitter
+  maxRetryDelayMs: 5000,
+  failureThreshold: 5,     // consecutive failed calls that open the circuit
+  cooldownMs: 60000,       // how long an open circuit skips the source
+  maxBytes: 20 * 1024 * 1024
+};
+const HEALTH_WINDOW = 100; // recent calls kept per source for error rate and latency
+
+const overrides = new Map(); // source → options
+const sources = new Map(); // source → breaker and metrics
+
+// Per-source options, e.g. configureSource('coinbase', { timeoutMs: 4000, retries: 1 })
+function configureSource(name, options) {
+  overrides.set(name, { ...overrides.get(name), ...options });
+}
+
+function optionsFor(name, options = {}) {
+  return { ...DEFAULTS, ...overrides.get(name), ...options };
+}
+
+function stateOf(name) {
+  if (!sources.has(name)) {
+    sources.set(name, {
+      consecutiveFailures: 0,
+      openUntil: 0,
+      probing: false,
+      requests: 0,
+      failures: 0,
+      recent: [], // { ok, latencyMs }
+      lastSuccess: null,
+      lastFailure: null,
+      lastError: null
+    });
+  }
+  return sources.get(name);
+}
+
+function circuitOf(s) {
+  if (s.openUntil === 0) return 'closed';
+  return Date.now() < s.openUntil ? 'open' : 'half-open';
+}
+
+function record(s, ok, latencyMs, error, opts) {
+  s.requests++;
+  s.recent.push({ ok, latencyMs });
+  if (s.recent.length > HEALTH_WINDOW) s.recent.shift();
+  if (ok) {
+    s.consecutiveFailures = 0;
+    s.openUntil = 0;
+    s.lastSuccess = Date.now();
+  } else {
+    s.failures++;
+    s.consecutiveFailures++;
+    s.lastFailure = Date.now();
+    s.lastError = error.message;
+    // A failed probe re-opens at once; otherwise open after the threshold
+    if (s.openUntil !== 0 || s.consecutiveFailures >= opts.failureThreshold) s.openUntil = Date.now() + opts.cooldownMs;
+  }
+}
+
+// Network errors, timeouts, 429 and 5xx are worth another attempt; contract reverts are not
+function retryable(e) {
+  if (e.noRetry || e.code === 'CALL_EXCEPTION') return false;
+  return e.status === undefined || e.status === 429 || e.status >= 500;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function backoff(attempt, opts, e) {
+  if (e.retryAfterSec) return Math.min(e.retryAfterSec * 1000, opts.maxRetryDelayMs);
+  const base = opts.retryDelayMs * 2 ** attempt;
+  return Math.min(base * (0.5 + Math.random()), opts.maxRetryDelayMs);
+}
+
+/**
+ * Run fn() for a source through its circuit breaker, with timeout and retries.
+ * fn receives the attempt's timeout in ms. An open circuit fails fast with
+ * err.code === 'CIRCUIT_OPEN'.
+ */
+async function call(name, fn, options) {
+  const opts = optionsFor(name, options);
+  const s = stateOf(name);
+  const circuit = circuitOf(s);
+  if (circuit === 'open' || (circuit === 'half-open' && s.probing)) {
+    const err = new Error(`${name} circuit open until ${new Date(s.openUntil).toISOString()}`);
+    err.code = 'CIRCUIT_OPEN';
+    throw err;
+  }
+  // Only the probe clears the flag; calls that started earlier may finish during it
+  const isProbe = circuit === 'half-open';
+  if (isProbe) s.probing = true;
+
+  const started = Date.now();
+  try {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        if (isDown(name)) throw new Error(`${name} unreachable (simulated outage)`);
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+          timer = setTimeout(() => reject(new Error(`Timeout after ${opts.timeoutMs}ms`)), opts.timeoutMs);
+        });
+        const result = await Promise.race([fn(opts.timeoutMs), timeout]).finally(() => clearTimeout(timer));
+        record(s, true, Date.now() - started, null, opts);
+        return result;
+      } catch (e) {
+        // Half-open circuits get a single probe, no retries
+        if (attempt >= opts.retries || !retryable(e) || isProbe) throw e;
+        await sleep(backoff(attempt, opts, e));
+      }
+    }
+  } catch (e) {
+    record(s, false, Date.now() - started, e, opts);
+    throw e;
+  } finally {
+    if (isProbe) s.probing = false;
+  }
+}
+
+// One GET attempt → parsed JSON. Non-2xx responses reject with err.status.
+function getJson(url, timeoutMs, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const mod = url.startsWith('https') ? https : http;
+    const req = mod.get(url, { headers: { 'User-Agent': 'MoltOracle/1.0', Accept: 'application/json' } }, (res) => {
+      const chunks = [];
+      let size = 0;
+      res.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > maxBytes) req.destroy(Object.assign(new Error(`Response from ${new URL(url).host} over ${maxBytes} bytes`), { noRetry: true }));
+        else chunks.push(chunk);
+      });
+      res.on('end', () => {
+        const body = Buffer.concat(chunks).toString('utf8');
+        if (res.statusCode < 200 || res.statusCode >= 300) {
+          const err = new Error(`HTTP ${res.statusCode} from ${new URL(url).host}`);
+          err.status = res.statusCode;
+          if (res.headers['retry-after'] && /^\d+$/.test(res.headers['retry-after'])) err.retryAfterSec = parseInt(res.headers['retry-after']);
+          return reject(err);
+        }
+        try { resolve(JSON.parse(body)); }
+        catch (e) { reject(Object.assign(new Error(`Parse error from ${url}: ${e.message}`), { noRetry: true })); }
+      });
+      res.on('error', reject);
+    });
+    // Also abort the socket, not just the caller's wait
+    req.setTimeout(timeoutMs, () => req.destroy(new Error(`Timeout after ${timeoutMs}ms`)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * GET a JSON document on behalf of a source. Each attempt is recorded or
+ * replayed when UPSTREAM_FIXTURES is set (fixtures.js).
+ * fetchJson(url, { source: 'coingecko', timeoutMs?, retries?, ... })
+ */
+function fetchJson(url, { source = new URL(url).host, ...options } = {}) {
+  const opts = optionsFor(source, options);
+  return call(source, (timeoutMs) => upstream.json(url, () => getJson(url, timeoutMs, opts.maxBytes)), options);
+}
+
+const iso = (ms) => (ms ? new Date(ms).toISOString() : null);
+
+function percentile(sorted, p) {
+  return sorted.length ? sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))] : null;
+}
+
+// Per-source breaker state, error rate and latency over the recent window
+function getSourceHealth() {
+  const health = {};
+  for (const [name, s] of sources) {
+    const latencies = s.recent.filter(r => r.ok).map(r => r.latencyMs).sort((a, b) => a - b);
+    const recentFailures = s.recent.filter(r => !r.ok).length;
+    health[name] = {
+      circuit: circuitOf(s),
+      requests: s.requests,
+      failures: s.failures,
+      errorRate: s.recent.length ? Math.round(recentFailures / s.recent.length * 1000) / 1000 : 0,
+      latencyMs: {
+        avg: latencies.length ? Math.round(latencies.reduce((a, b) => a + b, 0) / latencies.length) : null,
+        p95: percentile(latencies, 0.95)
+      },
+      lastSuccess: iso(s.lastSuccess),
+      lastFailure: iso(s.lastFailure),
+      lastError: s.lastError,
+      openUntil: circuitOf(s) === 'open' ? iso(s.openUntil) : null
+    };
+  }
+  return health;
+}
+
+module.exports = {
+  DEFAULTS,
+  configureSource,
+  call,
+  fetchJson,
+  getSourceHealth
+};
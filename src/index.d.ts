@@ -0,0 +1,124 @@
+// Type declarations for the MoltOracle package entry (src/index.js)
+
+import type { Provider, Signer, TypedDataDomain } from 'ethers';
+
+export interface Reason {
+  code: string;
+  source?: string;
+  [detail: string]: unknown;
+}
+
+export interface Attestation {
+  id: number | null;
+  txHash: string;
+  blockNumber: number;
+  dataHash: string;
+  timestamp: number;
+}
+
+export interface Price {
+  asset: string;
+  price: number;
+  prices: Record<string, number>;
+  sources: number;
+  sourceNames: string[];
+  confidence: number;
+  divergenceBps: number;
+  reasons: Reason[];
+  warning: string | null;
+  /** Sources whose reading was older than their max age */
+  stale?: string[];
+  quote?: string;
+  timestamp: number;
+  dataHash: string;
+  hashVersion: number;
+  signature: string | null;
+  attestation?: Attestation | null;
+  /** Seconds since the snapshot was taken (GET /price/:asset) */
+  age?: number;
+  /** Served from an expired cache entry while it refreshes */
+  cacheStale?: boolean;
+  [field: string]: unknown;
+}
+
+export interface PriceMap {
+  id?: number;
+  timestamp: number;
+  prices: Record<string, Price>;
+  /** Assets left out for being below minConfidence */
+  belowConfidence: string[];
+  [field: string]: unknown;
+}
+
+export interface VerifyResult {
+  valid: boolean;
+  checked: number;
+  errors: string[];
+}
+
+export interface ClientVerifyResult extends VerifyResult {
+  onChain: Record<string, { attestationId: number | null; verified: boolean }> | null;
+}
+
+export interface ClientOptions {
+  baseUrl?: string;
+  apiKey?: string;
+  /** Single prices below this confidence are rejected; price maps leave them out */
+  minConfidence?: number;
+  /** Oracle address every signed response must recover to */
+  signer?: string;
+  domain?: TypedDataDomain;
+  /** Enables verify(response, { onChain: true }) */
+  provider?: Provider;
+  contractAddress?: string;
+  /** Pays 402 quotes with a signed EIP-3009 authorization */
+  payer?: Signer;
+  /** Highest price per call, in token units, the payer accepts */
+  maxPrice?: number | string;
+  /** Extra attempts: GET after network errors, timeouts and 5xx; other methods after 429s and failed connections only */
+  retries?: number;
+  retryDelayMs?: number;
+  maxRetryDelayMs?: number;
+  timeoutMs?: number;
+  fetch?: typeof fetch;
+}
+
+type Json = Record<string, any>;
+type Confidence = { minConfidence?: number };
+
+export interface Client {
+  request(method: string, route: string, options?: { query?: Record<string, unknown>; body?: unknown; headers?: Record<string, string> }): Promise<any>;
+  verify(response: Json, options?: { onChain?: boolean }): Promise<ClientVerifyResult>;
+  getPrice(asset: string, options?: { quote?: string } & Confidence): Promise<Price>;
+  getPreimage(asset: string, options?: { quote?: string }): Promise<Json>;
+  getPriceAt(asset: string, timestamp: number | string, options?: Confidence): Promise<Price>;
+  getPrices(options?: Confidence): Promise<PriceMap>;
+  getTwap(asset: string, options?: { window?: string; to?: number | string } & Confidence): Promise<Price>;
+  getHistory(asset: string, options?: { from?: number | string; to?: number | string; interval?: string }): Promise<Json>;
+  getSnapshot(id?: number, options?: Confidence): Promise<PriceMap>;
+  getTvl(): Promise<Json>;
+  getFearGreed(): Promise<Json>;
+  getStablecoins(): Promise<Json>;
+  getPeg(symbol: string, options?: Confidence): Promise<Json>;
+  getGas(chain?: string): Promise<Json>;
+  getYields(filters?: { chain?: string; project?: string; asset?: string; minTvl?: number; limit?: number }): Promise<Json>;
+  createMarket(market: Json): Promise<Json>;
+  getMarkets(filters?: { status?: 'open' | 'proposed' | 'final'; asset?: string }): Promise<Json>;
+  getMarket(id: string): Promise<Json>;
+  getMarketPreimage(id: string): Promise<Json>;
+  disputeMarket(id: string, reason?: string): Promise<Json>;
+  createAlert(alert: { url: string; condition: Json }): Promise<Json>;
+  getAlert(id: string, secret: string): Promise<Json>;
+  deleteAlert(id: string, secret: string): Promise<null>;
+  lookupHash(hash: string): Promise<Json>;
+  getSigner(): Promise<Json>;
+  getHealth(): Promise<Json>;
+}
+
+export function createClient(options?: ClientOptions): Client;
+export function verifyResponse(response: Json, options: { domain: TypedDataDomain; signer: string }): VerifyResult;
+export function buildDomain(chainId: number, verifyingContract: string): TypedDataDomain;
+export function computeDataHash(asset: string, info: Json, timestamp: number): string;
+export function buildPreimage(asset: string, info: Json, timestamp: number): Json;
+export const HASH_VERSION: number;
+export const PRICE_TYPES: Record<string, Array<{ name: string; type: string }>>;
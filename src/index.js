@@ -0,0 +1,18 @@
+/**
+ * MoltOracle — Package Entry
+ * The API client and verification helpers for consumers; run the API with `npm start`
+ */
+
+const { computeDataHash, buildPreimage, HASH_VERSION } = require('./hash');
+const { verifyResponse, buildDomain, PRICE_TYPES } = require('./signing');
+const { createClient } = require('./client');
+
+module.exports = {
+  createClient,
+  verifyResponse,
+  buildDomain,
+  computeDataHash,
+  buildPreimage,
+  HASH_VERSION,
+  PRICE_TYPES
+};
@@ -0,0 +1,467 @@
+/**
+ * MoltOracle — Prediction-Market Resolution
+ * Markets register a yes/no question about a price at a resolution time, e.g.
+ * "Will ETH be above $3000 at 2026-12-31T00:00Z?", and the rule that settles it:
+ *   spot   the verified price recorded at resolveAt
+ *   twap   the time-weighted average over the window ending at resolveAt
+ *   close  the last recorded price of the window (candle) ending at resolveAt
+ * Commit-and-finalize: once resolveAt has passed the oracle proposes an
+ * outcome with its evidence and an outcomeHash that commits to both. During
+ * the dispute window anyone can ask for a re-check against the recorded
+ * history; a re-check that disagrees revises the outcome and restarts the
+ * window. When the window closes unchanged the outcome is final and, with an
+ * oracle key, the outcomeHash is attested on-chain.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { toOnChainPrice, computeDataHash } = require('./hash');
+const { computeTwap, twapLabel, DEFAULT_MAX_GAP } = require('./twap');
+const { parseTime, parseInterval } = require('./history');
+
+const RULES = ['spot', 'twap', 'close'];
+const DEFAULT_WINDOWS = { twap: 3600, close: 86400 };
+const MAX_WINDOW = 7 * 86400;
+const MAX_HORIZON = 365 * 86400;
+const MIN_TWAP_COVERAGE = 0.9;
+const MAX_DISPUTES = 10;
+const MARKET_HASH_VERSION = 1;
+
+/**
+ * outcomeHash v1: keccak256(abi.encode(
+ *   uint8 version, string market, bytes32 question, string asset, string rule,
+ *   uint256 window, string comparator, uint256 threshold, uint256 resolveAt,
+ *   string outcome, uint256 value, uint8 confidence, bytes32[] evidence))
+ * question is keccak256 of its UTF-8 text; threshold and value have 8
+ * decimals; evidence lists the dataHashes of the prices the rule used.
+ */
+const OUTCOME_FIELDS = [
+  { name: 'version', type: 'uint8' },
+  { name: 'market', type: 'string' },
+  { name: 'question', type: 'bytes32' },
+  { name: 'asset', type: 'string' },
+  { name: 'rule', type: 'string' },
+  { name: 'window', type: 'uint256' },
+  { name: 'comparator', type: 'string' },
+  { name: 'threshold', type: 'uint256' },
+  { name: 'resolveAt', type: 'uint256' },
+  { name: 'outcome', type: 'string' },
+  { name: 'value', type: 'uint256' },
+  { name: 'confidence', type: 'uint8' },
+  { name: 'evidence', type: 'bytes32[]' }
+];
+
+const coder = ethers.AbiCoder.defaultAbiCoder();
+const isNum = (n) => typeof n === 'number' && Number.isFinite(n);
+const isTicker = (a) => typeof a === 'string' && /^[A-Z0-9]{1,15}$/.test(a);
+
+// Seconds, or "1h"-style intervals like /twap's window
+function parseWindow(value) {
+  return typeof value === 'number' ? value : parseInterval(value);
+}
+
+/**
+ * Validate a market definition:
+ * { question, asset, rule, above | below, resolveAt, window?, disputeSec? }
+ */
+function parseMarket(m, { now = Math.floor(Date.now() / 1000), defaultDisputeSec = 3600 } = {}) {
+  if (!m || typeof m !== 'object') throw new Error('market must be an object');
+  const asset = typeof m.asset === 'string' ? m.asset.toUpperCase() : m.asset;
+  if (typeof m.question !== 'string' || !m.question.trim() || m.question.length > 280) throw new Error('question must be 1..280 characters');
+  if (!isTicker(asset)) throw new Error('asset must be a ticker');
+  if (!RULES.includes(m.rule)) throw new Error(`rule must be one of ${RULES.join(', ')}`);
+  if (isNum(m.above) === isNum(m.below)) throw new Error('set exactly one of above or below');
+  const comparator = isNum(m.above) ? 'above' : 'below';
+  const threshold = m[comparator];
+  if (threshold <= 0) throw new Error(`${comparator} must be > 0`);
+
+  const resolveAt = typeof m.resolveAt === 'number' ? m.resolveAt : parseTime(m.resolveAt);
+  if (!Number.isInteger(resolveAt) || resolveAt <= now) throw new Error('resolveAt must be a future time (unix seconds or ISO 8601)');
+  if (resolveAt > now + MAX_HORIZON) throw new Error('resolveAt must be within a year');
+
+  let window = 0;
+  if (m.rule !== 'spot') {
+    window = m.window === undefined ? DEFAULT_WINDOWS[m.rule] : parseWindow(m.window);
+    if (!Number.isInteger(window) || window < 60 || window > MAX_WINDOW) throw new Error('window must be 1m to 7d, e.g. 15m, 1h, 1d');
+  } else if (m.window !== undefined) {
+    throw new Error('window only applies to twap and close');
+  }
+
+  const disputeSec = m.disputeSec === undefined ? defaultDisputeSec : m.disputeSec;
+  if (!Number.isInteger(disputeSec) || disputeSec < 60 || disputeSec > MAX_WINDOW) throw new Error('disputeSec must be 60..604800');
+
+  return { question: m.question.trim(), asset, rule: m.rule, window, comparator, threshold, resolveAt, disputeSec };
+}
+
+// A recorded history point as resolution evidence
+function pointEvidence(point) {
+  return {
+    timestamp: point.timestamp,
+    price: point.price,
+    prices: point.prices,
+    sourceNames: point.sourceNames,
+    confidence: point.confidence,
+    divergenceBps: point.divergenceBps,
+    dataHash: point.dataHash
+  };
+}
+
+/**
+ * Evaluate a market's rule against recorded history.
+ * Returns { value, confidence, divergenceBps, sourceNames, evidence,
+ * evidenceHashes }, or null when history does not (yet) cover the
+ * resolution time.
+ */
+async function evaluateRule(market, history) {
+  const { asset, rule, window, resolveAt } = market;
+
+  if (rule === 'spot') {
+    const point = await history.at(asset, resolveAt);
+    if (!point || resolveAt - point.timestamp > DEFAULT_MAX_GAP) return null;
+    return {
+      value: point.price,
+      confidence: point.confidence,
+      divergenceBps: point.divergenceBps,
+      sourceNames: point.sourceNames,
+      evidence: { snapshot: pointEvidence(point) },
+      evidenceHashes: [point.dataHash]
+    };
+  }
+
+  if (rule === 'close') {
+    const points = await history.range(asset, resolveAt - window, resolveAt - 1);
+    if (!points.length) return null;
+    const close = points[points.length - 1];
+    if (resolveAt - close.timestamp > DEFAULT_MAX_GAP) return null;
+    const prices = points.map(p => p.price);
+    return {
+      value: close.price,
+      confidence: close.confidence,
+      divergenceBps: close.divergenceBps,
+      sourceNames: close.sourceNames,
+      evidence: {
+        open: prices[0],
+        high: Math.max(...prices),
+        low: Math.min(...prices),
+        samples: points.length,
+        close: pointEvidence(close)
+      },
+      evidenceHashes: [close.dataHash]
+    };
+  }
+
+  // twap: the same computation, label and hash as /twap/:asset?window&to=resolveAt
+  const from = resolveAt - window;
+  const points = await history.range(asset, from - DEFAULT_MAX_GAP, resolveAt);
+  const result = computeTwap(points, { from, to: resolveAt });
+  if (!result || result.coverage < MIN_TWAP_COVERAGE) return null;
+  const label = twapLabel(asset, window);
+  const dataHash = computeDataHash(label, { ...result, price: result.twap }, resolveAt);
+  return {
+    value: result.twap,
+    confidence: result.confidence,
+    divergenceBps: result.divergenceBps,
+    sourceNames: result.sourceNames,
+    evidence: {
+      twap: {
+        asset: label,
+        from,
+        to: resolveAt,
+        samples: result.samples,
+        coverage: result.coverage,
+        gaps: result.gaps,
+        sourceNames: result.sourceNames,
+        confidence: result.confidence,
+        divergenceBps: result.divergenceBps,
+        dataHash
+      }
+    },
+    evidenceHashes: [dataHash]
+  };
+}
+
+// The exact values hashed into outcomeHash, so anyone can recompute it
+function buildOutcomePreimage(market, resolution) {
+  const values = {
+    version: MARKET_HASH_VERSION,
+    market: market.id,
+    question: ethers.keccak256(ethers.toUtf8Bytes(market.question)),
+    asset: market.asset,
+    rule: market.rule,
+    window: market.window,
+    comparator: market.comparator,
+    threshold: toOnChainPrice(market.threshold).toString(),
+    resolveAt: market.resolveAt,
+    outcome: resolution.outcome,
+    value: resolution.value === null ? '0' : toOnChainPrice(resolution.value).toString(),
+    confidence: Math.min(Math.max(Math.round(resolution.confidence || 0), 0), 100),
+    evidence: resolution.evidenceHashes
+  };
+  const encoded = coder.encode(OUTCOME_FIELDS.map(f => f.type), OUTCOME_FIELDS.map(f => values[f.name]));
+  return {
+    hashVersion: MARKET_HASH_VERSION,
+    scheme: `keccak256(abi.encode(${OUTCOME_FIELDS.map(f => `${f.type} ${f.name}`).join(', ')}))`,
+    fields: OUTCOME_FIELDS,
+    values,
+    encoded,
+    outcomeHash: ethers.keccak256(encoded)
+  };
+}
+
+/**
+ * The outcome of a market from an evaluated rule (null = no data).
+ * "yes"/"no" compare the value with the threshold; "invalid" means the oracle
+ * will not call it: no recorded data, or confidence below minConfidence.
+ */
+function decide(market, evaluated, { minConfidence, now }) {
+  let outcome;
+  let reason = null;
+  if (!evaluated) {
+    outcome = 'invalid';
+    reason = 'NO_DATA';
+  } else if (evaluated.confidence < minConfidence) {
+    outcome = 'invalid';
+    reason = 'LOW_CONFIDENCE';
+  } else {
+    const yes = market.comparator === 'above' ? evaluated.value > market.threshold : evaluated.value < market.threshold;
+    outcome = yes ? 'yes' : 'no';
+  }
+  const resolution = {
+    outcome,
+    reason,
+    value: evaluated ? evaluated.value : null,
+    confidence: evaluated ? evaluated.confidence : 0,
+    divergenceBps: evaluated ? evaluated.divergenceBps : null,
+    sourceNames: evaluated ? evaluated.sourceNames : [],
+    evidence: evaluated ? evaluated.evidence : null,
+    evidenceHashes: evaluated ? evaluated.evidenceHashes : [],
+    resolvedAt: now
+  };
+  resolution.outcomeHash = buildOutcomePreimage(market, resolution).outcomeHash;
+  resolution.hashVersion = MARKET_HASH_VERSION;
+  return resolution;
+}
+
+// A final market as a publisher entry: label MARKET:<id>, dataHash = outcomeHash
+function toAttestation(market) {
+  const { resolution } = market;
+  const preimage = buildOutcomePreimage(market, resolution);
+  return {
+    asset: `MARKET:${market.id}`,
+    usdPrice: resolution.value || 0,
+    price: BigInt(preimage.values.value),
+    sourceCount: Math.min(resolution.sourceNames.length, 255),
+    confidence: preimage.values.confidence,
+    divergenceBps: Math.min(Math.max(Math.round(resolution.divergenceBps || 0), -32768), 32767),
+    dataHash: preimage.outcomeHash,
+    timestamp: market.resolveAt
+  };
+}
+
+/**
+ * Create the market manager. Markets persist to `file`.
+ * history: the history store the rules read; attest(batch) → records is the
+ * publisher's publishBatch, or null to skip on-chain attestation.
+ */
+function createMarketManager({
+  file = null,
+  history,
+  attest = null,
+  isKnownAsset = () => true,
+  minConfidence = 50,
+  defaultDisputeSec = 3600,
+  settleSec = 60,
+  resolveTimeoutSec = 86400,
+  maxAttestAttempts = 3,
+  maxMarkets = 1000,
+  maxPerOwner = 20
+} = {}) {
+  const markets = new Map(); // id → market
+  let timer = null;
+  let ticking = null;
+
+  if (file && fs.existsSync(file)) {
+    for (const market of JSON.parse(fs.readFileSync(file, 'utf8'))) markets.set(market.id, market);
+  }
+
+  function save() {
+    if (!file) return;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify([...markets.values()], null, 2), { mode: 0o600 });
+  }
+
+  function publicView(market) {
+    const { owner, attestAttempts, ...rest } = market;
+    return rest;
+  }
+
+  const isActive = (m) => m.status !== 'final';
+
+  function register(definition, owner, now = Math.floor(Date.now() / 1000)) {
+    const parsed = parseMarket(definition, { now, defaultDisputeSec });
+    if (!isKnownAsset(parsed.asset)) throw new Error(`Unknown asset ${parsed.asset}`);
+    const active = [...markets.values()].filter(isActive);
+    if (active.length >= maxMarkets) throw new Error('Market capacity reached');
+    if (active.filter(m => m.owner === owner).length >= maxPerOwner) throw new Error(`At most ${maxPerOwner} open markets per client`);
+
+    const market = {
+      id: crypto.randomUUID(),
+      ...parsed,
+      status: 'open',
+      owner,
+      createdAt: now,
+      resolution: null,
+      disputeUntil: null,
+      disputes: [],
+      revisions: [],
+      finalizedAt: null,
+      attestation: null,
+      attestationError: null,
+      attestAttempts: 0
+    };
+    markets.set(market.id, market);
+    save();
+    return publicView(market);
+  }
+
+  function get(id) {
+    const market = markets.get(id);
+    return market ? publicView(market) : null;
+  }
+
+  function list({ status = null, asset = null } = {}) {
+    return [...markets.values()]
+      .filter(m => !status || m.status === status)
+      .filter(m => !asset || m.asset === asset)
+      .sort((a, b) => a.resolveAt - b.resolveAt)
+      .map(publicView);
+  }
+
+  function preimage(id) {
+    const market = markets.get(id);
+    return market && market.resolution ? buildOutcomePreimage(market, market.resolution) : null;
+  }
+
+  // Propose an outcome once resolveAt has settled; with no data, keep retrying until resolveTimeoutSec
+  async function resolve(market, now) {
+    const evaluated = await evaluateRule(market, history);
+    if (!evaluated && now < market.resolveAt + resolveTimeoutSec) return false;
+    market.resolution = decide(market, evaluated, { minConfidence, now });
+    market.status = 'proposed';
+    market.disputeUntil = now + market.disputeSec;
+    return true;
+  }
+
+  // Re-evaluate a proposed outcome; a different outcomeHash replaces it and restarts the window
+  async function recheck(market, now) {
+    const evaluated = await evaluateRule(market, history);
+    const resolution = decide(market, evaluated, { minConfidence, now });
+    if (resolution.outcomeHash === market.resolution.outcomeHash) return false;
+    market.revisions.push(market.resolution);
+    market.resolution = resolution;
+    market.disputeUntil = now + market.disputeSec;
+    return true;
+  }
+
+  async function attestOutcome(market) {
+    market.attestAttempts++;
+    try {
+      const [record] = await attest([toAttestation(market)]);
+      market.attestation = { id: record.id, txHash: record.txHash, blockNumber: record.blockNumber, dataHash: record.dataHash };
+      market.attestationError = null;
+    } catch (e) {
+      market.attestationError = e.shortMessage || e.message;
+      console.error(`Market ${market.id} attestation error:`, market.attestationError);
+    }
+  }
+
+  /**
+   * Dispute a proposed outcome: re-check it against recorded history now.
+   * Returns { result: 'upheld' | 'revised', market }; throws if the market
+   * is not in its dispute window.
+   */
+  async function dispute(id, reason = null, now = Math.floor(Date.now() / 1000)) {
+    const market = markets.get(id);
+    if (!market) return null;
+    if (reason !== null && (typeof reason !== 'string' || reason.length > 500)) throw new Error('reason must be a string of at most 500 characters');
+    if (market.status !== 'proposed' || now >= market.disputeUntil) throw new Error('Market is not in its dispute window');
+    if (market.disputes.length >= MAX_DISPUTES) throw new Error(`At most ${MAX_DISPUTES} disputes per market`);
+
+    const previous = market.resolution.outcomeHash;
+    const revised = await recheck(market, now);
+    const entry = { at: now, reason, result: revised ? 'revised' : 'upheld', previousOutcomeHash: previous, outcomeHash: market.resolution.outcomeHash };
+    market.disputes.push(entry);
+    save();
+    return { ...entry, market: publicView(market) };
+  }
+
+  /**
+   * Advance every market: resolve those past resolveAt + settleSec, finalize
+   * those whose dispute window closed (after a last re-check), and attest
+   * final outcomes. Returns the ids of markets that changed.
+   */
+  async function tick(now = Math.floor(Date.now() / 1000)) {
+    const changed = [];
+    for (const market of markets.values()) {
+      try {
+        if (market.status === 'open' && now >= market.resolveAt + settleSec) {
+          if (await resolve(market, now)) changed.push(market.id);
+        } else if (market.status === 'proposed' && now >= market.disputeUntil) {
+          if (!(await recheck(market, now))) {
+            market.status = 'final';
+            market.finalizedAt = now;
+          }
+          changed.push(market.id);
+        }
+        if (market.status === 'final' && attest && !market.attestation && market.attestAttempts < maxAttestAttempts) {
+          await attestOutcome(market);
+          changed.push(market.id);
+        }
+      } catch (e) {
+        console.error(`Market ${market.id} error:`, e.message);
+      }
+    }
+    if (changed.length) save();
+    return [...new Set(changed)];
+  }
+
+  function start(intervalMs = 30000) {
+    if (timer) return;
+    const run = () => {
+      if (!ticking) ticking = tick().finally(() => { ticking = null; });
+    };
+    run();
+    timer = setInterval(run, intervalMs);
+    timer.unref();
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  // Tickers of unresolved markets, so refreshes keep recording them
+  function assets() {
+    return [...new Set([...markets.values()].filter(isActive).map(m => m.asset))];
+  }
+
+  function count() {
+    const counts = { open: 0, proposed: 0, final: 0 };
+    for (const m of markets.values()) counts[m.status]++;
+    return counts;
+  }
+
+  return { register, get, list, preimage, dispute, tick, start, stop, assets, count };
+}
+
+module.exports = {
+  RULES,
+  MARKET_HASH_VERSION,
+  parseMarket,
+  evaluateRule,
+  buildOutcomePreimage,
+  toAttestation,
+  createMarketManager
+};
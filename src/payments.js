@@ -0,0 +1,286 @@
+/**
+ * MoltOracle — Pay-per-Call (HTTP 402)
+ * Premium routes answer 402 with a price quote. The client retries with an
+ * X-Payment header carrying either a signed EIP-3009 transferWithAuthorization
+ * (the server relays it) or the hash of a token transfer it already sent.
+ * Data is served only after the payment has confirmed on-chain.
+ */
+
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+
+const ERC3009_ABI = [
+  'function name() view returns (string)',
+  'function version() view returns (string)',
+  'function symbol() view returns (string)',
+  'function decimals() view returns (uint8)',
+  'function authorizationState(address authorizer, bytes32 nonce) view returns (bool)',
+  'function transferWithAuthorization(address from, address to, uint256 value, uint256 validAfter, uint256 validBefore, bytes32 nonce, uint8 v, bytes32 r, bytes32 s)',
+  'event Transfer(address indexed from, address indexed to, uint256 value)'
+];
+
+const AUTHORIZATION_TYPES = {
+  TransferWithAuthorization: [
+    { name: 'from', type: 'address' },
+    { name: 'to', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'validAfter', type: 'uint256' },
+    { name: 'validBefore', type: 'uint256' },
+    { name: 'nonce', type: 'bytes32' }
+  ]
+};
+
+const CLOCK_SKEW = 60;
+const PAID_TX_TTL = 30 * 86400;
+
+// X-Payment / X-Payment-Receipt headers are base64-encoded JSON
+const encodeHeader = (obj) => Buffer.from(JSON.stringify(obj)).toString('base64');
+
+function decodeHeader(value) {
+  try {
+    return JSON.parse(Buffer.from(value, 'base64').toString('utf8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Client side: sign an EIP-3009 authorization that pays a 402 quote and
+ * return the X-Payment header value.
+ */
+async function signAuthorization(signer, quote, now = Math.floor(Date.now() / 1000)) {
+  const authorization = {
+    from: await signer.getAddress(),
+    to: quote.recipient,
+    value: quote.amount,
+    validAfter: '0',
+    validBefore: String(Math.min(quote.expiresAt, now + 600)),
+    nonce: quote.nonce
+  };
+  const signature = await signer.signTypedData(quote.eip712.domain, AUTHORIZATION_TYPES, authorization);
+  return encodeHeader({ scheme: 'eip3009', nonce: quote.nonce, authorization, signature });
+}
+
+// What a tx-hash payer signs: binds the transfer to the quote it pays
+function transferClaim(nonce, txHash) {
+  return `MoltOracle payment\nquote: ${nonce}\ntx: ${txHash.toLowerCase()}`;
+}
+
+/**
+ * Client side: the X-Payment header value for a transfer already sent.
+ * signer must be the transfer's sender; its signature over the quote nonce
+ * and tx hash stops anyone else claiming the transfer for their own quote.
+ */
+async function txPayment(signer, quote, txHash) {
+  const signature = await signer.signMessage(transferClaim(quote.nonce, txHash));
+  return encodeHeader({ scheme: 'tx', nonce: quote.nonce, txHash, signature });
+}
+
+/**
+ * Create the payment gate.
+ * prices: { routePath: amount in token units, e.g. { '/snapshot': '0.01' } }
+ * relayer: signer that submits EIP-3009 authorizations (pays gas); without
+ *   one only tx-hash payments are accepted
+ * store: key/value store (store.js) for quotes and replay protection
+ */
+function createPaymentGate({
+  provider,
+  tokenAddress,
+  recipient,
+  prices,
+  store,
+  relayer = null,
+  quoteTtlSec = 300,
+  minConfirmations = 1
+}) {
+  if (!provider) throw new Error('Payment gate requires a provider');
+  if (!ethers.isAddress(tokenAddress) || !ethers.isAddress(recipient)) throw new Error('Payment gate requires token and recipient addresses');
+
+  const token = new ethers.Contract(tokenAddress, ERC3009_ABI, provider);
+  const transferTopic = token.interface.getEvent('Transfer').topicHash;
+  let tokenInfo = null;
+
+  // Token metadata and EIP-712 domain, read once from the token itself
+  async function describeToken() {
+    if (tokenInfo) return tokenInfo;
+    const [name, symbol, decimals, network] = await Promise.all([token.name(), token.symbol(), token.decimals(), provider.getNetwork()]);
+    const version = await token.version().catch(() => '1');
+    tokenInfo = {
+      address: ethers.getAddress(tokenAddress),
+      symbol,
+      decimals: Number(decimals),
+      chainId: Number(network.chainId),
+      domain: { name, version, chainId: Number(network.chainId), verifyingContract: ethers.getAddress(tokenAddress) }
+    };
+    return tokenInfo;
+  }
+
+  function priceFor(route) {
+    return prices[route] || null;
+  }
+
+  // A fresh quote for one call of `resource`; the nonce doubles as the EIP-3009 nonce
+  async function quote(resource) {
+    const info = await describeToken();
+    const now = Math.floor(Date.now() / 1000);
+    const q = {
+      resource,
+      amount: ethers.parseUnits(String(priceFor(resource)), info.decimals).toString(),
+      price: String(priceFor(resource)),
+      token: info.address,
+      symbol: info.symbol,
+      decimals: info.decimals,
+      chainId: info.chainId,
+      recipient: ethers.getAddress(recipient),
+      nonce: ethers.hexlify(crypto.randomBytes(32)),
+      issuedAt: now,
+      expiresAt: now + quoteTtlSec,
+      schemes: relayer ? ['eip3009', 'tx'] : ['tx'],
+      eip712: { domain: info.domain, primaryType: 'TransferWithAuthorization', types: AUTHORIZATION_TYPES }
+    };
+    await store.set(`quote:${q.nonce}`, q, quoteTtlSec + CLOCK_SKEW);
+    return q;
+  }
+
+  // Single use: only the first caller to claim a key gets true
+  async function claim(key, ttlSec) {
+    return (await store.incr(key, ttlSec)) === 1;
+  }
+
+  async function verifyAuthorization(q, payment) {
+    const auth = payment.authorization || {};
+    const now = Math.floor(Date.now() / 1000);
+    if (!relayer) return { ok: false, reason: 'EIP-3009 payments are not accepted here; send a tx hash' };
+    if (!ethers.isAddress(auth.from) || !ethers.isAddress(auth.to)) return { ok: false, reason: 'Malformed authorization' };
+    if (auth.to.toLowerCase() !== q.recipient.toLowerCase()) return { ok: false, reason: 'Authorization pays the wrong recipient' };
+    if (auth.nonce !== q.nonce) return { ok: false, reason: 'Authorization nonce does not match the quote' };
+    let value;
+    let validAfter;
+    let validBefore;
+    try {
+      value = BigInt(auth.value);
+      validAfter = BigInt(auth.validAfter);
+      validBefore = BigInt(auth.validBefore);
+    } catch (e) {
+      return { ok: false, reason: 'Malformed authorization' };
+    }
+    if (value < BigInt(q.amount)) return { ok: false, reason: `Authorization value below quoted ${q.amount}` };
+    if (validAfter > BigInt(now) || validBefore <= BigInt(now + CLOCK_SKEW)) return { ok: false, reason: 'Authorization is not currently valid' };
+
+    let signer;
+    try {
+      signer = ethers.verifyTypedData(q.eip712.domain, AUTHORIZATION_TYPES, auth, payment.signature);
+    } catch (e) {
+      return { ok: false, reason: 'Malformed signature' };
+    }
+    if (signer.toLowerCase() !== auth.from.toLowerCase()) return { ok: false, reason: 'Signature does not match authorization.from' };
+
+    // Simulate first so a short balance or used nonce is a 402, not a reverted relay
+    const sig = ethers.Signature.from(payment.signature);
+    const args = [auth.from, auth.to, value, validAfter, validBefore, auth.nonce, sig.v, sig.r, sig.s];
+    const relay = token.connect(relayer);
+    try {
+      await relay.transferWithAuthorization.staticCall(...args);
+    } catch (e) {
+      // Hardhat's in-process provider reports reverts without ethers' error code
+      if (e.code !== 'CALL_EXCEPTION' && !/revert/.test(e.message)) throw e;
+      return { ok: false, reason: `Token rejected the authorization: ${e.reason || e.shortMessage || e.message}` };
+    }
+    if (!(await claim(`claim:${q.nonce}`, PAID_TX_TTL))) return { ok: false, reason: 'Quote already paid' };
+
+    const tx = await relay.transferWithAuthorization(...args);
+    const receipt = await tx.wait(minConfirmations);
+    return { ok: true, receipt: { scheme: 'eip3009', txHash: receipt.hash, payer: ethers.getAddress(auth.from), amount: value.toString(), nonce: q.nonce } };
+  }
+
+  async function verifyTransfer(q, payment) {
+    if (!/^0x[0-9a-fA-F]{64}$/.test(payment.txHash || '')) return { ok: false, reason: 'Malformed txHash' };
+    let claimant;
+    try {
+      claimant = ethers.verifyMessage(transferClaim(q.nonce, payment.txHash), payment.signature);
+    } catch (e) {
+      return { ok: false, reason: 'Missing or malformed payer signature' };
+    }
+    const receipt = await provider.getTransactionReceipt(payment.txHash);
+    if (!receipt) return { ok: false, reason: 'Transaction not found or still pending' };
+    if (receipt.status !== 1) return { ok: false, reason: 'Transaction reverted' };
+    if ((await receipt.confirmations()) < minConfirmations) return { ok: false, reason: `Waiting for ${minConfirmations} confirmations` };
+
+    // Only transfers sent after the quote count, so old payments can't be replayed
+    const block = await provider.getBlock(receipt.blockNumber);
+    if (block.timestamp < q.issuedAt - CLOCK_SKEW) return { ok: false, reason: 'Transaction predates the quote' };
+
+    // Only transfers from the signer count: a transfer seen on-chain can't be claimed by someone else
+    let paid = 0n;
+    let sent = false;
+    for (const log of receipt.logs) {
+      if (log.address.toLowerCase() !== q.token.toLowerCase() || log.topics[0] !== transferTopic) continue;
+      const { args } = token.interface.parseLog(log);
+      if (args.to.toLowerCase() !== q.recipient.toLowerCase()) continue;
+      sent = true;
+      if (args.from.toLowerCase() === claimant.toLowerCase()) paid += args.value;
+    }
+    if (sent && paid === 0n) return { ok: false, reason: 'Payer signature does not match the transfer sender' };
+    if (paid < BigInt(q.amount)) return { ok: false, reason: `Transfer of ${paid} ${q.symbol} units below quoted ${q.amount}` };
+
+    // Claim the quote first, so a transfer is only spent on a quote it actually pays
+    if (!(await claim(`claim:${q.nonce}`, PAID_TX_TTL))) return { ok: false, reason: 'Quote already paid' };
+    if (!(await claim(`paidtx:${payment.txHash.toLowerCase()}`, PAID_TX_TTL))) {
+      await store.del(`claim:${q.nonce}`);
+      return { ok: false, reason: 'Transaction already used' };
+    }
+    return { ok: true, receipt: { scheme: 'tx', txHash: receipt.hash, payer: claimant, amount: paid.toString(), nonce: q.nonce } };
+  }
+
+  /**
+   * Check an X-Payment header against its quote. Returns { ok, receipt } or
+   * { ok: false, reason }; RPC failures throw.
+   */
+  async function verify(resource, header) {
+    const payment = decodeHeader(header);
+    if (!payment || typeof payment.nonce !== 'string') return { ok: false, reason: 'Malformed X-Payment header' };
+    const q = await store.get(`quote:${payment.nonce}`);
+    if (!q || q.expiresAt < Math.floor(Date.now() / 1000)) return { ok: false, reason: 'Unknown or expired quote' };
+    if (q.resource !== resource) return { ok: false, reason: `Quote is for ${q.resource}` };
+
+    const result = payment.scheme === 'eip3009' ? await verifyAuthorization(q, payment)
+      : payment.scheme === 'tx' ? await verifyTransfer(q, payment)
+        : { ok: false, reason: 'scheme must be eip3009 or tx' };
+    if (result.ok) await store.del(`quote:${q.nonce}`);
+    return result;
+  }
+
+  // Express middleware for any route with a price; others pass straight through
+  async function handle(req, res, next) {
+    const resource = req.route ? req.route.path : req.path;
+    if (!priceFor(resource)) return next();
+    try {
+      const header = req.get('X-Payment');
+      if (!header) return res.status(402).json({ error: 'Payment required', payment: await quote(resource) });
+
+      const result = await verify(resource, header);
+      if (!result.ok) return res.status(402).json({ error: `Payment rejected: ${result.reason}`, payment: await quote(resource) });
+      res.setHeader('X-Payment-Receipt', encodeHeader(result.receipt));
+      req.payment = result.receipt;
+      next();
+    } catch (e) {
+      res.status(503).json({ error: `Payment verification failed: ${e.shortMessage || e.message}` });
+    }
+  }
+
+  function describe() {
+    return { token: tokenAddress, recipient, prices, schemes: relayer ? ['eip3009', 'tx'] : ['tx'], quoteTtlSec, minConfirmations };
+  }
+
+  return { priceFor, quote, verify, handle, describe };
+}
+
+module.exports = {
+  ERC3009_ABI,
+  AUTHORIZATION_TYPES,
+  createPaymentGate,
+  signAuthorization,
+  txPayment,
+  encodeHeader,
+  decodeHeader
+};
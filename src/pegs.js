@@ -0,0 +1,103 @@
+/**
+ * MoltOracle — Stablecoin Pegs
+ * Peg status for every registry asset with a "peg": the cross-verified price's
+ * deviation from its peg, the same per venue, a depeg severity level and
+ * circulating-supply changes over 24h and 7d. Computed once per snapshot.
+ */
+
+// Upper bound (exclusive) of |deviation| in bps for each level
+const SEVERITY_LEVELS = [
+  { level: 'pegged', belowBps: 25 },
+  { level: 'minor', belowBps: 100 },
+  { level: 'moderate', belowBps: 300 },
+  { level: 'severe', belowBps: 1000 },
+  { level: 'critical', belowBps: Infinity }
+];
+const SUPPLY_OUTFLOW_PCT = -2; // 24h supply drop that warns of heavy redemptions
+
+const bpsFrom = (price, peg) => Math.round((price - peg) / peg * 10000);
+
+function severityFor(deviationBps) {
+  const abs = Math.abs(deviationBps);
+  return SEVERITY_LEVELS.find(s => abs < s.belowBps).level;
+}
+
+function change(now, before) {
+  if (typeof before !== 'number' || before <= 0) return null;
+  return { usd: Math.round(now - before), pct: Math.round((now - before) / before * 10000) / 100 };
+}
+
+// Circulating supply and its 24h / 7d change from a DeFiLlama stablecoins entry
+function supplyChanges(entry) {
+  if (!entry) return null;
+  return {
+    circulating: entry.circulating,
+    change24h: change(entry.circulating, entry.circulatingPrevDay),
+    change7d: change(entry.circulating, entry.circulatingPrevWeek),
+    source: 'defillama'
+  };
+}
+
+/**
+ * Peg status of one stablecoin from its verified price (verifyReadings output).
+ * Each venue's deviation is listed with its book's quote currency (USDT books
+ * are already converted to USD), and excluded outliers are marked.
+ */
+function pegStatus(symbol, info, { peg = 1, supply = null } = {}) {
+  const deviationBps = bpsFrom(info.price, peg);
+  const severity = severityFor(deviationBps);
+
+  const venues = {};
+  for (const [source, price] of Object.entries(info.prices || {})) {
+    venues[source] = {
+      price,
+      deviationBps: bpsFrom(price, peg),
+      quote: (info.quotes && info.quotes[source]) || 'USD',
+      excluded: (info.excluded || []).includes(source)
+    };
+  }
+
+  const warnings = [];
+  if (severity !== 'pegged') warnings.push(`DEPEG ${severity.toUpperCase()}: ${deviationBps}bps from $${peg}`);
+  if (supply && supply.change24h && supply.change24h.pct <= SUPPLY_OUTFLOW_PCT) warnings.push(`SUPPLY OUTFLOW: ${supply.change24h.pct}% in 24h`);
+  if (info.warning) warnings.push(info.warning);
+
+  return {
+    symbol,
+    peg,
+    price: info.price,
+    deviationBps,
+    severity,
+    venues,
+    sources: info.sources,
+    sourceNames: info.sourceNames,
+    confidence: info.confidence,
+    divergenceBps: info.divergenceBps,
+    supply,
+    warning: warnings.length ? warnings.join('; ') : null
+  };
+}
+
+/**
+ * Peg status for every pegged asset priced in a snapshot.
+ * pegged: { SYMBOL: peg } (assets.getPeggedAssets()); stablecoins: the
+ * stablecoins dataset, for supply.
+ */
+function computePegs(prices, pegged, stablecoins = null) {
+  const entries = (stablecoins && stablecoins.stablecoins) || [];
+  const pegs = {};
+  for (const [symbol, peg] of Object.entries(pegged)) {
+    if (!prices[symbol]) continue;
+    const supply = supplyChanges(entries.find(s => String(s.symbol).toUpperCase() === symbol));
+    pegs[symbol] = pegStatus(symbol, prices[symbol], { peg, supply });
+  }
+  return pegs;
+}
+
+module.exports = {
+  SEVERITY_LEVELS,
+  severityFor,
+  supplyChanges,
+  pegStatus,
+  computePegs
+};
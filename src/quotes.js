@@ -0,0 +1,90 @@
+/**
+ * MoltOracle — Multi-Currency Quotes
+ * Prices in the registry's quote currencies (EUR, ETH, BTC, USDC, ...) besides
+ * USD. Direct quotes come from CoinGecko's vs_currencies and the registry's
+ * direct order books ("pairs"). The cross rate through USD, asset/USD ÷
+ * quote/USD from the same snapshot, is always computed and counts as one more
+ * reading, so a pair with no direct market is still served.
+ */
+
+const { fetchCoinGecko, fetchBinance, fetchCoinbase, fetchKraken, fetchOKX, verifyReadings } = require('./sources');
+const { pairIds } = require('./assets');
+
+const GECKO_QUOTES = ['EUR', 'ETH', 'BTC']; // vs_currencies CoinGecko prices directly
+const BOOK_SOURCES = { binance: fetchBinance, coinbase: fetchCoinbase, kraken: fetchKraken, okx: fetchOKX };
+const CROSS_SOURCE = 'usd-cross';
+
+// Label used as the "asset" when a quoted price is hashed, signed or attested, e.g. "BTC/EUR"
+function quoteLabel(asset, quote) {
+  return `${asset}/${quote}`;
+}
+
+// One leg as evidence: the snapshot price it came from
+function legOf(asset, info) {
+  return { asset, price: info.price, confidence: info.confidence, divergenceBps: info.divergenceBps, dataHash: info.dataHash };
+}
+
+/**
+ * The cross rate through USD as a reading. Its confidence is the weaker
+ * leg's; the legs' divergences add up, as both errors land in the ratio.
+ */
+function crossRate(base, quoteLeg) {
+  return {
+    source: CROSS_SOURCE,
+    price: base.price / quoteLeg.price,
+    confidence: Math.min(base.confidence, quoteLeg.confidence),
+    divergenceBps: (base.divergenceBps || 0) + (quoteLeg.divergenceBps || 0)
+  };
+}
+
+// Direct readings of asset in quote from every source that has the pair; never throws
+async function fetchDirectQuotes(asset, quote) {
+  const jobs = [];
+  if (GECKO_QUOTES.includes(quote)) jobs.push(fetchCoinGecko([asset], { vs: quote.toLowerCase() }));
+  for (const [name, fetchBook] of Object.entries(BOOK_SOURCES)) {
+    const ids = pairIds(name, quote);
+    if (ids[asset] !== undefined) jobs.push(fetchBook([asset], { ids, quote }));
+  }
+  const results = await Promise.all(jobs);
+  return results.map(result => result[asset]).filter(Boolean);
+}
+
+/**
+ * asset priced in quote from a snapshot's USD prices and any direct readings.
+ * Direct readings and the cross rate are aggregated like any other sources.
+ * When fewer than two direct quotes make the quorum, the cross rate carries
+ * the result and its legs cap confidence and set the divergence floor.
+ * Returns null when either leg is missing from the snapshot.
+ */
+function priceInQuote(asset, quote, prices, direct = []) {
+  const base = prices[asset];
+  const leg = prices[quote];
+  if (!base || !leg) return null;
+
+  const cross = crossRate(base, leg);
+  const verified = verifyReadings([...direct, cross]);
+  const directInQuorum = verified.sourceNames.filter(name => name !== CROSS_SOURCE).length;
+  let { confidence, divergenceBps } = verified;
+  if (directInQuorum < 2 && verified.sourceNames.includes(CROSS_SOURCE)) {
+    confidence = directInQuorum ? Math.min(confidence, cross.confidence) : cross.confidence;
+    divergenceBps = Math.max(divergenceBps, cross.divergenceBps);
+  }
+
+  return {
+    ...verified,
+    asset: quoteLabel(asset, quote),
+    base: asset,
+    quote,
+    confidence,
+    divergenceBps,
+    legs: { base: legOf(asset, base), quote: legOf(quote, leg) }
+  };
+}
+
+module.exports = {
+  CROSS_SOURCE,
+  quoteLabel,
+  crossRate,
+  fetchDirectQuotes,
+  priceInQuote
+};
@@ -0,0 +1,36 @@
+/**
+ * MoltOracle — JSON-RPC Providers
+ * Shared, lazily created providers keyed by RPC URL
+ */
+
+const { ethers } = require('ethers');
+const { getChain } = require('./assets');
+const { upstream } = require('./fixtures');
+
+const providers = new Map();
+
+// Recorded or replayed JSON-RPC reads go through the fixture tape (fixtures.js)
+if (upstream.mode !== 'live') ethers.FetchRequest.registerGetUrl(upstream.getUrl);
+
+// A static network avoids ethers' endless network-detection retries when an RPC is down
+function getProvider(rpcUrl, chainId) {
+  const key = `${chainId}:${rpcUrl}`;
+  if (!providers.has(key)) {
+    const network = ethers.Network.from(chainId);
+    providers.set(key, new ethers.JsonRpcProvider(rpcUrl, network, { staticNetwork: network }));
+  }
+  return providers.get(key);
+}
+
+// Provider for a registry chain; RPC_URL_<CHAIN> (e.g. RPC_URL_BASE) overrides its public RPC
+function getChainProvider(chain) {
+  const info = getChain(chain);
+  const url = process.env[`RPC_URL_${chain.toUpperCase()}`] || (info && info.rpc);
+  if (!info || !url) return null;
+  return getProvider(url, info.chainId);
+}
+
+module.exports = {
+  getProvider,
+  getChainProvider
+};
@@ -2,13 +2,38 @@
  * MoltOracle — API Server
  * Verified crypto data oracle for the agent economy
  * 
- * Free tier: 10 calls/hour
+ * Tiered API keys with per-minute and per-day quotas
  * All data cross-verified from multiple independent sources
  */
 
-const express = require('express');
+const path = require('path');
 const crypto = require('crypto');
-const { getFullSnapshot, fetchFearGreed, fetchTVL, fetchStablecoins, fetchGas } = require('./sources');
+const express = require('express');
+const { ethers } = require('ethers');
+const { getProvider } = require('./rpc');
+const { getSourceHealth } = require('./http');
+const { upstream } = require('./fixtures');
+const { getScenarios } = require('./simulate');
+const { getPriceSnapshot, getSources, fetchFearGreed, fetchTVL, fetchStablecoins, fetchTokenPrice } = require('./sources');
+const { fetchGas, GAS_CHAINS } = require('./gas');
+const { computePegs } = require('./pegs');
+const { createAnomalyDetector } = require('./anomaly');
+const { parseAssetId, findByContract, watchAssets, getAsset, getTrackedAssets, getPeggedAssets, getQuoteCurrencies } = require('./assets');
+const { createHistoryStore, parseInterval, parseTime } = require('./history');
+const { computeTwap, twapLabel, DEFAULT_MAX_GAP } = require('./twap');
+const { createStreamHub } = require('./stream');
+const { createAlertManager } = require('./alerts');
+const { createStore } = require('./store');
+const { createKeyManager, TIERS } = require('./apikeys');
+const { createPaymentGate } = require('./payments');
+const { createCache } = require('./cache');
+const { createSnapshotLog } = require('./snapshots');
+const { createMarketManager } = require('./markets');
+const { quoteLabel, fetchDirectQuotes, priceInQuote } = require('./quotes');
+const { fetchYieldPools, filterPools, verifyPools, createAaveV3Adapter } = require('./yields');
+const { computeDataHash, buildPreimage, HASH_VERSION } = require('./hash');
+const { createPublisher, createVerifier, DEFAULT_CONTRACT } = require('./attestation');
+const { createResponseSigner, buildDomain } = require('./signing');
 
 const app = express();
 app.disable('x-powered-by');
@@ -23,40 +48,309 @@ app.use((req, res, next) => {
 });
 
 const PORT = process.env.PORT || 3042;
-const RATE_LIMIT = parseInt(process.env.RATE_LIMIT || '30');
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || null;
+const CONTRACT_ADDRESS = process.env.CONTRACT_ADDRESS || DEFAULT_CONTRACT;
+const RPC_URL = process.env.ORACLE_RPC_URL || 'https://sepolia.base.org';
+const CHAIN_ID = parseInt(process.env.ORACLE_CHAIN_ID || '84532');
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+// --- API keys and per-tier quotas (memory or Redis-compatible store) ---
+const store = createStore(process.env.STORE_URL, { file: path.join(DATA_DIR, 'store.json') });
+const keys = createKeyManager({ store });
+
+// Identify the caller by X-API-Key (or IP), count the request and report its quota
+async function rateLimit(req, res, next) {
+  let quota;
+  try {
+    const apiKey = req.get('X-API-Key');
+    let identity = `ip:${req.ip}`;
+    let tier = 'anonymous';
+    if (apiKey !== undefined) {
+      const record = await keys.resolve(apiKey);
+      if (!record) return res.status(401).json({ error: 'Invalid or revoked API key' });
+      req.apiKey = record;
+      identity = `key:${record.id}`;
+      tier = record.tier;
+    }
+    quota = await keys.consume(identity, tier);
+  } catch (e) {
+    console.error('Quota store error:', e.message);
+    return res.status(503).json({ error: 'Quota store unavailable' });
+  }
+
+  res.setHeader('X-RateLimit-Tier', quota.tier);
+  if (quota.limit !== null) {
+    res.setHeader('X-RateLimit-Limit', quota.limit);
+    res.setHeader('X-RateLimit-Remaining', quota.remaining);
+    res.setHeader('X-RateLimit-Reset', quota.reset);
+  }
+  if (!quota.allowed) {
+    res.setHeader('Retry-After', quota.retryAfter);
+    return res.status(429).json({ error: 'Rate limited', tier: quota.tier, window: quota.window, limit: quota.limit, retryAfter: quota.retryAfter });
+  }
+  next();
+}
 
-// --- Rate limiting (in-memory, per IP) ---
-const rateLimits = new Map();
+// Key administration is only mounted when ADMIN_TOKEN is set
+function requireAdmin(req, res, next) {
+  const token = Buffer.from((req.get('Authorization') || '').replace(/^Bearer\s+/i, ''));
+  const expected = Buffer.from(ADMIN_TOKEN);
+  if (token.length !== expected.length || !crypto.timingSafeEqual(token, expected)) return res.status(401).json({ error: 'Unauthorized' });
+  next();
+}
 
-function checkRateLimit(ip) {
-  const now = Date.now();
-  const window = 3600000; // 1 hour
-  if (!rateLimits.has(ip)) rateLimits.set(ip, []);
-  const calls = rateLimits.get(ip).filter(t => t > now - window);
-  rateLimits.set(ip, calls);
-  if (calls.length >= RATE_LIMIT) return false;
-  calls.push(now);
-  return true;
+// --- Pay-per-call (HTTP 402), enabled by PAYMENT_TOKEN and PAYMENT_RECIPIENT ---
+let payments = null;
+if (process.env.PAYMENT_TOKEN && process.env.PAYMENT_RECIPIENT) {
+  const paymentProvider = getProvider(process.env.PAYMENT_RPC_URL || RPC_URL, parseInt(process.env.PAYMENT_CHAIN_ID || String(CHAIN_ID)));
+  const relayerKey = process.env.PAYMENT_RELAYER_KEY || process.env.ORACLE_PRIVATE_KEY;
+  payments = createPaymentGate({
+    provider: paymentProvider,
+    tokenAddress: process.env.PAYMENT_TOKEN,
+    recipient: process.env.PAYMENT_RECIPIENT,
+    prices: JSON.parse(process.env.PAYMENT_PRICES || '{"/snapshot":"0.01"}'),
+    store,
+    relayer: relayerKey ? new ethers.Wallet(relayerKey, paymentProvider) : null,
+    minConfirmations: parseInt(process.env.PAYMENT_MIN_CONFIRMATIONS || '1')
+  });
 }
 
-// --- Data hash for on-chain attestation ---
-function computeDataHash(asset, price, sources, timestamp) {
-  const payload = JSON.stringify({ asset, price, sources, timestamp });
-  return '0x' + crypto.createHash('sha256').update(payload).digest('hex');
+// Premium routes answer 402 until paid; internal keys skip payment
+function paywall(req, res, next) {
+  if (!payments || (req.apiKey && req.apiKey.tier === 'internal')) return next();
+  payments.handle(req, res, next);
 }
 
-// --- Cache (60 seconds) ---
-let cache = null;
-let cacheTime = 0;
+// --- History (every snapshot, persisted) ---
+const history = createHistoryStore({ dir: path.join(DATA_DIR, 'history') });
+
+// --- Alerts (checked on every snapshot refresh) ---
+const alerts = createAlertManager({
+  file: path.join(DATA_DIR, 'alerts.json'),
+  isKnownAsset: (ticker) => getAsset(ticker) !== null,
+  allowPrivate: process.env.ALERTS_ALLOW_PRIVATE === '1',
+  maxAlerts: parseInt(process.env.ALERTS_MAX || '1000')
+});
+
+// --- EIP-712 response signing with the oracle key ---
+const responseSigner = process.env.ORACLE_PRIVATE_KEY
+  ? createResponseSigner({ privateKey: process.env.ORACLE_PRIVATE_KEY, domain: buildDomain(CHAIN_ID, CONTRACT_ADDRESS) })
+  : null;
+
+// --- Sealed snapshots: sequence id, hashes and signatures fixed at creation ---
+const snapshots = createSnapshotLog({
+  sign: responseSigner ? responseSigner.signPrice : null,
+  lastId: history.lastId
+});
+
+// --- Anomaly screening of source readings (stablecoins may sit at one price) ---
+const anomalies = createAnomalyDetector({ exemptFrozen: (asset) => getPeggedAssets()[asset] !== undefined });
+
+// --- Dataset cache (stale-while-revalidate, per-dataset TTLs) ---
 const CACHE_TTL = 60000;
+const MARKET_DATASETS = ['fearGreed', 'tvl', 'stablecoins', 'gas'];
+const datasets = createCache();
+
+// Each price refresh seals a new snapshot with the market-wide data and
+// stablecoin pegs current at that moment. Stablecoins, quote currencies and
+// assets named only by alerts or open markets are priced alongside the tracked
+// set, so their hashes are attested, cross rates have both legs and markets
+// can resolve.
+datasets.define('prices', {
+  ttlMs: CACHE_TTL,
+  maxStaleMs: 5 * CACHE_TTL,
+  load: async () => {
+    const pegged = getPeggedAssets();
+    const [raw, ...market] = await Promise.all([
+      getPriceSnapshot([...new Set([...getTrackedAssets(), ...Object.keys(pegged), ...getQuoteCurrencies(), ...alerts.assets(), ...markets.assets()])], { anomalies }),
+      ...MARKET_DATASETS.map(name => datasets.get(name))
+    ]);
+    if (Object.keys(raw.prices).length === 0) return null;
+    const marketData = Object.fromEntries(MARKET_DATASETS.map((name, i) => [name, market[i].value]));
+    const pegs = computePegs(raw.prices, pegged, marketData.stablecoins);
+    const snapshot = await snapshots.seal({ ...raw, ...marketData, pegs });
+    history.append(snapshot);
+    alerts.evaluate(snapshot);
+    return snapshot;
+  }
+});
+datasets.define('gas', { ttlMs: 15000, load: fetchGas });
+datasets.define('stablecoins', { ttlMs: 300000, load: fetchStablecoins });
+datasets.define('tvl', { ttlMs: 600000, load: fetchTVL });
+datasets.define('fearGreed', { ttlMs: 3600000, maxStaleMs: 86400000, load: fetchFearGreed });
+datasets.define('yields', { ttlMs: 600000, load: fetchYieldPools });
+
+// On-chain rate checks for /yields
+const yieldAdapters = [createAaveV3Adapter()];
+const MAX_YIELD_POOLS = 200;
 
+// The latest sealed snapshot with its cache age. The snapshot itself is
+// frozen; callers build new objects rather than annotating it.
 async function getCachedSnapshot() {
-  if (cache && Date.now() - cacheTime < CACHE_TTL) return cache;
-  cache = await getFullSnapshot();
-  cacheTime = Date.now();
-  return cache;
+  const { value, age, stale } = await datasets.get('prices');
+  if (!value) throw new Error('No verified prices available');
+  return { ...value, age, stale };
+}
+
+async function sendDataset(res, name) {
+  try {
+    const { value, age, stale } = await datasets.get(name);
+    res.json(value ? { ...value, age, stale } : { error: 'Unavailable' });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+}
+
+// --- TWAP / VWAP over recorded snapshots ---
+const MAX_TWAP_WINDOW = 7 * 86400;
+
+async function getTwap(asset, windowSec, to) {
+  const from = to - windowSec;
+  const points = await history.range(asset, from - DEFAULT_MAX_GAP, to);
+  const result = computeTwap(points, { from, to });
+  if (!result) return null;
+  return {
+    asset: twapLabel(asset, windowSec),
+    base: asset,
+    window: windowSec,
+    from,
+    to,
+    timestamp: to,
+    price: result.twap,
+    sources: result.sourceNames.length,
+    ...result
+  };
+}
+
+// TWAPs attested alongside spot prices, e.g. PUBLISH_TWAPS="BTC:1h,ETH:1h"
+const PUBLISH_TWAPS = (process.env.PUBLISH_TWAPS || '')
+  .split(',')
+  .filter(Boolean)
+  .map((spec) => {
+    const [asset, window] = spec.split(':');
+    return { asset: asset.toUpperCase(), windowSec: parseInterval(window || '1h') };
+  });
+
+// Quoted prices attested alongside spot prices, e.g. PUBLISH_QUOTES="BTC/EUR,ETH/BTC"
+const PUBLISH_QUOTES = (process.env.PUBLISH_QUOTES || '')
+  .split(',')
+  .filter(Boolean)
+  .map((pair) => {
+    const [asset, quote] = pair.toUpperCase().split('/');
+    return { asset, quote };
+  });
+
+// The cached snapshot plus configured TWAPs and quotes, as handed to the publisher
+async function getPublishableSnapshot() {
+  const data = await getCachedSnapshot();
+  if (PUBLISH_TWAPS.length === 0 && PUBLISH_QUOTES.length === 0) return data;
+  const prices = { ...data.prices };
+  for (const { asset, windowSec } of PUBLISH_TWAPS) {
+    const twap = await getTwap(asset, windowSec, data.timestamp);
+    if (twap) prices[twap.asset] = twap;
+  }
+  for (const { asset, quote } of PUBLISH_QUOTES) {
+    const quoted = await getQuotedPrice(asset, quote, data);
+    if (quoted) prices[quoted.asset] = quoted;
+  }
+  return { ...data, prices };
+}
+
+// --- Prices in other quote currencies (computed once per snapshot and pair) ---
+const quoteCache = new Map(); // "BTC/EUR" → { snapshotId, data }
+
+async function getQuotedPrice(asset, quote, data) {
+  const label = quoteLabel(asset, quote);
+  const hit = quoteCache.get(label);
+  if (hit && hit.snapshotId === data.id) return hit.data;
+  for (const [key, entry] of quoteCache) {
+    if (entry.snapshotId !== data.id) quoteCache.delete(key);
+  }
+  if (!data.prices[asset] || !data.prices[quote]) return null;
+  const info = priceInQuote(asset, quote, data.prices, await fetchDirectQuotes(asset, quote));
+  const quoted = await annotatePrice(label, { ...info, snapshotId: data.id, timestamp: data.timestamp, iso: data.iso }, data.timestamp);
+  quoteCache.set(label, { snapshotId: data.id, data: quoted });
+  return quoted;
+}
+
+// --- Token prices by contract address (cached like the snapshot) ---
+const tokenCache = new Map(); // "chain:0xaddress" → { data, time }
+
+async function getCachedTokenPrice(chain, address) {
+  const id = `${chain}:${address}`;
+  const hit = tokenCache.get(id);
+  if (hit && Date.now() - hit.time < CACHE_TTL) return hit.data;
+  for (const [key, entry] of tokenCache) {
+    if (Date.now() - entry.time >= CACHE_TTL) tokenCache.delete(key);
+  }
+  const price = await fetchTokenPrice(chain, address);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const data = price && { ...price, asset: id, timestamp, iso: new Date(timestamp * 1000).toISOString() };
+  tokenCache.set(id, { data, time: Date.now() });
+  return data;
+}
+
+// --- On-chain attestation: lookup always, publishing when an oracle key is set ---
+const verifier = createVerifier({
+  provider: getProvider(RPC_URL, CHAIN_ID),
+  contractAddress: CONTRACT_ADDRESS,
+  fromBlock: process.env.ATTESTATION_FROM_BLOCK ? parseInt(process.env.ATTESTATION_FROM_BLOCK) : null,
+  maxScanBlocks: parseInt(process.env.ATTESTATION_MAX_SCAN_BLOCKS || '100000')
+});
+
+let publisher = null;
+if (process.env.ORACLE_PRIVATE_KEY) {
+  publisher = createPublisher({
+    signer: new ethers.Wallet(process.env.ORACLE_PRIVATE_KEY, getProvider(RPC_URL, CHAIN_ID)),
+    contractAddress: CONTRACT_ADDRESS,
+    intervalMs: parseInt(process.env.PUBLISH_INTERVAL || '300000'),
+    minMoveBps: parseInt(process.env.PUBLISH_MIN_MOVE_BPS || '50'),
+    minConfidence: parseInt(process.env.PUBLISH_MIN_CONFIDENCE || '70'),
+    onPublish: verifier.record
+  });
+}
+
+// --- Prediction-market resolution (outcomes attested on-chain when publishing) ---
+const markets = createMarketManager({
+  file: path.join(DATA_DIR, 'markets.json'),
+  history,
+  attest: publisher ? publisher.publishBatch : null,
+  isKnownAsset: (ticker) => getAsset(ticker) !== null,
+  minConfidence: parseInt(process.env.MARKET_MIN_CONFIDENCE || '50'),
+  defaultDisputeSec: parseInt(process.env.MARKET_DISPUTE_SEC || '3600'),
+  maxMarkets: parseInt(process.env.MARKETS_MAX || '1000')
+});
+
+function getAttestation(asset) {
+  return publisher ? publisher.getAttestation(asset) : null;
+}
+
+// Hash, attestation and signature for a price computed outside a snapshot (TWAPs, tokens)
+async function annotatePrice(asset, info, timestamp) {
+  const annotated = { ...info, dataHash: computeDataHash(asset, info, timestamp), hashVersion: HASH_VERSION };
+  annotated.attestation = getAttestation(asset);
+  annotated.signature = responseSigner ? await responseSigner.signPrice(asset, annotated, timestamp) : null;
+  return annotated;
+}
+
+// Sealed prices with their current on-chain attestation, as new objects
+function withAttestations(prices) {
+  const result = {};
+  for (const [asset, info] of Object.entries(prices)) result[asset] = { ...info, attestation: getAttestation(asset) };
+  return result;
 }
 
+// --- Real-time stream (one refresh loop shared by all subscribers) ---
+const streamHub = createStreamHub({
+  getSnapshot: getCachedSnapshot,
+  toUpdate: async (asset, info) => {
+    const { price, sources, sourceNames, confidence, divergenceBps, reasons, warning, dataHash, hashVersion, signature, snapshotId } = info;
+    return { price, sources, sourceNames, confidence, divergenceBps, reasons, warning, dataHash, hashVersion, signature, snapshotId };
+  },
+  intervalMs: parseInt(process.env.STREAM_INTERVAL || '15000'),
+  maxClients: parseInt(process.env.STREAM_MAX_CLIENTS || '100')
+});
+
 // --- ROUTES ---
 
 // Health check
@@ -65,19 +359,37 @@ app.get('/', (req, res) => {
     name: 'MoltOracle',
     version: '1.0.0',
     description: 'Verified crypto data oracle for the agent economy',
-    verification: 'Cross-sourced from CoinGecko + DeFiLlama + Chainlink. Every data point includes confidence score and divergence metrics.',
+    verification: `Cross-sourced from ${getSources().map(s => s.name).join(' + ')}. Every data point includes confidence score and divergence metrics.`,
     endpoints: {
       '/snapshot': 'Full market snapshot (prices, TVL, stablecoins, gas, fear&greed)',
-      '/price/:asset': 'Single asset price with cross-verification',
+      '/snapshot/:id': 'A past snapshot by its sequence id',
+      '/price/:asset': 'Single asset price with cross-verification (ticker or chain:0xaddress, ?quote=EUR|ETH|BTC|USDC)',
+      '/price/:asset/preimage': 'ABI-encoded preimage of the asset\'s dataHash (?quote)',
+      '/price/:asset/at/:timestamp': 'What the oracle reported at a past time',
       '/prices': 'All tracked asset prices',
+      '/history/:asset': 'OHLC candles (?from&to&interval)',
+      '/twap/:asset': 'Time- and volume-weighted average price (?window&to)',
+      '/stream': 'Server-Sent Events price stream (?assets=BTC,ETH&since=seq)',
       '/fear-greed': 'Crypto Fear & Greed Index',
       '/tvl': 'Chain TVL rankings',
       '/stablecoins': 'Stablecoin market caps',
-      '/gas': 'Ethereum gas prices',
+      '/stablecoins/:symbol/peg': 'Peg deviation per venue, depeg severity and supply changes',
+      '/gas': 'EIP-1559 gas estimates for Ethereum, Base, Arbitrum and Optimism',
+      '/gas/:chain': 'Gas estimates for one chain',
+      '/yields': 'DeFi pool APYs with on-chain cross-checks (?chain&project&asset&minTvl&limit)',
+      'POST /markets': 'Register a market question ({ question, asset, rule, above|below, resolveAt, window? })',
+      '/markets': 'Markets by status (?status=open|proposed|final&asset)',
+      '/markets/:id': 'Market with its proposed or final outcome and evidence',
+      '/markets/:id/preimage': 'ABI-encoded preimage of the market\'s outcomeHash',
+      'POST /markets/:id/dispute': 'Re-check a proposed outcome during its dispute window',
+      'POST /alerts': 'Register a webhook alert ({ url, condition })',
+      '/alerts/:id': 'Alert and delivery log (GET/DELETE, Authorization: Bearer <secret>)',
       '/verify/:hash': 'Verify a data point hash',
+      '/signer': 'Oracle signer address and EIP-712 domain for signed responses',
       '/health': 'Service health'
     },
-    rateLimit: `${RATE_LIMIT} calls/hour (free tier)`,
+    rateLimit: { header: 'X-API-Key', tiers: TIERS },
+    payments: payments ? payments.describe() : null,
     source: 'https://github.com/TalTCrypto/MoltOracle',
     attestation: 'Base Sepolia (on-chain verification)',
     author: 'taltclaw'
@@ -85,110 +397,377 @@ app.get('/', (req, res) => {
 });
 
 // Full snapshot
-app.get('/snapshot', async (req, res) => {
-  if (!checkRateLimit(req.ip)) return res.status(429).json({ error: 'Rate limited', limit: RATE_LIMIT, window: '1 hour' });
+app.get('/snapshot', rateLimit, paywall, async (req, res) => {
+  try {
+    const data = await getCachedSnapshot();
+    res.json({ ...data, prices: withAttestations(data.prices), signer: responseSigner ? responseSigner.address : null });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// A snapshot by sequence id: recent ones in full, older ones as recorded in history
+app.get('/snapshot/:id', rateLimit, paywall, async (req, res) => {
+  if (!/^\d{1,15}$/.test(req.params.id)) return res.status(400).json({ error: 'Invalid id: expected a snapshot sequence number' });
+  const id = parseInt(req.params.id);
+  try {
+    const snapshot = snapshots.get(id);
+    if (snapshot) return res.json({ ...snapshot, signer: responseSigner ? responseSigner.address : null });
+    const record = await history.byId(id);
+    if (!record) return res.status(404).json({ error: `Snapshot ${id} not found` });
+    res.json({ ...record, iso: new Date(record.timestamp * 1000).toISOString(), archived: true });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// ?quote=EUR|ETH|BTC|USDC — one of the registry's quote currencies, USD by default
+function parseQuote(req) {
+  const quote = req.query.quote === undefined ? 'USD' : String(req.query.quote).toUpperCase();
+  return quote === 'USD' || getQuoteCurrencies().includes(quote) ? quote : null;
+}
+
+const invalidQuote = () => ({ error: `Invalid quote: use USD, ${getQuoteCurrencies().join(', ')}` });
+
+// Single price — a ticker ("BTC") or a token contract ("base:0x8335..."), in USD or ?quote=
+app.get('/price/:asset', rateLimit, paywall, async (req, res) => {
+  const quote = parseQuote(req);
+  if (!quote) return res.status(400).json(invalidQuote());
   try {
+    const token = parseAssetId(req.params.asset);
     const data = await getCachedSnapshot();
-    // Add hashes for verification
-    for (const [asset, info] of Object.entries(data.prices)) {
-      info.dataHash = computeDataHash(asset, info.price, info.sourceNames, data.timestamp);
+    const asset = token ? findByContract(token.chain, token.address) : req.params.asset.toUpperCase();
+
+    if (quote !== 'USD') {
+      if (!asset || !data.prices[asset]) return res.status(404).json({ error: `Asset ${asset || req.params.asset} not tracked` });
+      if (asset === quote) return res.status(400).json({ error: `${asset} cannot be quoted in itself` });
+      const quoted = await getQuotedPrice(asset, quote, data);
+      if (!quoted) return res.status(503).json({ error: `No verified ${quote} price for the cross rate` });
+      return res.json({ ...quoted, attestation: getAttestation(quoted.asset), age: data.age, cacheStale: data.stale, signer: responseSigner ? responseSigner.address : null });
+    }
+
+    // Contracts that aren't a tracked asset are priced by address
+    if (token && !(asset && data.prices[asset])) {
+      const tokenPrice = await getCachedTokenPrice(token.chain, token.address);
+      if (!tokenPrice) return res.status(404).json({ error: `Token ${token.chain}:${token.address} not priced` });
+      const annotated = await annotatePrice(tokenPrice.asset, tokenPrice, tokenPrice.timestamp);
+      return res.json({ ...annotated, signer: responseSigner ? responseSigner.address : null });
     }
-    res.json(data);
+
+    const price = data.prices[asset];
+    if (!price) return res.status(404).json({ error: `Asset ${asset} not tracked` });
+    res.json({ ...price, attestation: getAttestation(asset), age: data.age, cacheStale: data.stale, signer: responseSigner ? responseSigner.address : null });
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
-// Single price
-app.get('/price/:asset', async (req, res) => {
-  if (!checkRateLimit(req.ip)) return res.status(429).json({ error: 'Rate limited' });
+// Exact hash preimage for a price, so anyone can recompute its dataHash
+app.get('/price/:asset/preimage', rateLimit, paywall, async (req, res) => {
+  const quote = parseQuote(req);
+  if (!quote) return res.status(400).json(invalidQuote());
   try {
     const asset = req.params.asset.toUpperCase();
     const data = await getCachedSnapshot();
     const price = data.prices[asset];
     if (!price) return res.status(404).json({ error: `Asset ${asset} not tracked` });
-    price.dataHash = computeDataHash(asset, price.price, price.sourceNames, data.timestamp);
-    price.asset = asset;
-    price.timestamp = data.timestamp;
-    price.iso = data.iso;
-    res.json(price);
+    if (quote !== 'USD') {
+      if (asset === quote) return res.status(400).json({ error: `${asset} cannot be quoted in itself` });
+      const quoted = await getQuotedPrice(asset, quote, data);
+      if (!quoted) return res.status(503).json({ error: `No verified ${quote} price for the cross rate` });
+      return res.json(buildPreimage(quoted.asset, quoted, data.timestamp));
+    }
+    res.json(buildPreimage(asset, price, data.timestamp));
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
-// All prices
-app.get('/prices', async (req, res) => {
-  if (!checkRateLimit(req.ip)) return res.status(429).json({ error: 'Rate limited' });
+// What the oracle reported for an asset at a past time
+app.get('/price/:asset/at/:timestamp', rateLimit, paywall, async (req, res) => {
+  const asset = req.params.asset.toUpperCase();
+  const timestamp = parseTime(req.params.timestamp);
+  if (timestamp === null) return res.status(400).json({ error: 'Invalid timestamp: use unix seconds or ISO 8601' });
   try {
-    const data = await getCachedSnapshot();
-    res.json({ timestamp: data.timestamp, iso: data.iso, prices: data.prices });
+    const point = await history.at(asset, timestamp);
+    if (!point) return res.status(404).json({ error: `No ${asset} snapshot at or before ${timestamp}` });
+    res.json({
+      asset,
+      requested: timestamp,
+      ...point,
+      iso: new Date(point.timestamp * 1000).toISOString(),
+      age: timestamp - point.timestamp
+    });
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
-// Fear & Greed
-app.get('/fear-greed', async (req, res) => {
-  if (!checkRateLimit(req.ip)) return res.status(429).json({ error: 'Rate limited' });
+// Time- and volume-weighted average price over a window of recorded snapshots
+app.get('/twap/:asset', rateLimit, paywall, async (req, res) => {
+  const asset = req.params.asset.toUpperCase();
+  const windowSec = parseInterval(req.query.window || '1h');
+  const now = Math.floor(Date.now() / 1000);
+  // Minute-aligned by default so repeated calls agree on the same hash
+  const to = req.query.to === undefined ? now - (now % 60) : parseTime(req.query.to);
+  if (!windowSec || windowSec < 60 || windowSec > MAX_TWAP_WINDOW) return res.status(400).json({ error: 'Invalid window: 1m to 7d, e.g. 15m, 1h, 1d' });
+  if (to === null || to > now) return res.status(400).json({ error: 'Invalid to: unix seconds or ISO 8601, not in the future' });
   try {
-    const fg = await fetchFearGreed();
-    res.json(fg || { error: 'Unavailable' });
+    const twap = await getTwap(asset, windowSec, to);
+    if (!twap) return res.status(404).json({ error: `No ${asset} snapshots in window` });
+    res.json({ ...(await annotatePrice(twap.asset, twap, to)), signer: responseSigner ? responseSigner.address : null });
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
-// TVL
-app.get('/tvl', async (req, res) => {
-  if (!checkRateLimit(req.ip)) return res.status(429).json({ error: 'Rate limited' });
+const MAX_HISTORY_RANGE = 366 * 86400;
+
+// OHLC candles from recorded snapshots
+app.get('/history/:asset', rateLimit, paywall, async (req, res) => {
+  const asset = req.params.asset.toUpperCase();
+  const to = req.query.to === undefined ? Math.floor(Date.now() / 1000) : parseTime(req.query.to);
+  const from = req.query.from === undefined ? to - 86400 : parseTime(req.query.from);
+  const interval = parseInterval(req.query.interval || '1h');
+  if (from === null || to === null || from > to) return res.status(400).json({ error: 'Invalid from/to: use unix seconds or ISO 8601, from <= to' });
+  if (!interval || interval < 60) return res.status(400).json({ error: 'Invalid interval: e.g. 5m, 1h, 1d (minimum 1m)' });
+  if ((to - from) / interval > 1000) return res.status(400).json({ error: 'Too many candles: widen the interval or narrow the range (max 1000)' });
+  if (to - from > MAX_HISTORY_RANGE) return res.status(400).json({ error: 'Range too wide: from and to at most 366 days apart' });
+  try {
+    const candles = await history.candles(asset, from, to, interval);
+    res.json({ asset, from, to, interval, candles });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// All prices
+app.get('/prices', rateLimit, paywall, async (req, res) => {
   try {
-    const tvl = await fetchTVL();
-    res.json(tvl || { error: 'Unavailable' });
+    const data = await getCachedSnapshot();
+    res.json({ id: data.id, timestamp: data.timestamp, iso: data.iso, age: data.age, stale: data.stale, prices: withAttestations(data.prices), hashVersion: HASH_VERSION, signer: responseSigner ? responseSigner.address : null });
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
+// Server-Sent Events price stream: ?assets=BTC,ETH, resume with Last-Event-ID or ?since=
+app.get('/stream', rateLimit, paywall, (req, res) => {
+  const assets = req.query.assets
+    ? String(req.query.assets).split(',').map(a => a.trim().toUpperCase()).filter(Boolean)
+    : null;
+  if (assets && (assets.length > 50 || assets.some(a => a.length > 64))) return res.status(400).json({ error: 'Invalid assets: up to 50 comma-separated tickers' });
+  const lastId = req.get('Last-Event-ID') || req.query.since;
+  const lastSeq = lastId !== undefined && /^\d+$/.test(lastId) ? parseInt(lastId) : null;
+  if (!streamHub.subscribe(req, res, { assets, lastSeq })) return res.status(503).json({ error: 'Too many stream clients, try again later' });
+});
+
+// Fear & Greed
+app.get('/fear-greed', rateLimit, paywall, (req, res) => sendDataset(res, 'fearGreed'));
+
+// TVL
+app.get('/tvl', rateLimit, paywall, (req, res) => sendDataset(res, 'tvl'));
+
 // Stablecoins
-app.get('/stablecoins', async (req, res) => {
-  if (!checkRateLimit(req.ip)) return res.status(429).json({ error: 'Rate limited' });
+app.get('/stablecoins', rateLimit, paywall, (req, res) => sendDataset(res, 'stablecoins'));
+
+// Peg status of one stablecoin from the latest snapshot
+app.get('/stablecoins/:symbol/peg', rateLimit, paywall, async (req, res) => {
+  const symbol = req.params.symbol.toUpperCase();
+  if (getPeggedAssets()[symbol] === undefined) return res.status(404).json({ error: `${symbol} is not a monitored stablecoin: use ${Object.keys(getPeggedAssets()).join(', ')}` });
   try {
-    const sc = await fetchStablecoins();
-    res.json(sc || { error: 'Unavailable' });
+    const data = await getCachedSnapshot();
+    const peg = data.pegs && data.pegs[symbol];
+    if (!peg) return res.status(503).json({ error: `No verified ${symbol} price` });
+    const price = data.prices[symbol];
+    res.json({
+      ...peg,
+      snapshotId: data.id,
+      timestamp: data.timestamp,
+      iso: data.iso,
+      age: data.age,
+      cacheStale: data.stale,
+      dataHash: price.dataHash,
+      hashVersion: price.hashVersion,
+      signature: price.signature,
+      attestation: getAttestation(symbol)
+    });
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
 // Gas
-app.get('/gas', async (req, res) => {
-  if (!checkRateLimit(req.ip)) return res.status(429).json({ error: 'Rate limited' });
+app.get('/gas', rateLimit, paywall, (req, res) => sendDataset(res, 'gas'));
+
+app.get('/gas/:chain', rateLimit, paywall, async (req, res) => {
+  const chain = req.params.chain.toLowerCase();
+  if (!GAS_CHAINS.includes(chain)) return res.status(404).json({ error: `Unknown chain ${chain}: use ${GAS_CHAINS.join(', ')}` });
   try {
-    const gas = await fetchGas();
-    res.json(gas || { error: 'Unavailable' });
+    const { value, age, stale } = await datasets.get('gas');
+    const gas = value && value.chains[chain];
+    if (!gas) return res.status(503).json({ error: `Gas for ${chain} unavailable` });
+    res.json({ ...gas, timestamp: value.timestamp, age, stale });
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
-// Verify hash
-app.get('/verify/:hash', (req, res) => {
-  // In production, this would check against the on-chain attestation contract
-  res.json({
-    hash: req.params.hash,
-    note: 'Verify this hash against MoltOracleAttestation contract on Base Sepolia',
-    contract: process.env.CONTRACT_ADDRESS || '0xF30C7624f5d759e3695738374Ff2D1618E92F12C',
-    howToVerify: 'Call attestations(id).dataHash and compare with this hash'
+// DeFi yields: filtered DeFiLlama pools, cross-checked on-chain where supported
+app.get('/yields', rateLimit, paywall, async (req, res) => {
+  const minTvl = req.query.minTvl === undefined ? 0 : Number(req.query.minTvl);
+  const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+  if (!Number.isFinite(minTvl) || minTvl < 0) return res.status(400).json({ error: 'Invalid minTvl: expected USD amount' });
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_YIELD_POOLS) return res.status(400).json({ error: `Invalid limit: 1 to ${MAX_YIELD_POOLS}` });
+  const filters = { chain: req.query.chain, project: req.query.project, asset: req.query.asset, minTvl, limit };
+  if (['chain', 'project', 'asset'].some(k => filters[k] !== undefined && (typeof filters[k] !== 'string' || filters[k].length > 64))) {
+    return res.status(400).json({ error: 'Invalid filter: chain, project and asset are short strings' });
+  }
+  try {
+    const { value, age, stale } = await datasets.get('yields');
+    if (!value) return res.status(503).json({ error: 'Yields unavailable' });
+    const { total, pools } = filterPools(value.pools, filters);
+    res.json({
+      timestamp: Math.floor(Date.now() / 1000),
+      age,
+      stale,
+      total,
+      count: pools.length,
+      pools: await verifyPools(pools, yieldAdapters),
+      source: value.source
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Prediction markets: register a question, resolved by the oracle at resolveAt
+app.post('/markets', rateLimit, (req, res) => {
+  try {
+    res.status(201).json(markets.register(req.body, req.apiKey ? req.apiKey.id : req.ip));
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+app.get('/markets', rateLimit, (req, res) => {
+  const { status, asset } = req.query;
+  if (status !== undefined && !['open', 'proposed', 'final'].includes(status)) return res.status(400).json({ error: 'Invalid status: open, proposed or final' });
+  if (asset !== undefined && (typeof asset !== 'string' || asset.length > 15)) return res.status(400).json({ error: 'Invalid asset: expected a ticker' });
+  res.json({ markets: markets.list({ status, asset: asset && asset.toUpperCase() }) });
+});
+
+app.get('/markets/:id', rateLimit, (req, res) => {
+  const market = markets.get(req.params.id);
+  if (!market) return res.status(404).json({ error: 'Market not found' });
+  res.json(market);
+});
+
+// Exact outcomeHash preimage, so anyone can recompute it from the evidence
+app.get('/markets/:id/preimage', rateLimit, (req, res) => {
+  if (!markets.get(req.params.id)) return res.status(404).json({ error: 'Market not found' });
+  const preimage = markets.preimage(req.params.id);
+  if (!preimage) return res.status(409).json({ error: 'Market not resolved yet' });
+  res.json(preimage);
+});
+
+// Ask for a re-check of a proposed outcome; the outcome is revised if it disagrees
+app.post('/markets/:id/dispute', rateLimit, async (req, res) => {
+  const { reason = null } = req.body || {};
+  if (reason !== null && (typeof reason !== 'string' || reason.length > 500)) return res.status(400).json({ error: 'Invalid reason: a string of at most 500 characters' });
+  try {
+    const result = await markets.dispute(req.params.id, reason);
+    if (!result) return res.status(404).json({ error: 'Market not found' });
+    res.json(result);
+  } catch (e) {
+    res.status(409).json({ error: e.message });
+  }
+});
+
+// Webhook alerts: the response carries the secret that signs deliveries and manages the alert
+app.post('/alerts', rateLimit, (req, res) => {
+  const { url, condition } = req.body || {};
+  try {
+    res.status(201).json(alerts.register({ url, condition }, req.apiKey ? req.apiKey.id : req.ip));
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+const bearer = (req) => (req.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+
+app.get('/alerts/:id', rateLimit, (req, res) => {
+  const alert = alerts.get(req.params.id, bearer(req));
+  if (!alert) return res.status(404).json({ error: 'Alert not found' });
+  res.json(alert);
+});
+
+app.delete('/alerts/:id', rateLimit, (req, res) => {
+  if (!alerts.remove(req.params.id, bearer(req))) return res.status(404).json({ error: 'Alert not found' });
+  res.status(204).end();
+});
+
+// Verify hash against the on-chain attestation contract
+app.get('/verify/:hash', rateLimit, async (req, res) => {
+  const hash = req.params.hash;
+  if (!/^0x[0-9a-fA-F]{64}$/.test(hash)) return res.status(400).json({ error: 'Invalid hash: expected 0x-prefixed 32-byte hex' });
+  try {
+    res.json({ ...(await verifier.lookup(hash)), chainId: CHAIN_ID });
+  } catch (e) {
+    res.status(503).json({ error: `Attestation lookup failed: ${e.shortMessage || e.message}` });
+  }
+});
+
+// --- Key administration ---
+if (ADMIN_TOKEN) {
+  app.get('/admin/keys', requireAdmin, async (req, res) => {
+    try {
+      res.json({ keys: await keys.list() });
+    } catch (e) {
+      res.status(503).json({ error: e.message });
+    }
+  });
+
+  // The plaintext key is only returned here, once
+  app.post('/admin/keys', requireAdmin, async (req, res) => {
+    const { name, tier } = req.body || {};
+    try {
+      res.status(201).json(await keys.issue({ name, tier }));
+    } catch (e) {
+      res.status(400).json({ error: e.message });
+    }
   });
+
+  app.delete('/admin/keys/:id', requireAdmin, async (req, res) => {
+    try {
+      if (!(await keys.revoke(req.params.id))) return res.status(404).json({ error: 'Key not found' });
+      res.status(204).end();
+    } catch (e) {
+      res.status(503).json({ error: e.message });
+    }
+  });
+}
+
+// Oracle signer and EIP-712 domain for verifying signed responses
+app.get('/signer', (req, res) => {
+  if (!responseSigner) return res.status(404).json({ error: 'Response signing disabled' });
+  res.json({ ...responseSigner.describe(), attestationContract: CONTRACT_ADDRESS });
 });
 
 // Health
 app.get('/health', (req, res) => {
+  const sources = getSourceHealth();
+  const open = Object.keys(sources).filter(name => sources[name].circuit !== 'closed');
   res.json({
-    status: 'ok',
+    status: open.length ? 'degraded' : 'ok',
     uptime: process.uptime(),
-    cacheAge: cache ? Math.floor((Date.now() - cacheTime) / 1000) : null,
+    cache: datasets.status(),
+    attestation: publisher ? publisher.status() : null,
+    stream: streamHub.status(),
+    alerts: alerts.count(),
+    markets: markets.count(),
+    upstream: { ...upstream.status(), scenarios: getScenarios() },
+    sources,
     timestamp: new Date().toISOString()
   });
 });
@@ -197,8 +776,15 @@ app.get('/health', (req, res) => {
 app.listen(PORT, () => {
   console.log(`🔮 MoltOracle running on port ${PORT}`);
   console.log(`   Endpoints: http://localhost:${PORT}/`);
-  console.log(`   Cross-verification: CoinGecko + DeFiLlama`);
-  console.log(`   Attestation: Base Sepolia (on-chain)`);
+  console.log(`   Cross-verification: ${getSources().map(s => s.name).join(' + ')}`);
+  console.log(`   Attestation: ${publisher ? `publishing to ${CONTRACT_ADDRESS}` : 'disabled (no oracle key)'}`);
+  if (upstream.mode !== 'live') console.log(`   Upstream: ${upstream.mode === 'replay' ? 'replaying' : 'recording'} ${upstream.file}`);
+  if (getScenarios().length) console.log(`   Simulating: ${getScenarios().join(', ')}`);
+  if (publisher) publisher.start(getPublishableSnapshot);
+  markets.start(parseInt(process.env.MARKET_INTERVAL || '30000'));
+  watchAssets();
+  // Warming also drives alert checks, which run on every price refresh
+  if (process.env.CACHE_WARM !== '0') datasets.startWarming();
 });
 
 module.exports = app;
@@ -0,0 +1,114 @@
+/**
+ * MoltOracle — Signed Responses
+ * EIP-712 signatures from the oracle operator key over every served price
+ *
+ * Each price is signed as
+ *   PriceData(string asset, uint256 price, uint8 confidence, int16 divergenceBps, uint256 timestamp, bytes32 dataHash)
+ * using the normalized preimage values (8-decimal price), so a contract can
+ * check it with ecrecover against the attestation contract's oracle address.
+ */
+
+const { ethers } = require('ethers');
+const { buildPreimage } = require('./hash');
+
+const PRICE_TYPES = {
+  PriceData: [
+    { name: 'asset', type: 'string' },
+    { name: 'price', type: 'uint256' },
+    { name: 'confidence', type: 'uint8' },
+    { name: 'divergenceBps', type: 'int16' },
+    { name: 'timestamp', type: 'uint256' },
+    { name: 'dataHash', type: 'bytes32' }
+  ]
+};
+
+function buildDomain(chainId, verifyingContract) {
+  return { name: 'MoltOracle', version: '1', chainId, verifyingContract };
+}
+
+// The typed-data message for a price, plus its dataHash
+function toPriceMessage(asset, info, timestamp) {
+  const { values, dataHash } = buildPreimage(asset, info, timestamp);
+  return {
+    asset,
+    price: values.price,
+    confidence: values.confidence,
+    divergenceBps: values.divergenceBps,
+    timestamp,
+    dataHash
+  };
+}
+
+/**
+ * Create a signer for price responses. Signatures are memoized per dataHash,
+ * since the same cached snapshot is served many times.
+ */
+function createResponseSigner({ privateKey, domain, maxCached = 1000 }) {
+  const wallet = new ethers.Wallet(privateKey);
+  const signatures = new Map();
+
+  async function signPrice(asset, info, timestamp) {
+    const message = toPriceMessage(asset, info, timestamp);
+    if (!signatures.has(message.dataHash)) {
+      if (signatures.size >= maxCached) signatures.clear();
+      signatures.set(message.dataHash, await wallet.signTypedData(domain, PRICE_TYPES, message));
+    }
+    return signatures.get(message.dataHash);
+  }
+
+  function describe() {
+    return { address: wallet.address, domain, primaryType: 'PriceData', types: PRICE_TYPES };
+  }
+
+  return { address: wallet.address, domain, signPrice, describe };
+}
+
+/**
+ * Verify a /price/:asset, /prices or /snapshot response offline.
+ * Recomputes each dataHash from the served fields and checks that its
+ * signature recovers to the expected oracle address.
+ * Returns { valid, checked, errors }.
+ */
+function verifyResponse(response, { domain, signer }) {
+  if (!domain || !signer) throw new Error('verifyResponse requires the oracle domain and signer address');
+
+  // Single prices carry their asset (and a per-source "prices" map); snapshots do not
+  const entries = response && !response.asset && response.prices && typeof response.prices === 'object'
+    ? Object.entries(response.prices)
+    : [[response && response.asset, response]];
+
+  const errors = [];
+  for (const [asset, info] of entries) {
+    if (!asset || !info) { errors.push('No price data in response'); continue; }
+    const timestamp = info.timestamp ?? response.timestamp;
+    if (!info.signature) { errors.push(`${asset}: missing signature`); continue; }
+
+    let message;
+    try {
+      message = toPriceMessage(asset, info, timestamp);
+    } catch (e) {
+      errors.push(`${asset}: malformed price data (${e.message})`);
+      continue;
+    }
+    if (info.dataHash !== message.dataHash) { errors.push(`${asset}: dataHash does not match served data`); continue; }
+
+    let recovered;
+    try {
+      recovered = ethers.verifyTypedData(domain, PRICE_TYPES, message, info.signature);
+    } catch (e) {
+      errors.push(`${asset}: invalid signature`);
+      continue;
+    }
+    if (recovered.toLowerCase() !== signer.toLowerCase()) errors.push(`${asset}: signed by ${recovered}, expected ${signer}`);
+  }
+
+  return { valid: errors.length === 0, checked: entries.length, errors };
+}
+
+module.exports = {
+  PRICE_TYPES,
+  buildDomain,
+  toPriceMessage,
+  createResponseSigner,
+  verifyResponse
+};
@@ -0,0 +1,85 @@
+/**
+ * MoltOracle — Scenario Simulation
+ * Injects incidents into upstream data, usually on top of a fixture replay
+ * (fixtures.js), to see what the oracle serves while they last:
+ *   outage:<source>                    every call to the source fails
+ *   divergence:<source>:<ASSET>:<bps>  one source's price for an asset is off by bps
+ *   depeg:<ASSET>:<bps>                every source's price for an asset moves by bps
+ * SIMULATE="outage:binance,depeg:USDT:-300" enables scenarios at startup.
+ * Outages fail inside http.call(), so retries and circuit breakers see them.
+ */
+
+const TYPES = {
+  outage: ['source'],
+  divergence: ['source', 'asset', 'bps'],
+  depeg: ['asset', 'bps']
+};
+
+function parseScenario(text) {
+  const [type, ...args] = text.trim().split(':');
+  const fields = TYPES[type];
+  if (!fields) throw new Error(`Unknown scenario "${type}": use ${Object.keys(TYPES).join(', ')}`);
+  if (args.length !== fields.length) throw new Error(`Scenario ${type} takes ${fields.join(':')}`);
+
+  const scenario = { type };
+  fields.forEach((field, i) => {
+    const value = args[i].trim();
+    if (field === 'bps') {
+      if (!/^[+-]?\d+$/.test(value) || Math.abs(parseInt(value)) >= 10000) throw new Error(`Scenario ${type}: bps must be an integer between -9999 and 9999`);
+      scenario.bps = parseInt(value);
+    } else if (field === 'asset') {
+      scenario.asset = value.toUpperCase();
+    } else {
+      if (!value) throw new Error(`Scenario ${type} needs a source`);
+      scenario.source = value;
+    }
+  });
+  return scenario;
+}
+
+// "outage:binance,depeg:USDT:-300" → [{ type, source?, asset?, bps? }]
+function parseScenarios(spec) {
+  return String(spec || '').split(',').filter(s => s.trim()).map(parseScenario);
+}
+
+function describe(s) {
+  return [s.type, s.source, s.asset, s.bps].filter(v => v !== undefined).join(':');
+}
+
+let active = parseScenarios(process.env.SIMULATE);
+
+// Replace the active scenarios; an empty spec ends the simulation
+function setScenarios(spec) {
+  active = parseScenarios(spec);
+  return getScenarios();
+}
+
+function getScenarios() {
+  return active.map(describe);
+}
+
+function isDown(source) {
+  return active.some(s => s.type === 'outage' && s.source === source);
+}
+
+// A source's reading with any divergence or depeg for the asset applied
+function adjustReading(source, asset, reading) {
+  const bps = active
+    .filter(s => s.asset === asset && (s.type === 'depeg' || (s.type === 'divergence' && s.source === source)))
+    .reduce((sum, s) => sum + s.bps, 0);
+  if (bps === 0) return reading;
+
+  const factor = 1 + bps / 10000;
+  const adjusted = { ...reading, price: reading.price * factor };
+  if (typeof reading.bid === 'number') adjusted.bid = reading.bid * factor;
+  if (typeof reading.ask === 'number') adjusted.ask = reading.ask * factor;
+  return adjusted;
+}
+
+module.exports = {
+  parseScenarios,
+  setScenarios,
+  getScenarios,
+  isDown,
+  adjustReading
+};
@@ -0,0 +1,70 @@
+/**
+ * MoltOracle — Sealed Snapshots
+ * Every verified snapshot is sealed once, when it is created: it gets the next
+ * sequence id, each price gets its asset, timestamp, dataHash and signature,
+ * and the whole record is frozen. Handlers only ever read sealed snapshots, so
+ * every client served snapshot N saw exactly the same data.
+ */
+
+const { computeDataHash, HASH_VERSION } = require('./hash');
+
+function deepFreeze(value) {
+  if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+    Object.freeze(value);
+    for (const child of Object.values(value)) deepFreeze(child);
+  }
+  return value;
+}
+
+/**
+ * Create the snapshot log.
+ * sign(asset, price, timestamp) → signature: optional response signer
+ * lastId() → highest id issued before a restart (e.g. from history), read once
+ * keep: sealed snapshots held in memory for lookup by id
+ */
+function createSnapshotLog({ sign = null, lastId = async () => 0, keep = 120 } = {}) {
+  const recent = new Map(); // id → snapshot, oldest first
+  let nextId = null;
+  let sealing = Promise.resolve();
+
+  async function sealOne(raw) {
+    if (nextId === null) nextId = (await lastId()) + 1;
+    const id = nextId++;
+    const prices = {};
+    for (const [asset, info] of Object.entries(raw.prices || {})) {
+      const price = {
+        ...info,
+        asset,
+        snapshotId: id,
+        timestamp: raw.timestamp,
+        iso: raw.iso,
+        dataHash: computeDataHash(asset, info, raw.timestamp),
+        hashVersion: HASH_VERSION
+      };
+      price.signature = sign ? await sign(asset, price, raw.timestamp) : null;
+      prices[asset] = price;
+    }
+    const snapshot = deepFreeze({ ...raw, id, prices, hashVersion: HASH_VERSION });
+    recent.set(id, snapshot);
+    if (recent.size > keep) recent.delete(recent.keys().next().value);
+    return snapshot;
+  }
+
+  // Seals run one at a time so ids follow creation order
+  function seal(raw) {
+    const result = sealing.then(() => sealOne(raw));
+    sealing = result.catch(() => {});
+    return result;
+  }
+
+  function get(id) {
+    return recent.get(id) || null;
+  }
+
+  return { seal, get };
+}
+
+module.exports = {
+  createSnapshotLog,
+  deepFreeze
+};
@@ -3,48 +3,33 @@
  * Cross-verifies crypto data from multiple independent sources
  */
 
-const https = require('https');
-const http = require('http');
-
-function fetch(url) {
-  return new Promise((resolve, reject) => {
-    const mod = url.startsWith('https') ? https : http;
-    mod.get(url, { headers: { 'User-Agent': 'MoltOracle/1.0' } }, (res) => {
-      let data = '';
-      res.on('data', chunk => data += chunk);
-      res.on('end', () => {
-        try { resolve(JSON.parse(data)); }
-        catch (e) { reject(new Error(`Parse error from ${url}: ${e.message}`)); }
-      });
-    }).on('error', reject);
-  });
-}
+const { ethers } = require('ethers');
+const { getProvider } = require('./rpc');
+const { fetchJson, call } = require('./http');
+const { upstream } = require('./fixtures');
+const { adjustReading } = require('./simulate');
+const { sourceIds, getTrackedAssets, getChain } = require('./assets');
 
 // --- SOURCE 1: CoinGecko (free, no auth) ---
-async function fetchCoinGecko(assets) {
-  const ids = {
-    BTC: 'bitcoin', ETH: 'ethereum', SOL: 'solana',
-    BNB: 'binancecoin', XRP: 'ripple', ADA: 'cardano',
-    AVAX: 'avalanche-2', DOGE: 'dogecoin', DOT: 'polkadot',
-    MATIC: 'matic-network', LINK: 'chainlink', UNI: 'uniswap',
-    AAVE: 'aave', ARB: 'arbitrum', OP: 'optimism',
-    BASE: 'base', USDT: 'tether', USDC: 'usd-coin'
-  };
-
+// vs: the quote currency (CoinGecko also quotes directly in eur, btc, eth, ...)
+async function fetchCoinGecko(assets, { vs = 'usd' } = {}) {
+  const ids = sourceIds('coingecko');
   const geckoIds = assets.map(a => ids[a]).filter(Boolean).join(',');
   if (!geckoIds) return {};
 
   try {
-    const data = await fetch(
-      `https://api.coingecko.com/api/v3/simple/price?ids=${geckoIds}&vs_currencies=usd&include_24hr_change=true&include_market_cap=true`
+    const data = await fetchJson(
+      `https://api.coingecko.com/api/v3/simple/price?ids=${geckoIds}&vs_currencies=${vs}&include_24hr_change=true&include_market_cap=true&include_24hr_vol=true`,
+      { source: 'coingecko' }
     );
     const result = {};
     for (const [ticker, geckoId] of Object.entries(ids)) {
-      if (data[geckoId]) {
+      if (data[geckoId] && data[geckoId][vs] !== undefined) {
         result[ticker] = {
-          price: data[geckoId].usd,
-          change24h: data[geckoId].usd_24h_change,
-          marketCap: data[geckoId].usd_market_cap,
+          price: data[geckoId][vs],
+          change24h: data[geckoId][`${vs}_24h_change`],
+          marketCap: data[geckoId][`${vs}_market_cap`],
+          volume24h: data[geckoId][`${vs}_24h_vol`],
           source: 'coingecko'
         };
       }
@@ -58,21 +43,12 @@ async function fetchCoinGecko(assets) {
 
 // --- SOURCE 2: DeFiLlama (free, no auth) ---
 async function fetchDeFiLlama(assets) {
-  const llamaIds = {
-    BTC: 'coingecko:bitcoin', ETH: 'coingecko:ethereum',
-    SOL: 'coingecko:solana', BNB: 'coingecko:binancecoin',
-    XRP: 'coingecko:ripple', ADA: 'coingecko:cardano',
-    AVAX: 'coingecko:avalanche-2', DOGE: 'coingecko:dogecoin',
-    LINK: 'coingecko:chainlink', UNI: 'coingecko:uniswap',
-    AAVE: 'coingecko:aave', ARB: 'coingecko:arbitrum',
-    OP: 'coingecko:optimism'
-  };
-
+  const llamaIds = sourceIds('defillama');
   const coins = assets.map(a => llamaIds[a]).filter(Boolean).join(',');
   if (!coins) return {};
 
   try {
-    const data = await fetch(`https://coins.llama.fi/prices/current/${coins}`);
+    const data = await fetchJson(`https://coins.llama.fi/prices/current/${coins}`, { source: 'defillama' });
     const result = {};
     for (const [ticker, llamaId] of Object.entries(llamaIds)) {
       if (data.coins && data.coins[llamaId]) {
@@ -93,7 +69,7 @@ async function fetchDeFiLlama(assets) {
 // --- SOURCE 3: Fear & Greed Index ---
 async function fetchFearGreed() {
   try {
-    const data = await fetch('https://api.alternative.me/fng/?limit=1');
+    const data = await fetchJson('https://api.alternative.me/fng/?limit=1', { source: 'feargreed' });
     return {
       value: parseInt(data.data[0].value),
       label: data.data[0].value_classification,
@@ -109,7 +85,7 @@ async function fetchFearGreed() {
 // --- SOURCE 4: DeFiLlama TVL ---
 async function fetchTVL() {
   try {
-    const data = await fetch('https://api.llama.fi/v2/chains');
+    const data = await fetchJson('https://api.llama.fi/v2/chains', { source: 'defillama-tvl' });
     const top = data
       .sort((a, b) => (b.tvl || 0) - (a.tvl || 0))
       .slice(0, 15)
@@ -124,7 +100,7 @@ async function fetchTVL() {
 // --- SOURCE 5: DeFiLlama Stablecoins ---
 async function fetchStablecoins() {
   try {
-    const data = await fetch('https://stablecoins.llama.fi/stablecoins?includePrices=true');
+    const data = await fetchJson('https://stablecoins.llama.fi/stablecoins?includePrices=true', { source: 'defillama-stablecoins' });
     const top = data.peggedAssets
       .sort((a, b) => {
         const aVal = a.circulating?.peggedUSD || 0;
@@ -136,6 +112,8 @@ async function fetchStablecoins() {
         name: s.name,
         symbol: s.symbol,
         circulating: s.circulating?.peggedUSD || 0,
+        circulatingPrevDay: s.circulatingPrevDay?.peggedUSD ?? null,
+        circulatingPrevWeek: s.circulatingPrevWeek?.peggedUSD ?? null,
         price: s.price
       }));
     return { stablecoins: top, source: 'defillama' };
@@ -145,18 +123,22 @@ async function fetchStablecoins() {
   }
 }
 
-// --- SOURCE 6: ETH Gas ---
-async function fetchGas() {
+// --- SOURCE 6: Etherscan gas oracle (Ethereum only; cross-checks the RPC estimates in gas.js) ---
+async function fetchEtherscanGas(apiKey = process.env.ETHERSCAN_API_KEY) {
+  if (!apiKey) return null;
   try {
-    const data = await fetch('https://api.etherscan.io/api?module=gastracker&action=gasoracle');
+    const data = await fetchJson(`https://api.etherscan.io/v2/api?chainid=1&module=gastracker&action=gasoracle&apikey=${encodeURIComponent(apiKey)}`, { source: 'etherscan' });
     if (data.status === '1') {
       return {
-        low: parseInt(data.result.SafeGasPrice),
-        standard: parseInt(data.result.ProposeGasPrice),
-        fast: parseInt(data.result.FastGasPrice),
+        low: parseFloat(data.result.SafeGasPrice),
+        standard: parseFloat(data.result.ProposeGasPrice),
+        fast: parseFloat(data.result.FastGasPrice),
+        baseFee: parseFloat(data.result.suggestBaseFee),
+        blockNumber: parseInt(data.result.LastBlock),
         source: 'etherscan'
       };
     }
+    console.error('Etherscan gas error:', data.result || data.message);
     return null;
   } catch (e) {
     console.error('Gas error:', e.message);
@@ -164,53 +146,462 @@ async function fetchGas() {
   }
 }
 
+// --- SOURCE 7: Chainlink (on-chain AggregatorV3 feeds) ---
+const AGGREGATOR_V3_ABI = [
+  'function decimals() view returns (uint8)',
+  'function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)'
+];
+
+/**
+ * Create a Chainlink source reading latestRoundData() from AggregatorV3 feeds.
+ * Readings older than maxAgeSec are marked stale, which down-weights them
+ * in cross-verification. A fixture replay judges age at its recording time.
+ */
+function createChainlinkSource({ provider, feeds = () => sourceIds('chainlink'), maxAgeSec = 3600, name = 'chainlink' }) {
+  const decimals = new Map(); // feed address → decimals (immutable per feed)
+  const feedMap = () => (typeof feeds === 'function' ? feeds() : feeds);
+
+  async function readFeed(address) {
+    const feed = new ethers.Contract(address, AGGREGATOR_V3_ABI, provider);
+    if (!decimals.has(address)) decimals.set(address, Number(await feed.decimals()));
+    const round = await feed.latestRoundData();
+    return { round, decimals: decimals.get(address) };
+  }
+
+  async function fetchPrices(assets) {
+    const now = upstream.now();
+    const feeds = feedMap();
+    const wanted = assets.filter(a => feeds[a]);
+    const reads = await Promise.allSettled(wanted.map(a => call(name, () => readFeed(feeds[a]), { retries: 1 })));
+
+    const result = {};
+    reads.forEach((read, i) => {
+      const ticker = wanted[i];
+      if (read.status === 'rejected') {
+        console.error(`Chainlink ${ticker} error:`, read.reason.shortMessage || read.reason.message);
+        return;
+      }
+      const { round, decimals: d } = read.value;
+      if (round.answer <= 0n) return;
+      const ageSec = now - Number(round.updatedAt);
+      result[ticker] = {
+        price: Number(ethers.formatUnits(round.answer, d)),
+        roundId: round.roundId.toString(),
+        updatedAt: Number(round.updatedAt),
+        ageSec,
+        stale: ageSec > maxAgeSec,
+        source: name
+      };
+    });
+    return result;
+  }
+
+  return {
+    name,
+    get supportedAssets() { return Object.keys(feedMap()); },
+    fetchPrices
+  };
+}
+
+// --- SOURCES 8-11: Centralized exchanges (spot order-book mid prices) ---
+// Direct venue quotes, independent of the aggregators above.
+// Binance and OKX quote in USDT, Coinbase and Kraken in USD; getPriceSnapshot
+// converts USDT quotes to USD.
+// Kraken answers with its own pair names (e.g. XBTUSD → XXBTZUSD), so its
+// registry ids list the request pair first, then the response names.
+// Each takes { ids, quote } to read other pairs, e.g. the registry's EUR books.
+
+// Best bid/ask → mid price reading with spread in bps
+function midFromBook(source, bid, ask, quote) {
+  const b = parseFloat(bid);
+  const a = parseFloat(ask);
+  if (!(b > 0) || !(a > 0) || a < b) return null;
+  const price = (b + a) / 2;
+  return {
+    price,
+    bid: b,
+    ask: a,
+    spreadBps: Math.round((a - b) / price * 1000000) / 100,
+    quote,
+    source
+  };
+}
+
+async function fetchBinance(assets, { ids = sourceIds('binance'), quote = 'USDT' } = {}) {
+  const symbols = assets.map(a => ids[a]).filter(Boolean);
+  if (symbols.length === 0) return {};
+
+  try {
+    const data = await fetchJson(`https://api.binance.com/api/v3/ticker/bookTicker?symbols=${encodeURIComponent(JSON.stringify(symbols))}`, { source: 'binance' });
+    const bySymbol = new Map(data.map(t => [t.symbol, t]));
+    const result = {};
+    for (const [ticker, symbol] of Object.entries(ids)) {
+      const t = bySymbol.get(symbol);
+      const reading = t && midFromBook('binance', t.bidPrice, t.askPrice, quote);
+      if (reading) result[ticker] = reading;
+    }
+    return result;
+  } catch (e) {
+    console.error('Binance error:', e.message);
+    return {};
+  }
+}
+
+async function fetchCoinbase(assets, { ids = sourceIds('coinbase'), quote = 'USD' } = {}) {
+  const wanted = assets.filter(a => ids[a]);
+  const books = await Promise.allSettled(
+    wanted.map(a => fetchJson(`https://api.exchange.coinbase.com/products/${ids[a]}/ticker`, { source: 'coinbase' }))
+  );
+
+  const result = {};
+  books.forEach((book, i) => {
+    if (book.status === 'rejected') {
+      console.error(`Coinbase ${wanted[i]} error:`, book.reason.message);
+      return;
+    }
+    const reading = midFromBook('coinbase', book.value.bid, book.value.ask, quote);
+    if (reading) result[wanted[i]] = reading;
+  });
+  return result;
+}
+
+async function fetchKraken(assets, { ids = sourceIds('kraken'), quote = 'USD' } = {}) {
+  const wanted = assets.filter(a => ids[a]);
+  if (wanted.length === 0) return {};
+
+  try {
+    const data = await fetchJson(`https://api.kraken.com/0/public/Ticker?pair=${wanted.map(a => ids[a][0]).join(',')}`, { source: 'kraken' });
+    if (data.error && data.error.length) throw new Error(data.error.join(', '));
+    const result = {};
+    for (const ticker of wanted) {
+      const key = ids[ticker].find(k => data.result[k]);
+      const t = key && data.result[key];
+      const reading = t && midFromBook('kraken', t.b[0], t.a[0], quote);
+      if (reading) result[ticker] = reading;
+    }
+    return result;
+  } catch (e) {
+    console.error('Kraken error:', e.message);
+    return {};
+  }
+}
+
+async function fetchOKX(assets, { ids = sourceIds('okx'), quote = 'USDT' } = {}) {
+  const wanted = assets.filter(a => ids[a]);
+  if (wanted.length === 0) return {};
+
+  try {
+    const data = await fetchJson('https://www.okx.com/api/v5/market/tickers?instType=SPOT', { source: 'okx' });
+    if (data.code !== '0') throw new Error(data.msg || `code ${data.code}`);
+    const byInst = new Map(data.data.map(t => [t.instId, t]));
+    const result = {};
+    for (const ticker of wanted) {
+      const t = byInst.get(ids[ticker]);
+      const reading = t && midFromBook('okx', t.bidPx, t.askPx, quote);
+      if (reading) result[ticker] = reading;
+    }
+    return result;
+  } catch (e) {
+    console.error('OKX error:', e.message);
+    return {};
+  }
+}
+
+// --- SOURCE REGISTRY ---
+// A price source adapter: { name, supportedAssets: [tickers], fetchPrices(assets) }
+// fetchPrices resolves to { TICKER: { price, ...extras } } and should not throw.
+const registry = new Map();
+
+function registerSource(source) {
+  if (!source || typeof source.name !== 'string' || !source.name) throw new Error('Source needs a name');
+  if (!Array.isArray(source.supportedAssets)) throw new Error(`Source ${source.name} needs supportedAssets`);
+  if (typeof source.fetchPrices !== 'function') throw new Error(`Source ${source.name} needs fetchPrices(assets)`);
+  registry.set(source.name, source);
+  return source;
+}
+
+function unregisterSource(name) {
+  return registry.delete(name);
+}
+
+function getSources() {
+  return [...registry.values()];
+}
+
+// Registry-backed adapters: supported assets follow the (hot-reloadable) asset registry
+function registryAdapter(name, fetchPrices) {
+  return { name, get supportedAssets() { return Object.keys(sourceIds(name)); }, fetchPrices };
+}
+
+registerSource(registryAdapter('coingecko', fetchCoinGecko));
+registerSource(registryAdapter('defillama', fetchDeFiLlama));
+registerSource(registryAdapter('binance', fetchBinance));
+registerSource(registryAdapter('coinbase', fetchCoinbase));
+registerSource(registryAdapter('kraken', fetchKraken));
+registerSource(registryAdapter('okx', fetchOKX));
+registerSource(createChainlinkSource({
+  provider: getProvider(process.env.CHAINLINK_RPC_URL || 'https://ethereum-rpc.publicnode.com', parseInt(process.env.CHAINLINK_CHAIN_ID || '1')),
+  feeds: process.env.CHAINLINK_FEEDS ? JSON.parse(process.env.CHAINLINK_FEEDS) : undefined,
+  maxAgeSec: parseInt(process.env.CHAINLINK_MAX_AGE || '3600')
+}));
+
+// Ask one source for the assets it supports; a failing source contributes nothing
+async function fetchFromSource(source, assets) {
+  const wanted = assets.filter(a => source.supportedAssets.includes(a));
+  if (wanted.length === 0) return {};
+  try {
+    return (await source.fetchPrices(wanted)) || {};
+  } catch (e) {
+    console.error(`${source.name} error:`, e.message);
+    return {};
+  }
+}
+
 // --- CROSS-VERIFICATION ENGINE ---
-function crossVerify(coinGecko, deFiLlama, asset) {
-  const cg = coinGecko[asset];
-  const dl = deFiLlama[asset];
+const OUTLIER_BPS = 300; // > 3% from the median = outlier (needs 3+ sources to tell)
+const STALE_WEIGHT = 0.25; // stale readings count a quarter in the median
+const WIDE_SPREAD_BPS = 100; // > 1% bid/ask spread = thin book
+const QUARANTINE_PENALTY = 10; // confidence points per quarantined reading
+const ALL_QUARANTINED_CAP = 20;
+
+// Reason code → the human-readable line in `warning`
+const REASON_TEXT = {
+  HIGH_DIVERGENCE: r => `HIGH DIVERGENCE: ${r.bps}bps between sources`,
+  OUTLIER_EXCLUDED: r => `OUTLIER EXCLUDED: ${r.source} ${r.bps}bps from median`,
+  NO_QUORUM: r => `NO QUORUM: only ${r.agreeing} of ${r.total} sources agree`,
+  STALE_SOURCE: r => `STALE SOURCE: ${r.source}${r.ageSec ? ` ${r.ageSec}s old` : ''}`,
+  WIDE_SPREAD: r => `WIDE SPREAD: ${r.source} ${r.bps}bps`,
+  ZSCORE_OUTLIER: r => `QUARANTINED: ${r.source} return z-score ${r.z}`,
+  MAX_MOVE_EXCEEDED: r => `QUARANTINED: ${r.source} moved ${r.moveBps}bps in ${r.intervalSec}s`,
+  FROZEN_VALUE: r => `QUARANTINED: ${r.source} unchanged for ${r.sinceSec}s`,
+  ALL_SOURCES_QUARANTINED: () => 'ALL SOURCES QUARANTINED'
+};
 
-  if (!cg && !dl) return null;
-  if (!cg) return { price: dl.price, sources: 1, sourceNames: ['defillama'], confidence: 60, divergenceBps: 0 };
-  if (!dl) return { price: cg.price, sources: 1, sourceNames: ['coingecko'], confidence: 60, divergenceBps: 0 };
+function describeReason(reason) {
+  return REASON_TEXT[reason.code] ? REASON_TEXT[reason.code](reason) : reason.code;
+}
 
-  const avg = (cg.price + dl.price) / 2;
-  const diff = Math.abs(cg.price - dl.price);
-  const divergenceBps = Math.round((diff / avg) * 10000);
+// Weighted median; with equal weights this is the plain median
+function median(readings) {
+  const sorted = [...readings].sort((a, b) => a.price - b.price);
+  const total = sorted.reduce((sum, r) => sum + r.weight, 0);
+  let cumulative = 0;
+  for (let i = 0; i < sorted.length; i++) {
+    cumulative += sorted[i].weight;
+    if (Math.abs(cumulative - total / 2) < 1e-9 && i + 1 < sorted.length) return (sorted[i].price + sorted[i + 1].price) / 2;
+    if (cumulative > total / 2) return sorted[i].price;
+  }
+  return sorted[sorted.length - 1].price;
+}
+
+function confidenceFor(divergenceBps) {
+  if (divergenceBps <= 10) return 99;        // < 0.1% diff
+  if (divergenceBps <= 50) return 95;        // < 0.5%
+  if (divergenceBps <= 100) return 85;       // < 1%
+  if (divergenceBps <= 300) return 70;       // < 3%
+  return 40;                                  // > 3% = suspicious
+}
+
+const TIERS = [40, 70, 85, 95, 99];
+
+/**
+ * Aggregate one asset's readings from any number of sources.
+ * readings: [{ source, price, stale?, weight?, ...extras }]
+ * quarantined: readings held back by the anomaly detector, with their reasons
+ *
+ * The price is the weighted median of the sources that agree with the overall
+ * median (within OUTLIER_BPS); stale readings weigh STALE_WEIGHT. Confidence comes from the spread of that quorum: a
+ * quorum of 3+ earns one tier up, each excluded outlier costs 5 points, each
+ * quarantined reading 10, and a quorum without a majority of sources is capped
+ * at 40. If every reading is quarantined they are used anyway, capped at 20.
+ * Every finding is listed in `reasons` as { code, source?, ...details }.
+ */
+function verifyReadings(readings, { outlierBps = OUTLIER_BPS, quarantined = [] } = {}) {
+  const usable = (list) => list
+    .filter(r => r && typeof r.price === 'number' && r.price > 0)
+    .map(r => ({ ...r, weight: r.weight ?? (r.stale ? STALE_WEIGHT : 1) }));
+  const held = usable(quarantined);
+  let valid = usable(readings);
+  const allQuarantined = valid.length === 0 && held.length > 0;
+  if (allQuarantined) valid = held;
+  if (valid.length === 0) return null;
+
+  const overall = median(valid);
+  const deviations = {};
+  for (const r of valid) deviations[r.source] = Math.round(Math.abs(r.price - overall) / overall * 10000);
+
+  const agreeing = valid.length >= 3 ? valid.filter(r => deviations[r.source] <= outlierBps) : valid;
+  const excluded = valid.filter(r => !agreeing.includes(r)).map(r => r.source);
+
+  const price = median(agreeing);
+  const stale = valid.filter(r => r.stale).map(r => r.source);
+  const quorumPrices = agreeing.map(r => r.price);
+  const divergenceBps = Math.round((Math.max(...quorumPrices) - Math.min(...quorumPrices)) / price * 10000);
 
   let confidence;
-  if (divergenceBps <= 10) confidence = 99;       // < 0.1% diff
-  else if (divergenceBps <= 50) confidence = 95;   // < 0.5%
-  else if (divergenceBps <= 100) confidence = 85;  // < 1%
-  else if (divergenceBps <= 300) confidence = 70;  // < 3%
-  else confidence = 40;                             // > 3% = suspicious
+  if (agreeing.length === 1) {
+    confidence = 60;
+  } else {
+    confidence = confidenceFor(divergenceBps);
+    if (agreeing.length >= 3) confidence = TIERS[Math.min(TIERS.indexOf(confidence) + 1, TIERS.length - 1)];
+  }
+  confidence = Math.max(confidence - 5 * excluded.length, 0);
+  const hasMajority = agreeing.length * 2 > valid.length;
+  if (!hasMajority) confidence = Math.min(confidence, 40);
+  if (allQuarantined) confidence = Math.min(confidence, ALL_QUARANTINED_CAP);
+  else confidence = Math.max(confidence - QUARANTINE_PENALTY * held.length, 0);
+
+  const reasons = [];
+  if (divergenceBps > 300) reasons.push({ code: 'HIGH_DIVERGENCE', bps: divergenceBps });
+  for (const name of excluded) reasons.push({ code: 'OUTLIER_EXCLUDED', source: name, bps: deviations[name] });
+  if (!hasMajority) reasons.push({ code: 'NO_QUORUM', agreeing: agreeing.length, total: valid.length });
+  for (const r of valid.filter(r => r.stale)) reasons.push({ code: 'STALE_SOURCE', source: r.source, ageSec: r.ageSec });
+
+  // Order-book sources report their bid/ask spread and quote currency
+  let spreads;
+  let quotes;
+  for (const r of valid.filter(r => typeof r.spreadBps === 'number')) {
+    spreads = spreads || {};
+    quotes = quotes || {};
+    spreads[r.source] = r.spreadBps;
+    quotes[r.source] = r.quote;
+    if (r.spreadBps > WIDE_SPREAD_BPS) reasons.push({ code: 'WIDE_SPREAD', source: r.source, bps: r.spreadBps });
+  }
+  for (const r of held) reasons.push(...(r.reasons || []));
+  if (allQuarantined) reasons.push({ code: 'ALL_SOURCES_QUARANTINED' });
+
+  const prices = {};
+  for (const r of [...valid, ...held]) prices[r.source] = r.price;
+  const withChange = valid.find(r => r.change24h !== undefined);
+  const withCap = valid.find(r => r.marketCap !== undefined);
+  const withVolume = valid.find(r => r.volume24h !== undefined);
 
   return {
-    price: avg,
-    prices: { coingecko: cg.price, defillama: dl.price },
-    sources: 2,
-    sourceNames: ['coingecko', 'defillama'],
+    price,
+    prices,
+    sources: agreeing.length,
+    sourceNames: agreeing.map(r => r.source),
+    quorum: `${agreeing.length}/${valid.length}`,
+    deviations,
+    excluded,
+    quarantined: held.map(r => r.source),
+    stale,
+    spreads,
+    quotes,
     confidence,
     divergenceBps,
-    change24h: cg.change24h,
-    marketCap: cg.marketCap,
-    warning: divergenceBps > 300 ? `HIGH DIVERGENCE: ${divergenceBps}bps between sources` : null
+    change24h: withChange ? withChange.change24h : undefined,
+    marketCap: withCap ? withCap.marketCap : undefined,
+    volume24h: withVolume ? withVolume.volume24h : undefined,
+    reasons,
+    warning: reasons.length ? reasons.map(describeReason).join('; ') : null
   };
 }
 
-// --- MAIN ORACLE FUNCTION ---
-async function getFullSnapshot(assets = ['BTC', 'ETH', 'SOL', 'BNB', 'XRP', 'LINK', 'AAVE', 'ARB', 'OP', 'UNI']) {
-  const [coinGecko, deFiLlama, fearGreed, tvl, stablecoins, gas] = await Promise.all([
-    fetchCoinGecko(assets),
-    fetchDeFiLlama(assets),
-    fetchFearGreed(),
-    fetchTVL(),
-    fetchStablecoins(),
-    fetchGas()
+/**
+ * Cross-verify one asset across per-source result maps.
+ * crossVerify(coinGecko, deFiLlama, ..., asset)
+ */
+function crossVerify(...args) {
+  const asset = args.pop();
+  const readings = args
+    .map(results => results && results[asset])
+    .filter(Boolean)
+    .map((r, i) => ({ source: r.source || `source${i + 1}`, ...r }));
+  return verifyReadings(readings);
+}
+
+// --- TOKEN PRICES BY CONTRACT ADDRESS ---
+// Prices any ERC-20 given as chain + address through DeFiLlama's
+// "chain:0xaddress" coin format, cross-checked with CoinGecko where the
+// registry maps the chain to a CoinGecko platform.
+async function fetchTokenPrice(chain, address) {
+  const id = `${chain}:${address}`;
+  const platform = (getChain(chain) || {}).coingecko;
+
+  const [llama, gecko] = await Promise.all([
+    fetchJson(`https://coins.llama.fi/prices/current/${id}`, { source: 'defillama' }).catch((e) => {
+      console.error('DeFiLlama token error:', e.message);
+      return null;
+    }),
+    platform
+      ? fetchJson(`https://api.coingecko.com/api/v3/simple/token_price/${platform}?contract_addresses=${address}&vs_currencies=usd&include_24hr_change=true&include_market_cap=true`, { source: 'coingecko' }).catch((e) => {
+        console.error('CoinGecko token error:', e.message);
+        return null;
+      })
+      : null
   ]);
 
+  const readings = [];
+  let meta = {};
+  const l = llama && llama.coins && (llama.coins[id] || Object.values(llama.coins)[0]);
+  if (l) {
+    readings.push({ source: 'defillama', price: l.price, confidence: l.confidence });
+    meta = { symbol: l.symbol, decimals: l.decimals };
+  }
+  const g = gecko && gecko[address.toLowerCase()];
+  if (g) readings.push({ source: 'coingecko', price: g.usd, change24h: g.usd_24h_change, marketCap: g.usd_market_cap });
+
+  const verified = verifyReadings(readings);
+  return verified && { ...verified, chain, address, ...meta };
+}
+
+// --- MAIN ORACLE FUNCTIONS ---
+
+const isUsdQuoted = (reading) => !reading.quote || reading.quote === 'USD';
+
+/**
+ * USDT/USD from the USD-quoted sources' USDT readings, fetched on demand when
+ * USDT is not part of the snapshot. Null when no USD source prices USDT.
+ */
+async function usdtRate(sources, results) {
+  let readings = results.map((result, i) => result.USDT && { ...result.USDT, source: sources[i].name });
+  if (!readings.some(Boolean)) {
+    const usdtSources = getSources().filter(s => s.supportedAssets.includes('USDT'));
+    const fetched = await Promise.all(usdtSources.map(s => fetchFromSource(s, ['USDT'])));
+    readings = fetched.map((result, i) => result.USDT && { ...result.USDT, source: usdtSources[i].name });
+  }
+  const verified = verifyReadings(readings.filter(r => r && isUsdQuoted(r)));
+  return verified ? verified.price : null;
+}
+
+// A USDT-quoted book reading in USD; it keeps quote: 'USDT' and records the rate used
+function usdtToUsd(reading, rate) {
+  const converted = { ...reading, price: reading.price * rate, usdRate: rate };
+  if (typeof reading.bid === 'number') converted.bid = reading.bid * rate;
+  if (typeof reading.ask === 'number') converted.ask = reading.ask * rate;
+  return converted;
+}
+
+// Cross-verified prices only, without the market-wide datasets. With an
+// anomaly detector (anomaly.js), readings are screened before aggregation.
+// USDT-quoted books (Binance, OKX) are converted to USD at the snapshot's
+// USDT/USD rate, or left out when there is none, so a USDT that drifts from
+// $1 does not show up as divergence. Simulated divergences and depegs
+// (simulate.js) apply to the raw readings; the rate is taken before them,
+// as real USDT books re-price with a USDT depeg.
+async function getPriceSnapshot(assets = getTrackedAssets(), { anomalies = null } = {}) {
+  const sources = getSources().filter(s => assets.some(a => s.supportedAssets.includes(a)));
+  const results = await Promise.all(sources.map(s => fetchFromSource(s, assets)));
+  const usdtQuoted = results.some(result => Object.values(result).some(r => r && r.quote === 'USDT'));
+  const rate = usdtQuoted ? await usdtRate(sources, results) : null;
+
   const prices = {};
   for (const asset of assets) {
-    const verified = crossVerify(coinGecko, deFiLlama, asset);
+    const readings = [];
+    results.forEach((result, i) => {
+      let reading = result[asset];
+      if (!reading) return;
+      if (reading.quote === 'USDT') {
+        if (rate === null) return;
+        reading = usdtToUsd(reading, rate);
+      } else if (!isUsdQuoted(reading)) {
+        return;
+      }
+      readings.push(adjustReading(sources[i].name, asset, { ...reading, source: sources[i].name }));
+    });
+    const screened = anomalies ? anomalies.screen(asset, readings) : { accepted: readings, quarantined: [] };
+    const verified = verifyReadings(screened.accepted, { quarantined: screened.quarantined });
     if (verified) prices[asset] = verified;
   }
 
@@ -219,21 +610,44 @@ async function getFullSnapshot(assets = ['BTC', 'ETH', 'SOL', 'BNB', 'XRP', 'LIN
     iso: new Date().toISOString(),
     oracle: 'MoltOracle v1.0.0',
     verification: 'cross-sourced',
-    prices,
-    fearGreed,
-    tvl,
-    stablecoins,
-    gas
+    usdtRate: rate,
+    prices
   };
 }
 
+async function getFullSnapshot(assets = getTrackedAssets()) {
+  const { fetchGas } = require('./gas'); // gas.js builds on this module
+  const [snapshot, fearGreed, tvl, stablecoins, gas] = await Promise.all([
+    getPriceSnapshot(assets),
+    fetchFearGreed(),
+    fetchTVL(),
+    fetchStablecoins(),
+    fetchGas()
+  ]);
+  return { ...snapshot, fearGreed, tvl, stablecoins, gas };
+}
+
 module.exports = {
   getFullSnapshot,
+  getPriceSnapshot,
   fetchCoinGecko,
   fetchDeFiLlama,
   fetchFearGreed,
   fetchTVL,
   fetchStablecoins,
-  fetchGas,
+  fetchEtherscanGas,
+  fetchTokenPrice,
+  fetchBinance,
+  fetchCoinbase,
+  fetchKraken,
+  fetchOKX,
+  midFromBook,
+  createChainlinkSource,
+  registerSource,
+  unregisterSource,
+  getSources,
+  verifyReadings,
+  confidenceFor,
+  describeReason,
   crossVerify
 };
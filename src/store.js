@@ -0,0 +1,264 @@
+/**
+ * MoltOracle — Key/Value Stores
+ * Backing store for API keys, quota counters and payment state. Two
+ * interchangeable implementations share one async interface:
+ *   get(key) → value | null        set(key, value, ttlSec?)        del(key)
+ *   incr(key, ttlSec) → count       keys(prefix) → [key]
+ * Values are JSON-serializable; counters expire ttlSec after their first
+ * increment, other values after ttlSec if given.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const net = require('net');
+
+/**
+ * In-process store, optionally snapshotted to a JSON file so keys and
+ * counters survive restarts. The file is rewritten at most every flushMs,
+ * only after a change, and off the event loop. Expired counters are swept
+ * once a minute.
+ */
+function createMemoryStore({ file = null, flushMs = 1000 } = {}) {
+  const data = new Map(); // key → { value, expiresAt|null }
+  let flushTimer = null;
+  let dirty = false;
+  let writing = null;
+
+  if (file && fs.existsSync(file)) {
+    for (const [key, entry] of Object.entries(JSON.parse(fs.readFileSync(file, 'utf8')))) data.set(key, entry);
+  }
+
+  // Written to a temporary file and renamed, so a crash mid-write keeps the old snapshot
+  async function write() {
+    dirty = false;
+    const text = JSON.stringify(Object.fromEntries(data));
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(`${file}.tmp`, text, { mode: 0o600 });
+    await fs.promises.rename(`${file}.tmp`, file);
+  }
+
+  // Write pending changes; resolves once they are on disk. One write at a time.
+  async function flush() {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    while (writing) await writing;
+    if (!file || !dirty) return;
+    writing = write()
+      .catch((e) => {
+        dirty = true;
+        console.error('Store flush error:', e.message);
+      })
+      .finally(() => { writing = null; });
+    await writing;
+  }
+
+  const scheduleFlush = () => {
+    dirty = true;
+    if (file && !flushTimer) flushTimer = setTimeout(flush, flushMs).unref();
+  };
+
+  const live = (key) => {
+    const entry = data.get(key);
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      data.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  function sweep() {
+    for (const key of data.keys()) live(key);
+  }
+  const sweeper = setInterval(sweep, 60000);
+  sweeper.unref();
+
+  return {
+    async get(key) {
+      const entry = live(key);
+      return entry ? entry.value : null;
+    },
+    async set(key, value, ttlSec = null) {
+      data.set(key, { value, expiresAt: ttlSec ? Date.now() + ttlSec * 1000 : null });
+      scheduleFlush();
+    },
+    async del(key) {
+      data.delete(key);
+      scheduleFlush();
+    },
+    async incr(key, ttlSec) {
+      const entry = live(key);
+      if (entry) entry.value++;
+      else data.set(key, { value: 1, expiresAt: Date.now() + ttlSec * 1000 });
+      scheduleFlush();
+      return data.get(key).value;
+    },
+    async keys(prefix) {
+      return [...data.keys()].filter(key => key.startsWith(prefix) && live(key));
+    },
+    flush,
+    // Synchronous, for shutdown
+    close() {
+      clearInterval(sweeper);
+      clearTimeout(flushTimer);
+      flushTimer = null;
+      if (!file || !dirty) return;
+      dirty = false;
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, JSON.stringify(Object.fromEntries(data)), { mode: 0o600 });
+    }
+  };
+}
+
+// --- Redis-compatible store (RESP2 over TCP, no client library) ---
+
+function encodeCommand(args) {
+  return `*${args.length}\r\n` + args.map(a => `$${Buffer.byteLength(String(a))}\r\n${a}\r\n`).join('');
+}
+
+// Parse one reply from buf at offset; returns [value, nextOffset] or null if incomplete
+function parseReply(buf, offset = 0) {
+  const end = buf.indexOf('\r\n', offset);
+  if (end === -1) return null;
+  const type = String.fromCharCode(buf[offset]);
+  const line = buf.toString('utf8', offset + 1, end);
+  const next = end + 2;
+
+  if (type === '+') return [line, next];
+  if (type === '-') return [new Error(line), next];
+  if (type === ':') return [parseInt(line), next];
+  if (type === '$') {
+    const len = parseInt(line);
+    if (len === -1) return [null, next];
+    if (buf.length < next + len + 2) return null;
+    return [buf.toString('utf8', next, next + len), next + len + 2];
+  }
+  if (type === '*') {
+    const count = parseInt(line);
+    if (count === -1) return [null, next];
+    const items = [];
+    let cursor = next;
+    for (let i = 0; i < count; i++) {
+      const item = parseReply(buf, cursor);
+      if (!item) return null;
+      items.push(item[0]);
+      cursor = item[1];
+    }
+    return [items, cursor];
+  }
+  throw new Error(`Unexpected RESP type ${type}`);
+}
+
+// INCR and its expiry in one atomic step: a crash in between would leave a
+// counter that never expires. A counter found without a TTL gets one too.
+const INCR_SCRIPT = `local count = redis.call('INCR', KEYS[1])
+if redis.call('TTL', KEYS[1]) == -1 then redis.call('EXPIRE', KEYS[1], ARGV[1]) end
+return count`;
+
+/**
+ * Store backed by Redis or anything speaking its protocol (Valkey, KeyDB,
+ * Dragonfly). url: redis://[:password@]host:port[/db]. Keys are namespaced
+ * by prefix. Connects lazily and reconnects on the next command after a drop.
+ */
+function createRedisStore({ url, prefix = 'molt:', timeoutMs = 5000 }) {
+  const target = new URL(url);
+  let socket = null;
+  let buffer = Buffer.alloc(0);
+  let pending = []; // { resolve, reject } in command order
+
+  function failAll(err) {
+    for (const p of pending) p.reject(err);
+    pending = [];
+  }
+
+  function connect() {
+    if (socket) return;
+    buffer = Buffer.alloc(0);
+    socket = net.connect({ host: target.hostname, port: parseInt(target.port || '6379') });
+    socket.setTimeout(timeoutMs);
+    socket.on('data', (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      let parsed;
+      while (pending.length && (parsed = parseReply(buffer))) {
+        buffer = buffer.subarray(parsed[1]);
+        const { resolve, reject } = pending.shift();
+        if (parsed[0] instanceof Error) reject(parsed[0]);
+        else resolve(parsed[0]);
+      }
+    });
+    socket.on('timeout', () => socket && socket.destroy(new Error('Redis timeout')));
+    socket.on('error', failAll);
+    socket.on('close', () => {
+      failAll(new Error('Redis connection closed'));
+      socket = null;
+    });
+
+    const password = decodeURIComponent(target.password || '');
+    const user = decodeURIComponent(target.username || '');
+    if (password) send(user ? ['AUTH', user, password] : ['AUTH', password]).catch(() => {});
+    const db = target.pathname.slice(1);
+    if (db) send(['SELECT', db]).catch(() => {});
+  }
+
+  function send(args) {
+    return new Promise((resolve, reject) => {
+      pending.push({ resolve, reject });
+      socket.write(encodeCommand(args));
+    });
+  }
+
+  function command(...args) {
+    connect();
+    return send(args);
+  }
+
+  const k = (key) => prefix + key;
+
+  return {
+    async get(key) {
+      const value = await command('GET', k(key));
+      return value === null ? null : JSON.parse(value);
+    },
+    async set(key, value, ttlSec = null) {
+      if (ttlSec) await command('SET', k(key), JSON.stringify(value), 'EX', ttlSec);
+      else await command('SET', k(key), JSON.stringify(value));
+    },
+    async del(key) {
+      await command('DEL', k(key));
+    },
+    async incr(key, ttlSec) {
+      return command('EVAL', INCR_SCRIPT, 1, k(key), ttlSec);
+    },
+    // SCAN in batches; KEYS would block the server while it walks every key
+    async keys(keyPrefix) {
+      const found = new Set(); // SCAN may return a key more than once
+      let cursor = '0';
+      do {
+        const [next, batch] = await command('SCAN', cursor, 'MATCH', `${k(keyPrefix).replace(/[*?[\]\\]/g, '\\$&')}*`, 'COUNT', 500);
+        for (const key of batch) found.add(key.slice(prefix.length));
+        cursor = next;
+      } while (cursor !== '0');
+      return [...found];
+    },
+    close() {
+      if (socket) socket.end();
+    }
+  };
+}
+
+// STORE_URL: unset or "memory" → file-backed memory store, redis://… → Redis
+function createStore(url, { file } = {}) {
+  if (!url || url === 'memory') return createMemoryStore({ file });
+  if (/^rediss?:/.test(url)) {
+    if (url.startsWith('rediss:')) throw new Error('TLS Redis is not supported; use a local TLS proxy');
+    return createRedisStore({ url });
+  }
+  throw new Error(`Unsupported STORE_URL: ${url}`);
+}
+
+module.exports = {
+  createMemoryStore,
+  createRedisStore,
+  createStore,
+  encodeCommand,
+  parseReply
+};
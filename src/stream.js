@@ -0,0 +1,139 @@
+/**
+ * MoltOracle — Real-Time Price Stream (Server-Sent Events)
+ * One shared refresh loop fans each new cross-verified update out to every
+ * subscriber. Events carry a sequence number so clients can resume.
+ */
+
+/**
+ * Create a stream hub.
+ * getSnapshot: returns the current (cached) snapshot
+ * toUpdate(asset, info, timestamp): async, builds the payload of one price event
+ */
+function createStreamHub({
+  getSnapshot,
+  toUpdate,
+  intervalMs = 15000,
+  heartbeatMs = 15000,
+  bufferSize = 1000,
+  maxClients = 100
+}) {
+  const clients = new Set(); // { res, assets: Set|null }
+  const buffer = []; // recent events, oldest first, for resume
+  let seq = 0;
+  let lastTimestamp = null;
+  let loop = null;
+  let heartbeat = null;
+  let refreshing = null;
+
+  function send(client, event) {
+    if (client.assets && !client.assets.has(event.asset)) return;
+    client.res.write(`id: ${event.seq}\nevent: price\ndata: ${JSON.stringify(event)}\n\n`);
+  }
+
+  // Turn a new snapshot into per-asset events and broadcast them
+  async function publish(snapshot) {
+    if (!snapshot || snapshot.timestamp === lastTimestamp) return [];
+    lastTimestamp = snapshot.timestamp;
+
+    const events = [];
+    for (const [asset, info] of Object.entries(snapshot.prices || {})) {
+      const update = await toUpdate(asset, info, snapshot.timestamp);
+      events.push({ seq: ++seq, asset, timestamp: snapshot.timestamp, ...update });
+    }
+    for (const event of events) {
+      buffer.push(event);
+      if (buffer.length > bufferSize) buffer.shift();
+      for (const client of clients) send(client, event);
+    }
+    return events;
+  }
+
+  function refresh() {
+    if (refreshing) return refreshing;
+    refreshing = Promise.resolve()
+      .then(getSnapshot)
+      .then(publish)
+      .catch((e) => {
+        console.error('Stream refresh error:', e.message);
+        return [];
+      })
+      .finally(() => { refreshing = null; });
+    return refreshing;
+  }
+
+  // The loop only runs while someone is listening
+  function startLoop() {
+    if (loop) return;
+    loop = setInterval(refresh, intervalMs);
+    heartbeat = setInterval(() => {
+      for (const client of clients) client.res.write(`event: heartbeat\ndata: {"seq":${seq},"time":${Date.now()}}\n\n`);
+    }, heartbeatMs);
+  }
+
+  function stopLoop() {
+    clearInterval(loop);
+    clearInterval(heartbeat);
+    loop = null;
+    heartbeat = null;
+  }
+
+  /**
+   * Attach an HTTP response as a subscriber.
+   * assets: tickers to receive (null = all); lastSeq: resume after this sequence.
+   * Returns false if the hub is full.
+   */
+  function subscribe(req, res, { assets = null, lastSeq = null } = {}) {
+    if (clients.size >= maxClients) return false;
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: 5000\n\n`);
+
+    const client = { res, assets: assets ? new Set(assets) : null };
+
+    // Replay what the client missed, or tell it the gap is too old to fill.
+    // A sequence ahead of ours was seen before a restart (seq lives in memory):
+    // the client can't tell what it missed, so it gets a reset and the whole buffer.
+    if (lastSeq !== null && lastSeq !== seq) {
+      const restarted = lastSeq > seq;
+      const after = restarted ? 0 : lastSeq;
+      const oldest = buffer.length ? buffer[0].seq : seq + 1;
+      if (restarted || after + 1 < oldest) {
+        res.write(`event: reset\ndata: ${JSON.stringify({ lastSeq, oldestAvailable: oldest, seq, ...(restarted && { restarted: true }) })}\n\n`);
+      }
+      for (const event of buffer) {
+        if (event.seq > after) send(client, event);
+      }
+    }
+
+    clients.add(client);
+    startLoop();
+    refresh();
+
+    req.on('close', () => {
+      clients.delete(client);
+      if (clients.size === 0) stopLoop();
+    });
+    return true;
+  }
+
+  function status() {
+    return { clients: clients.size, seq, buffered: buffer.length, running: loop !== null };
+  }
+
+  function stop() {
+    stopLoop();
+    for (const client of clients) client.res.end();
+    clients.clear();
+  }
+
+  return { publish, refresh, subscribe, status, stop };
+}
+
+module.exports = {
+  createStreamHub
+};
@@ -0,0 +1,78 @@
+/**
+ * MoltOracle — Time- and Volume-Weighted Averages
+ * Computed from the oracle's own recorded snapshots, for settlement
+ */
+
+const DEFAULT_MAX_GAP = 180; // a sample holds for at most 3 minutes (3 missed refreshes)
+
+// Label used as the "asset" when a TWAP is hashed, signed or attested, e.g. "BTC:TWAP:3600"
+function twapLabel(asset, windowSec) {
+  return `${asset}:TWAP:${windowSec}`;
+}
+
+/**
+ * Average an asset's recorded points over [from, to].
+ * Each sample holds until the next one, for at most maxGapSec; time it can't
+ * cover is reported as a gap. points must be sorted by timestamp and may
+ * include samples before `from` (the one in effect at the window start).
+ *
+ * TWAP weights each price by the time it was in effect. VWAP also weights by
+ * the rolling 24h volume reported with the sample — an approximation, since
+ * snapshots carry no per-interval volume — and is null without volume data.
+ * Confidence is the time-weighted confidence scaled by coverage.
+ */
+function computeTwap(points, { from, to, maxGapSec = DEFAULT_MAX_GAP }) {
+  let covered = 0;
+  let sumPrice = 0;
+  let sumConfidence = 0;
+  let sumVolume = 0;
+  let sumPriceVolume = 0;
+  let cursor = from;
+  let samples = 0;
+  let maxDivergence = 0;
+  const sourceNames = new Set();
+  const gaps = [];
+
+  points.forEach((p, i) => {
+    const next = points[i + 1];
+    const start = Math.max(p.timestamp, from);
+    const end = Math.min(next ? next.timestamp : to, p.timestamp + maxGapSec, to);
+    if (end <= start) return;
+
+    if (start > cursor) gaps.push({ from: cursor, to: start, seconds: start - cursor });
+    cursor = Math.max(cursor, end);
+
+    const dt = end - start;
+    covered += dt;
+    sumPrice += p.price * dt;
+    sumConfidence += p.confidence * dt;
+    if (p.volume24h > 0) {
+      sumVolume += p.volume24h * dt;
+      sumPriceVolume += p.price * p.volume24h * dt;
+    }
+    samples++;
+    maxDivergence = Math.max(maxDivergence, p.divergenceBps || 0);
+    for (const name of p.sourceNames || []) sourceNames.add(name);
+  });
+  if (cursor < to) gaps.push({ from: cursor, to, seconds: to - cursor });
+
+  if (covered === 0) return null;
+
+  const coverage = covered / (to - from);
+  return {
+    twap: sumPrice / covered,
+    vwap: sumVolume > 0 ? sumPriceVolume / sumVolume : null,
+    samples,
+    coverage: Math.round(coverage * 10000) / 10000,
+    gaps,
+    confidence: Math.round(sumConfidence / covered * coverage),
+    divergenceBps: maxDivergence,
+    sourceNames: [...sourceNames].sort()
+  };
+}
+
+module.exports = {
+  DEFAULT_MAX_GAP,
+  twapLabel,
+  computeTwap
+};
@@ -0,0 +1,204 @@
+/**
+ * MoltOracle — DeFi Yields
+ * Pool APYs from DeFiLlama's yields API, cross-checked against the protocol's
+ * own on-chain rate where an adapter exists (Aave v3 getReserveData), with
+ * confidence, divergence and flags for abnormal APY spikes.
+ */
+
+const { ethers } = require('ethers');
+const { fetchJson, call } = require('./http');
+const { getChainProvider } = require('./rpc');
+const { confidenceFor } = require('./sources');
+
+const POOLS_URL = 'https://yields.llama.fi/pools';
+const MIN_POOL_TVL = 10000; // smaller pools are dropped at ingest
+const SPIKE_RATIO = 3;       // APY at 3x its 30-day mean ...
+const SPIKE_MIN_POINTS = 5;  // ... and at least 5 points above it
+const SPIKE_1D_POINTS = 10;  // or up 10+ points in a day
+const SECONDS_PER_YEAR = 31536000;
+
+const num = (v) => (typeof v === 'number' && Number.isFinite(v) ? v : null);
+
+// DeFiLlama pool records → the fields we serve
+function normalizePools(data) {
+  return (data && Array.isArray(data.data) ? data.data : [])
+    .filter(p => p && p.pool && num(p.tvlUsd) !== null && p.tvlUsd >= MIN_POOL_TVL)
+    .map(p => ({
+      pool: p.pool,
+      chain: p.chain,
+      project: p.project,
+      symbol: p.symbol,
+      tvlUsd: p.tvlUsd,
+      apy: num(p.apy),
+      apyBase: num(p.apyBase),
+      apyReward: num(p.apyReward),
+      apyMean30d: num(p.apyMean30d),
+      apyPct1D: num(p.apyPct1D),
+      apyPct7D: num(p.apyPct7D),
+      stablecoin: Boolean(p.stablecoin),
+      ilRisk: p.ilRisk || null,
+      underlyingTokens: Array.isArray(p.underlyingTokens) ? p.underlyingTokens : []
+    }));
+}
+
+// --- SOURCE: DeFiLlama yields (the full list is large; fetched on its own schedule) ---
+async function fetchYieldPools() {
+  try {
+    const data = await fetchJson(POOLS_URL, { source: 'defillama-yields', timeoutMs: 30000, maxBytes: 64 * 1024 * 1024 });
+    const pools = normalizePools(data);
+    return pools.length ? { pools, source: 'defillama' } : null;
+  } catch (e) {
+    console.error('Yields error:', e.message);
+    return null;
+  }
+}
+
+/**
+ * Pools matching { chain, project, asset, minTvl }, largest TVL first.
+ * asset matches any leg of the pool symbol ("ETH" matches "USDC-ETH").
+ * Returns { total, pools } with at most `limit` pools.
+ */
+function filterPools(pools, { chain, project, asset, minTvl = 0, limit = 50 } = {}) {
+  const lower = (v) => (v ? String(v).toLowerCase() : null);
+  const wantChain = lower(chain);
+  const wantProject = lower(project);
+  const wantAsset = asset ? String(asset).toUpperCase() : null;
+  const matching = pools
+    .filter(p => !wantChain || lower(p.chain) === wantChain)
+    .filter(p => !wantProject || lower(p.project) === wantProject)
+    .filter(p => !wantAsset || String(p.symbol || '').toUpperCase().split(/[-_/ ]+/).includes(wantAsset))
+    .filter(p => p.tvlUsd >= minTvl)
+    .sort((a, b) => b.tvlUsd - a.tvlUsd);
+  return { total: matching.length, pools: matching.slice(0, limit) };
+}
+
+// Abnormal APY: far above its 30-day mean, or a sharp one-day jump
+function spikeReason(pool) {
+  if (pool.apy === null) return null;
+  if (pool.apyMean30d !== null && pool.apyMean30d > 0 && pool.apy >= SPIKE_RATIO * pool.apyMean30d && pool.apy - pool.apyMean30d >= SPIKE_MIN_POINTS) {
+    return `APY SPIKE: ${pool.apy.toFixed(2)}% vs 30d mean ${pool.apyMean30d.toFixed(2)}%`;
+  }
+  if (pool.apyPct1D !== null && pool.apyPct1D >= SPIKE_1D_POINTS) return `APY SPIKE: up ${pool.apyPct1D.toFixed(2)} points in 24h`;
+  return null;
+}
+
+/**
+ * Confidence and divergence for one pool, like a price. The base APY is
+ * compared with the on-chain rate; divergence is their absolute difference in
+ * bps of APY (3.00% vs 3.10% = 10bps) and maps to confidence on the price
+ * scale. Without an on-chain check a pool is single-source (confidence 60).
+ * onchain: { source, apy } or null; failed: adapter name whose read failed.
+ */
+function verifyPool(pool, onchain = null, failed = null) {
+  const apys = { defillama: pool.apyBase };
+  const warnings = [];
+  let confidence = 60;
+  let divergenceBps = null;
+
+  if (onchain && pool.apyBase !== null) {
+    apys[onchain.source] = onchain.apy;
+    divergenceBps = Math.round(Math.abs(pool.apyBase - onchain.apy) * 100);
+    confidence = confidenceFor(divergenceBps);
+    if (divergenceBps > 300) warnings.push(`HIGH DIVERGENCE: ${divergenceBps}bps between DeFiLlama and ${onchain.source}`);
+  }
+  if (failed) warnings.push(`ONCHAIN CHECK FAILED: ${failed}`);
+  const spike = spikeReason(pool);
+  if (spike) warnings.push(spike);
+
+  return {
+    ...pool,
+    apys,
+    sources: Object.keys(apys).length,
+    sourceNames: Object.keys(apys),
+    confidence,
+    divergenceBps,
+    spike: spike !== null,
+    borrowApy: onchain && onchain.borrowApy !== undefined ? onchain.borrowApy : undefined,
+    warning: warnings.length ? warnings.join('; ') : null
+  };
+}
+
+// --- ON-CHAIN RATE ADAPTERS ---
+// { name, supports(pool), fetchApy(pool) → { source, apy, ... } }
+
+const AAVE_V3_POOL_ABI = [
+  'function getReserveData(address asset) view returns (tuple(uint256 configuration, uint128 liquidityIndex, uint128 currentLiquidityRate, uint128 variableBorrowIndex, uint128 currentVariableBorrowRate, uint128 currentStableBorrowRate, uint40 lastUpdateTimestamp, uint16 id, address aTokenAddress, address stableDebtTokenAddress, address variableDebtTokenAddress, address interestRateStrategyAddress, uint128 accruedToTreasury, uint128 unbacked, uint128 isolationModeTotalDebt))'
+];
+
+// Aave v3 Pool contracts by registry chain
+const AAVE_V3_POOLS = {
+  ethereum: '0x87870Bca3F3fD6335C3F4ce8392D69350B4fA4E2',
+  base: '0xA238Dd80C259a72e81d7e4664a9801593F98d1c5',
+  arbitrum: '0x794a61358D6845594F94dc1DB02A252b5b4814aD',
+  optimism: '0x794a61358D6845594F94dc1DB02A252b5b4814aD',
+  polygon: '0x794a61358D6845594F94dc1DB02A252b5b4814aD'
+};
+
+// Aave rates are per-second-compounded APRs in ray (1e27) → APY in percent
+function rayToApy(ray) {
+  const apr = Number(ray) / 1e27;
+  return ((1 + apr / SECONDS_PER_YEAR) ** SECONDS_PER_YEAR - 1) * 100;
+}
+
+/**
+ * Aave v3 supply APY read from Pool.getReserveData(underlying). Reads are
+ * cached for ttlMs and go through a per-chain circuit breaker.
+ */
+function createAaveV3Adapter({ providerFor = getChainProvider, pools = AAVE_V3_POOLS, ttlMs = 60000 } = {}) {
+  const cache = new Map(); // "chain:asset" → { value, time }
+
+  const chainOf = (pool) => String(pool.chain || '').toLowerCase();
+
+  function supports(pool) {
+    return pool.project === 'aave-v3' && Boolean(pools[chainOf(pool)]) && ethers.isAddress(pool.underlyingTokens[0] || '');
+  }
+
+  async function fetchApy(pool) {
+    const chain = chainOf(pool);
+    const asset = pool.underlyingTokens[0];
+    const key = `${chain}:${asset.toLowerCase()}`;
+    const hit = cache.get(key);
+    if (hit && Date.now() - hit.time < ttlMs) return hit.value;
+
+    const provider = providerFor(chain);
+    if (!provider) throw new Error(`No RPC for ${chain}`);
+    const contract = new ethers.Contract(pools[chain], AAVE_V3_POOL_ABI, provider);
+    const reserve = await call(`aave-v3-${chain}`, () => contract.getReserveData(asset), { retries: 1 });
+    const value = {
+      source: 'aave-v3',
+      apy: rayToApy(reserve.currentLiquidityRate),
+      borrowApy: rayToApy(reserve.currentVariableBorrowRate),
+      updatedAt: Number(reserve.lastUpdateTimestamp)
+    };
+    cache.set(key, { value, time: Date.now() });
+    return value;
+  }
+
+  return { name: 'aave-v3', supports, fetchApy };
+}
+
+// Verify each pool, reading on-chain rates where an adapter supports it
+async function verifyPools(pools, adapters = []) {
+  return Promise.all(pools.map(async (pool) => {
+    const adapter = adapters.find(a => a.supports(pool));
+    if (!adapter) return verifyPool(pool);
+    try {
+      return verifyPool(pool, await adapter.fetchApy(pool));
+    } catch (e) {
+      console.error(`${adapter.name} ${pool.chain} ${pool.symbol} error:`, e.shortMessage || e.message);
+      return verifyPool(pool, null, adapter.name);
+    }
+  }));
+}
+
+module.exports = {
+  AAVE_V3_POOLS,
+  AAVE_V3_POOL_ABI,
+  normalizePools,
+  fetchYieldPools,
+  filterPools,
+  verifyPool,
+  verifyPools,
+  rayToApy,
+  createAaveV3Adapter
+};
@@ -0,0 +1,305 @@
+/**
+ * MoltOracle Chain Tests — Run against the in-process Hardhat network
+ * Usage: npx hardhat run tests/chain.js
+ */
+
+const hre = require('hardhat');
+const { createPublisher, createVerifier, toOnChainPrice } = require('../src/attestation');
+const { computeDataHash } = require('../src/hash');
+const { createMarketManager } = require('../src/markets');
+const { createChainlinkSource, verifyReadings } = require('../src/sources');
+const { createPaymentGate, signAuthorization, txPayment, encodeHeader, decodeHeader } = require('../src/payments');
+const { createClient } = require('../src/client');
+const { createMemoryStore } = require('../src/store');
+const http = require('http');
+const express = require('express');
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, msg) {
+  if (condition) { passed++; console.log(`  ✅ ${msg}`); }
+  else { failed++; console.log(`  ❌ ${msg}`); }
+}
+
+function get(port, path, headers = {}) {
+  return new Promise((resolve, reject) => {
+    http.get({ host: '127.0.0.1', port, path, headers }, (res) => {
+      let data = '';
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(data), headers: res.headers }));
+    }).on('error', reject);
+  });
+}
+
+function snapshot(timestamp, prices) {
+  return { timestamp, prices };
+}
+
+async function runTests() {
+  console.log('\n⛓️  MoltOracle Chain Tests\n');
+
+  const [oracle, stranger, payer, treasury] = await hre.ethers.getSigners();
+  const Factory = await hre.ethers.getContractFactory('MoltOracleAttestation');
+  const contract = await Factory.deploy();
+  await contract.waitForDeployment();
+  const address = await contract.getAddress();
+
+  // --- Publisher ---
+  console.log('--- Attestation Publisher ---');
+
+  assert(toOnChainPrice(67389.5) === 6738950000000n, '8-decimal fixed point conversion');
+
+  const publisher = createPublisher({ signer: oracle, contractAddress: address, minMoveBps: 50, minConfidence: 70, retryDelayMs: 10 });
+
+  const btc = { price: 67000, sources: 2, sourceNames: ['coingecko', 'defillama'], confidence: 99, divergenceBps: 3 };
+  const eth = { price: 2000, sources: 2, sourceNames: ['coingecko', 'defillama'], confidence: 95, divergenceBps: 20 };
+  const sol = { price: 100, sources: 2, sourceNames: ['coingecko', 'defillama'], confidence: 40, divergenceBps: 500 };
+
+  const first = await publisher.publish(snapshot(1700000000, { BTC: btc, ETH: eth, SOL: sol }));
+  assert(first.length === 2, `Publishes confident assets only: ${first.map(r => r.asset).join(',')}`);
+  assert(first[0].id === 0 && first[1].id === 1, 'Returns attestation IDs from DataAttested events');
+  assert(/^0x[0-9a-f]{64}$/.test(first[0].txHash), 'Returns transaction hash');
+
+  const expectedHash = computeDataHash('BTC', btc, 1700000000);
+  assert(await contract.verify(0, expectedHash), 'On-chain hash matches off-chain dataHash');
+  const [onChainPrice, onChainConfidence] = await contract.getLatestPrice('BTC');
+  assert(onChainPrice === 6700000000000n, 'Price stored with 8 decimals');
+  assert(onChainConfidence === 99n, 'Confidence stored');
+
+  const second = await publisher.publish(snapshot(1700000060, { BTC: { ...btc, price: 67010 }, ETH: { ...eth, price: 2020 } }));
+  assert(second.length === 1 && second[0].asset === 'ETH', 'Skips assets that moved less than the threshold');
+  assert(publisher.getAttestation('ETH').id === 2, 'Latest attestation tracked per asset');
+  assert(publisher.getAttestation('SOL') === null, 'No attestation for skipped asset');
+
+  const nothing = await publisher.publish(snapshot(1700000120, { BTC: btc }));
+  assert(nothing.length === 0, 'Nothing to publish returns empty list');
+
+  const intruder = createPublisher({ signer: stranger, contractAddress: address, retryDelayMs: 10 });
+  try {
+    await intruder.publish(snapshot(1700000180, { BTC: btc }));
+    assert(false, 'Non-oracle signer rejected');
+  } catch (e) {
+    assert(/not oracle/.test(e.message), 'Non-oracle signer rejected');
+  }
+
+  const ticked = await publisher.tick(async () => snapshot(1700000240, { BTC: { ...btc, price: 68000 } }));
+  assert(ticked.length === 1 && ticked[0].id === 3, 'Tick publishes a fresh snapshot');
+  const repeat = await publisher.tick(async () => snapshot(1700000240, { BTC: { ...btc, price: 69000 } }));
+  assert(repeat.length === 0, 'Tick ignores an already published snapshot');
+  assert(publisher.status().published === 4, 'Status counts published attestations');
+
+  let unhandled = 0;
+  const countUnhandled = () => unhandled++;
+  process.on('unhandledRejection', countUnhandled);
+  const offline = new hre.ethers.JsonRpcProvider('http://127.0.0.1:9', 31337, { staticNetwork: true });
+  const unreachable = createPublisher({ signer: new hre.ethers.Wallet(hre.ethers.Wallet.createRandom().privateKey, offline), contractAddress: address, retries: 0 });
+  const offlineTick = await unreachable.tick(async () => snapshot(1700000300, { BTC: btc }));
+  await new Promise(resolve => setTimeout(resolve, 50));
+  process.off('unhandledRejection', countUnhandled);
+  assert(offlineTick.length === 0 && /ECONNREFUSED/.test(unreachable.status().lastError) && unhandled === 0, 'An unreachable RPC is reported without an unhandled rejection');
+
+  // --- Verifier ---
+  console.log('\n--- Attestation Lookup ---');
+
+  const verifier = createVerifier({ provider: hre.ethers.provider, contractAddress: address, blockRange: 2 });
+  const found = await verifier.lookup(expectedHash);
+  assert(found.verified === true, 'Attested hash verifies via DataAttested logs');
+  assert(found.attestationId === 0 && found.asset === 'BTC', `Resolves ID and asset: #${found.attestationId} ${found.asset}`);
+  assert(found.price === 67000 && found.confidence === 99 && found.divergenceBps === 3, 'Returns on-chain price, confidence and divergence');
+  assert(found.blockNumber > 0 && found.timestamp > 0 && found.txHash === first[0].txHash, 'Returns block, timestamp and tx hash');
+  assert(verifier.status().indexed === 4, 'Indexes every attestation across block ranges');
+  const deployBlock = (await contract.deploymentTransaction().wait()).blockNumber;
+  assert(verifier.status().nextBlock > deployBlock, 'Scans from the contract deployment block by default');
+
+  const capped = createVerifier({ provider: hre.ethers.provider, contractAddress: address, blockRange: 2, maxScanBlocks: 2 });
+  const unknownHash = hre.ethers.keccak256(hre.ethers.toUtf8Bytes('not yet indexed'));
+  const [early, concurrent] = await Promise.all([capped.lookup(unknownHash), capped.lookup(unknownHash)]);
+  assert(capped.status().nextBlock === deployBlock + 2, `One scan covers at most maxScanBlocks, shared by concurrent lookups: next block ${capped.status().nextBlock}`);
+  assert(early.pending === true && concurrent.pending === true && early.indexedBlock === deployBlock + 1, 'Unknown hashes are pending while the index is behind the head');
+  let resumed = await capped.lookup(expectedHash);
+  for (let i = 0; !resumed.verified && i < 20; i++) resumed = await capped.lookup(expectedHash);
+  assert(resumed.verified === true && resumed.attestationId === 0, 'Later lookups resume the scan');
+
+  const missing = await verifier.lookup(hre.ethers.keccak256(hre.ethers.toUtf8Bytes('never attested')));
+  assert(missing.verified === false && missing.attestationId === undefined && !missing.pending, 'Unknown hash is not verified');
+
+  const fed = createVerifier({ provider: hre.ethers.provider, contractAddress: address, fromBlock: 1e9 });
+  fed.record(ticked);
+  const fromIndex = await fed.lookup(ticked[0].dataHash.toUpperCase().replace('0X', '0x'));
+  assert(fromIndex.verified === true && fromIndex.attestationId === 3, 'Publisher records resolve from the local index');
+
+  // --- Market outcomes ---
+  console.log('\n--- Market Outcome Attestation ---');
+
+  const point = { ...btc, prices: { coingecko: 67000, defillama: 67000 }, timestamp: 1700000300, dataHash: computeDataHash('BTC', btc, 1700000300) };
+  const markets = createMarketManager({ history: { at: async () => point }, attest: publisher.publishBatch });
+  const market = markets.register({ question: 'Will BTC be above $60000?', asset: 'BTC', rule: 'spot', above: 60000, resolveAt: 1700000300 }, 'test', 1700000000);
+  await markets.tick(1700000360);
+  await markets.tick(1700000360 + 3600);
+  const settled = markets.get(market.id);
+  assert(settled.status === 'final' && settled.resolution.outcome === 'yes', 'Market resolves and finalizes');
+  assert(settled.attestation && settled.attestation.id === 4, `Outcome attested as #${settled.attestation && settled.attestation.id}`);
+  assert(await contract.verify(4, settled.resolution.outcomeHash), 'On-chain hash matches the outcomeHash');
+  const [marketPrice, marketConfidence] = await contract.getLatestPrice(`MARKET:${market.id}`);
+  assert(marketPrice === 6700000000000n && marketConfidence === 99n, 'Attested under the market label with its resolved value');
+
+  console.log('\n--- Quoted Price Attestation ---');
+
+  const btcEur = { ...btc, price: 61500, quote: 'EUR' };
+  const [quotedRecord] = await publisher.publish(snapshot(1700000400, { 'BTC/EUR': btcEur }));
+  assert(await contract.verify(quotedRecord.id, computeDataHash('BTC/EUR', btcEur, 1700000400)), 'Quoted prices are attested under their pair label');
+  assert(!(await contract.verify(quotedRecord.id, computeDataHash('BTC/EUR', { ...btcEur, quote: 'USD' }, 1700000400))), 'The on-chain hash binds the quote currency');
+
+  // --- Chainlink source ---
+  console.log('\n--- Chainlink Source ---');
+
+  const Aggregator = await hre.ethers.getContractFactory('MockAggregatorV3');
+  const btcFeed = await Aggregator.deploy(8, 6700012345678n);
+  const ethFeed = await Aggregator.deploy(18, 2000n * 10n ** 18n);
+  const oldFeed = await Aggregator.deploy(8, 100n * 10n ** 8n);
+  await oldFeed.setUpdatedAt(Math.floor(Date.now() / 1000) - 7200);
+
+  const chainlink = createChainlinkSource({
+    provider: hre.ethers.provider,
+    feeds: { BTC: await btcFeed.getAddress(), ETH: await ethFeed.getAddress(), SOL: await oldFeed.getAddress(), DOGE: address },
+    maxAgeSec: 3600
+  });
+  assert(chainlink.name === 'chainlink' && chainlink.supportedAssets.includes('BTC'), 'Adapter exposes name and supported assets');
+
+  const feeds = await chainlink.fetchPrices(['BTC', 'ETH', 'SOL', 'DOGE']);
+  assert(feeds.BTC.price === 67000.12345678, `Normalizes 8-decimal feed: ${feeds.BTC.price}`);
+  assert(feeds.ETH.price === 2000, `Normalizes 18-decimal feed: ${feeds.ETH.price}`);
+  assert(feeds.BTC.stale === false && feeds.BTC.roundId === '1', 'Fresh feed reports round and is not stale');
+  assert(feeds.SOL.stale === true && feeds.SOL.ageSec >= 7200, `Old feed is stale: ${feeds.SOL.ageSec}s`);
+  assert(feeds.DOGE === undefined, 'Non-aggregator address is skipped');
+
+  const weighted = verifyReadings([
+    { source: 'coingecko', price: 100 },
+    { ...feeds.SOL, price: 100.2 },
+    { source: 'pyth', price: 100.3, stale: true }
+  ]);
+  assert(weighted.stale[0] === 'chainlink' && /STALE SOURCE: chainlink/.test(weighted.warning), 'Stale feed flagged in cross-verification');
+  assert(weighted.price === 100, `Stale feeds down-weighted in the median: ${weighted.price}`);
+
+  // --- Payments ---
+  console.log('\n--- Pay-per-Call (402) ---');
+
+  const Token = await hre.ethers.getContractFactory('MockERC3009');
+  const usdc = await Token.deploy('USD Coin', '2', 'USDC', 6);
+  const tokenAddress = await usdc.getAddress();
+  await (await usdc.mint(payer.address, 1000000n)).wait();
+
+  const gate = createPaymentGate({
+    provider: hre.ethers.provider,
+    tokenAddress,
+    recipient: treasury.address,
+    prices: { '/snapshot': '0.01' },
+    store: createMemoryStore(),
+    relayer: oracle
+  });
+  const paidApp = express();
+  paidApp.get('/snapshot', gate.handle, (req, res) => res.json({ ok: true, payer: req.payment.payer }));
+  paidApp.get('/health', gate.handle, (req, res) => res.json({ ok: true }));
+  const server = paidApp.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  const port = server.address().port;
+
+  assert((await get(port, '/health')).status === 200, 'Routes without a price are free');
+  const unpaid = await get(port, '/snapshot');
+  const q = unpaid.body.payment;
+  assert(unpaid.status === 402 && q.amount === '10000' && q.symbol === 'USDC' && q.recipient === treasury.address, `402 carries a quote: ${q.amount} ${q.symbol}`);
+  assert(/^0x[0-9a-f]{64}$/.test(q.nonce) && q.chainId === 31337 && q.eip712.domain.version === '2', 'Quote has nonce, chain and EIP-712 domain');
+
+  const authHeader = await signAuthorization(payer, q);
+  const paid = await get(port, '/snapshot', { 'X-Payment': authHeader });
+  assert(paid.status === 200 && paid.body.payer === payer.address, 'Signed EIP-3009 authorization is relayed and served');
+  assert(await usdc.balanceOf(treasury.address) === 10000n, 'Payment reached the recipient');
+  const receipt = decodeHeader(paid.headers['x-payment-receipt']);
+  assert(receipt.scheme === 'eip3009' && /^0x[0-9a-f]{64}$/.test(receipt.txHash), 'Receipt header carries the transaction');
+
+  const replay = await get(port, '/snapshot', { 'X-Payment': authHeader });
+  assert(replay.status === 402 && /expired quote/.test(replay.body.error), 'Authorization cannot be replayed');
+
+  const q2 = (await get(port, '/snapshot')).body.payment;
+  const short = await get(port, '/snapshot', { 'X-Payment': await signAuthorization(payer, { ...q2, amount: '9999' }) });
+  assert(short.status === 402 && /below quoted/.test(short.body.error), 'Underpaying authorization rejected');
+  const broke = await get(port, '/snapshot', { 'X-Payment': await signAuthorization(stranger, q2) });
+  assert(broke.status === 402 && /Insufficient balance/.test(broke.body.error), `Unfunded payer rejected before relaying: ${broke.body.error}`);
+  for (const field of ['validAfter', 'validBefore']) {
+    const signedAuth = decodeHeader(await signAuthorization(payer, q2));
+    signedAuth.authorization[field] = 'soon';
+    const garbled = await get(port, '/snapshot', { 'X-Payment': encodeHeader(signedAuth) });
+    assert(garbled.status === 402 && /Malformed authorization/.test(garbled.body.error), `Non-numeric ${field} is a 402`);
+  }
+
+  const q3 = (await get(port, '/snapshot')).body.payment;
+  const transfer = await usdc.connect(payer).transfer(treasury.address, 10000n);
+  await transfer.wait();
+  const frontRun = await get(port, '/snapshot', { 'X-Payment': await txPayment(stranger, (await get(port, '/snapshot')).body.payment, transfer.hash) });
+  assert(frontRun.status === 402 && /does not match the transfer sender/.test(frontRun.body.error), 'Someone else\'s transfer cannot be claimed for another quote');
+  const unsignedTx = await get(port, '/snapshot', { 'X-Payment': encodeHeader({ scheme: 'tx', nonce: q3.nonce, txHash: transfer.hash }) });
+  assert(unsignedTx.status === 402 && /payer signature/.test(unsignedTx.body.error), 'Tx payments need the payer\'s signature');
+  const byTx = await get(port, '/snapshot', { 'X-Payment': await txPayment(payer, q3, transfer.hash) });
+  assert(byTx.status === 200 && byTx.body.payer === payer.address, 'On-chain transfer hash accepted');
+  const q4 = (await get(port, '/snapshot')).body.payment;
+  const reusedTx = await get(port, '/snapshot', { 'X-Payment': await txPayment(payer, q4, transfer.hash) });
+  assert(reusedTx.status === 402 && /already used/.test(reusedTx.body.error), 'Transfer hash cannot pay twice');
+  const small = await usdc.connect(payer).transfer(treasury.address, 5000n);
+  await small.wait();
+  const smallTx = await get(port, '/snapshot', { 'X-Payment': await txPayment(payer, q4, small.hash) });
+  assert(smallTx.status === 402 && /below quoted/.test(smallTx.body.error), 'Short transfer rejected');
+
+  // Two transfers racing for one quote: the one that loses stays unspent
+  const raceGate = createPaymentGate({ provider: hre.ethers.provider, tokenAddress, recipient: treasury.address, prices: { '/snapshot': '0.01' }, store: createMemoryStore() });
+  const contested = await raceGate.quote('/snapshot');
+  const racers = [];
+  for (let i = 0; i < 2; i++) {
+    const racer = await usdc.connect(payer).transfer(treasury.address, 10000n);
+    await racer.wait();
+    racers.push(racer.hash);
+  }
+  const raced = await Promise.all(racers.map(async hash => raceGate.verify('/snapshot', await txPayment(payer, contested, hash))));
+  const loser = raced.findIndex(r => !r.ok);
+  assert(raced.filter(r => r.ok).length === 1 && /already paid/.test(raced[loser].reason), 'A quote paid twice at once is paid once');
+  const rebought = await raceGate.verify('/snapshot', await txPayment(payer, await raceGate.quote('/snapshot'), racers[loser]));
+  assert(rebought.ok, `The losing transfer pays a fresh quote${rebought.ok ? '' : `: ${rebought.reason}`}`);
+
+  const txOnly = createPaymentGate({ provider: hre.ethers.provider, tokenAddress, recipient: treasury.address, prices: { '/snapshot': '1' }, store: createMemoryStore() });
+  const q5 = await txOnly.quote('/snapshot');
+  assert(q5.schemes.join() === 'tx' && q5.amount === '1000000', 'Without a relayer only tx payments are offered');
+  assert(!(await txOnly.verify('/snapshot', await signAuthorization(payer, q5))).ok, 'Without a relayer authorizations are refused');
+
+  console.log('\n--- Client SDK ---');
+
+  const client = createClient({ baseUrl: `http://127.0.0.1:${port}`, provider: hre.ethers.provider, contractAddress: address, payer, maxPrice: 0.05, retryDelayMs: 1 });
+  const before = await usdc.balanceOf(treasury.address);
+  const bought = await client.request('GET', '/snapshot');
+  assert(bought.payer === payer.address && await usdc.balanceOf(treasury.address) === before + 10000n, 'Client pays a 402 quote and retries');
+  const stingy = await createClient({ baseUrl: `http://127.0.0.1:${port}`, payer, maxPrice: 0.001 }).request('GET', '/snapshot').catch(e => e);
+  assert(stingy.code === 'PRICE_TOO_HIGH', 'Client refuses quotes above maxPrice');
+
+  const attestedBtc = { ...btc, price: 68000 };
+  const servedBtc = { ...attestedBtc, asset: 'BTC', timestamp: 1700000240, dataHash: computeDataHash('BTC', attestedBtc, 1700000240), attestation: publisher.getAttestation('BTC') };
+  const onChain = await client.verify(servedBtc);
+  assert(onChain.valid && onChain.onChain.BTC.verified && onChain.onChain.BTC.attestationId === 3, 'verify() confirms the attested hash on-chain');
+  const newer = { ...servedBtc, price: 68100, timestamp: 1700000300 };
+  newer.dataHash = computeDataHash('BTC', newer, 1700000300);
+  const unattested = await client.verify(newer);
+  assert(unattested.valid && !unattested.onChain.BTC.verified, 'A newer snapshot is not attested by the last attestation');
+  const offChain = await client.verify({ timestamp: 1700000000, prices: { SOL: { ...sol, dataHash: computeDataHash('SOL', sol, 1700000000) } } });
+  assert(offChain.valid && offChain.onChain.SOL.attestationId === null && !offChain.onChain.SOL.verified, 'Prices without an attestation are not verified on-chain');
+  server.close();
+
+  // --- Results ---
+  console.log(`\n${'='.repeat(40)}`);
+  console.log(`Chain: ${passed} passed, ${failed} failed`);
+  console.log(`${'='.repeat(40)}\n`);
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
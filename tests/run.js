@@ -2,7 +2,41 @@
  * MoltOracle Tests — Verify cross-verification engine works correctly
  */
 
-const { crossVerify, fetchCoinGecko, fetchDeFiLlama, fetchFearGreed, getFullSnapshot } = require('../src/sources');
+// Upstream sources replay tests/fixtures/upstream.json unless UPSTREAM_FIXTURES says otherwise (live, record)
+process.env.UPSTREAM_FIXTURES = process.env.UPSTREAM_FIXTURES || 'replay';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const {
+  crossVerify, verifyReadings, registerSource, unregisterSource, getSources, midFromBook,
+  fetchCoinGecko, fetchDeFiLlama, fetchBinance, fetchCoinbase, fetchKraken, fetchOKX, fetchFearGreed, getFullSnapshot, getPriceSnapshot
+} = require('../src/sources');
+const assets = require('../src/assets');
+const { computeDataHash, buildPreimage, HASH_VERSION } = require('../src/hash');
+const { createResponseSigner, buildDomain, toPriceMessage, PRICE_TYPES } = require('../src/signing');
+const { createHistoryStore, parseInterval, parseTime } = require('../src/history');
+const { computeTwap, twapLabel } = require('../src/twap');
+const { createStreamHub } = require('../src/stream');
+const { createAlertManager, parseCondition, postWebhook, signPayload } = require('../src/alerts');
+const http = require('http');
+const net = require('net');
+const { createMemoryStore, createRedisStore, encodeCommand, parseReply } = require('../src/store');
+const { createKeyManager } = require('../src/apikeys');
+const { fetchJson, call, getSourceHealth } = require('../src/http');
+const { createTape } = require('../src/fixtures');
+const { parseScenarios, setScenarios, getScenarios } = require('../src/simulate');
+const { createCache } = require('../src/cache');
+const { createSnapshotLog } = require('../src/snapshots');
+const { feeEstimates, fetchChainGas, fetchGas } = require('../src/gas');
+const { severityFor, pegStatus, computePegs } = require('../src/pegs');
+const { createAnomalyDetector } = require('../src/anomaly');
+const { parseMarket, createMarketManager } = require('../src/markets');
+const { CROSS_SOURCE, crossRate, priceInQuote } = require('../src/quotes');
+const { normalizePools, filterPools, verifyPool, verifyPools, rayToApy, createAaveV3Adapter, AAVE_V3_POOL_ABI } = require('../src/yields');
+const { EventEmitter } = require('events');
+const { verifyResponse, createClient } = require('../src');
 
 let passed = 0;
 let failed = 0;
@@ -58,8 +92,1049 @@ async function runTests() {
   const result5 = crossVerify({}, {}, 'UNKNOWN');
   assert(result5 === null, 'Returns null for unknown asset');
 
-  // --- Live API tests ---
-  console.log('\n--- Live Source Tests ---');
+  // --- N-source aggregation ---
+  console.log('\n--- N-Source Aggregation ---');
+
+  const three = verifyReadings([
+    { source: 'a', price: 100.00 }, { source: 'b', price: 100.05 }, { source: 'c', price: 100.30 }
+  ]);
+  assert(three.price === 100.05, `Median price across 3 sources: ${three.price}`);
+  assert(three.confidence === 99 && three.sources === 3, `Quorum of 3 earns a tier: ${three.confidence}`);
+  assert(three.deviations.c === 25, `Per-source deviation from median: ${three.deviations.c}bps`);
+
+  const outlier = verifyReadings([
+    { source: 'a', price: 100 }, { source: 'b', price: 100.02 }, { source: 'c', price: 100.04 }, { source: 'd', price: 90 }
+  ]);
+  assert(outlier.excluded.length === 1 && outlier.excluded[0] === 'd', 'Outlier excluded from the quorum');
+  assert(outlier.price === 100.02 && outlier.prices.d === 90, 'Outlier reported but not priced in');
+  assert(outlier.confidence === 94 && outlier.quorum === '3/4', `Excluded source costs confidence: ${outlier.confidence}`);
+  assert(/OUTLIER EXCLUDED: d/.test(outlier.warning), 'Outlier flagged in warning');
+
+  const split = verifyReadings([{ source: 'a', price: 100 }, { source: 'b', price: 104 }, { source: 'c', price: 108 }]);
+  assert(split.confidence <= 40 && /NO QUORUM/.test(split.warning), `No majority caps confidence: ${split.confidence}`);
+
+  const multi = crossVerify(
+    { BTC: { price: 67000, source: 'coingecko' } },
+    { BTC: { price: 67010, source: 'defillama' } },
+    { BTC: { price: 67005, source: 'chainlink' } },
+    'BTC'
+  );
+  assert(multi.sources === 3 && multi.price === 67005, 'crossVerify accepts any number of sources');
+
+  // --- Asset registry ---
+  console.log('\n--- Asset Registry ---');
+
+  const tracked = assets.getTrackedAssets();
+  assert(tracked.length > 0 && tracked.every(t => assets.getAsset(t)), `Tracked assets all in registry: ${tracked.length}`);
+  const gecko = assets.sourceIds('coingecko');
+  const llama = assets.sourceIds('defillama');
+  assert(Object.keys(gecko).every(t => llama[t]), 'Every CoinGecko asset also has a DeFiLlama id');
+  assert(llama.USDC === 'coingecko:usd-coin' && llama.DOT === 'coingecko:polkadot', 'USDC and DOT can be cross-verified');
+  assert(assets.parseAssetId('base:0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913').address === '0x833589fcd6edb6e08f4c7c32d4f71b54bda02913', 'Parses chain:0xaddress identifiers');
+  assert(assets.parseAssetId('BTC') === null && assets.parseAssetId('base:0x1234') === null, 'Rejects tickers and short addresses as contract ids');
+  assert(assets.findByContract('base', '0x833589FCD6EDB6E08F4C7C32D4F71B54BDA02913') === 'USDC', 'Resolves a contract address to its ticker');
+  assert(assets.getChain('arbitrum').coingecko === 'arbitrum-one', 'Maps chains to CoinGecko platforms');
+  assert(assets.getQuoteCurrencies().every(q => assets.getAsset(q)) && assets.getQuoteCurrencies().includes('EUR'), 'Quote currencies are registry assets');
+  assert(assets.pairIds('kraken', 'EUR').BTC[0] === 'XBTEUR' && assets.pairIds('coinbase', 'BTC').ETH === 'ETH-BTC', 'Lists direct books per quote currency');
+
+  const registryFile = path.join(os.tmpdir(), `molt-assets-${process.pid}.json`);
+  fs.writeFileSync(registryFile, JSON.stringify({ tracked: ['FOO'], assets: { FOO: { ids: { coingecko: 'foo' } } } }));
+  assets.loadAssets(registryFile);
+  assert(assets.getTrackedAssets().join() === 'FOO' && assets.sourceIds('coingecko').FOO === 'foo', 'Reloads from a registry file');
+  fs.writeFileSync(registryFile, JSON.stringify({ assets: { bad: { ids: {} } } }));
+  try {
+    assets.loadAssets(registryFile);
+    assert(false, 'Rejects an invalid registry');
+  } catch (e) {
+    assert(assets.getAsset('FOO') !== null, 'Rejects an invalid registry and keeps the previous one');
+  }
+  fs.unlinkSync(registryFile);
+  assets.loadAssets();
+
+  // --- Exchange order books ---
+  console.log('\n--- Exchange Order Books ---');
+
+  const book = midFromBook('binance', '67000.00', '67001.00', 'USDT');
+  assert(book.price === 67000.5 && book.spreadBps === 0.15, `Mid price and spread from best bid/ask: ${book.spreadBps}bps`);
+  assert(midFromBook('kraken', '100', '99', 'USD') === null, 'Crossed book rejected');
+  assert(midFromBook('okx', '', '1', 'USDT') === null, 'Empty side rejected');
+
+  const venues = verifyReadings([
+    { source: 'coingecko', price: 67000 },
+    midFromBook('binance', '67000', '67001', 'USDT'),
+    midFromBook('kraken', '66000', '68000', 'USD')
+  ]);
+  assert(venues.spreads.binance === 0.15 && venues.spreads.coingecko === undefined, 'Spreads reported per order-book source');
+  assert(/WIDE SPREAD: kraken/.test(venues.warning), 'Wide spread flagged');
+
+  // --- Source registry ---
+  console.log('\n--- Source Registry ---');
+
+  const builtins = getSources();
+  assert(builtins.some(s => s.name === 'coingecko') && builtins.some(s => s.name === 'defillama'), 'Built-in sources registered');
+  try {
+    registerSource({ name: 'broken' });
+    assert(false, 'Rejects adapters without supportedAssets/fetchPrices');
+  } catch (e) {
+    assert(true, 'Rejects adapters without supportedAssets/fetchPrices');
+  }
+
+  for (const source of builtins) unregisterSource(source.name);
+  const requested = [];
+  registerSource({ name: 'mock-a', supportedAssets: ['BTC', 'ETH'], fetchPrices: async (assets) => { requested.push(...assets); return { BTC: { price: 50000 }, ETH: { price: 3000 } }; } });
+  registerSource({ name: 'mock-b', supportedAssets: ['BTC'], fetchPrices: async () => ({ BTC: { price: 50010 } }) });
+  registerSource({ name: 'mock-down', supportedAssets: ['BTC'], fetchPrices: async () => { throw new Error('down'); } });
+  const mocked = await getFullSnapshot(['BTC', 'ETH', 'SOL']);
+  assert(mocked.prices.BTC.sources === 2 && mocked.prices.BTC.sourceNames.join() === 'mock-a,mock-b', 'Snapshot iterates registered sources');
+  assert(mocked.prices.ETH.sources === 1 && !mocked.prices.SOL, 'Unsupported assets stay single-source or absent');
+  assert(requested.join() === 'BTC,ETH', 'Sources are only asked for assets they support');
+  for (const name of ['mock-a', 'mock-b', 'mock-down']) unregisterSource(name);
+
+  // USDT at $0.98: a BTCUSDT book at 51020 is BTC at ~$50000
+  registerSource({ name: 'usd-a', supportedAssets: ['BTC', 'USDT'], fetchPrices: async () => ({ BTC: { price: 50000 }, USDT: { price: 0.98 } }) });
+  registerSource({ name: 'usd-b', supportedAssets: ['BTC', 'USDT'], fetchPrices: async () => ({ BTC: { price: 50010 }, USDT: { price: 0.98 } }) });
+  registerSource({ name: 'usdt-book', supportedAssets: ['BTC'], fetchPrices: async () => ({ BTC: midFromBook('usdt-book', '51019', '51021', 'USDT') }) });
+  const converted = await getPriceSnapshot(['BTC']);
+  assert(converted.usdtRate === 0.98 && !converted.prices.USDT, 'USDT/USD is fetched from USD sources when USDT is not in the snapshot');
+  assert(Math.abs(converted.prices.BTC.prices['usdt-book'] - 49999.6) < 0.01 && converted.prices.BTC.divergenceBps <= 2 && converted.prices.BTC.sources === 3, 'USDT-quoted books are converted to USD before aggregation');
+  assert(converted.prices.BTC.quotes['usdt-book'] === 'USDT', 'Converted books keep their quote currency');
+  unregisterSource('usd-a');
+  unregisterSource('usd-b');
+  registerSource({ name: 'usd-a', supportedAssets: ['BTC'], fetchPrices: async () => ({ BTC: { price: 50000 } }) });
+  const noRate = await getPriceSnapshot(['BTC']);
+  assert(noRate.usdtRate === null && noRate.prices.BTC.sourceNames.join() === 'usd-a', 'Without a USDT/USD rate, USDT books stay out of the USD median');
+  for (const name of ['usd-a', 'usdt-book']) unregisterSource(name);
+  for (const source of builtins) registerSource(source);
+
+  // --- Data hash tests ---
+  console.log('\n--- Data Hash ---');
+
+  const point = { price: 67389.123456789, sourceNames: ['defillama', 'coingecko'], confidence: 99, divergenceBps: 1 };
+  const hash1 = computeDataHash('BTC', point, 1700000000);
+  assert(/^0x[0-9a-f]{64}$/.test(hash1), 'Hash is 32-byte hex');
+  assert(hash1 === computeDataHash('BTC', { ...point, sourceNames: ['coingecko', 'defillama'] }, 1700000000), 'Source order does not change the hash');
+  assert(hash1 === computeDataHash('BTC', { ...point, price: 67389.123456791 }, 1700000000), 'Float noise below 8 decimals does not change the hash');
+  assert(hash1 !== computeDataHash('BTC', { ...point, confidence: 95 }, 1700000000), 'Confidence is part of the hash');
+  assert(hash1 !== computeDataHash('BTC', { ...point, divergenceBps: 2 }, 1700000000), 'Divergence is part of the hash');
+
+  const preimage = buildPreimage('BTC', point, 1700000000);
+  assert(preimage.hashVersion === HASH_VERSION && preimage.values.version === HASH_VERSION, `Preimage carries hash version v${HASH_VERSION}`);
+  assert(preimage.values.price === '6738912345679', `Price encoded with 8 decimals: ${preimage.values.price}`);
+  assert(ethers.keccak256(preimage.encoded) === hash1, 'keccak256(preimage) reproduces the dataHash');
+  const reencoded = ethers.AbiCoder.defaultAbiCoder().encode(
+    ['uint8', 'string', 'string', 'uint256', 'string[]', 'uint8', 'int16', 'uint256'],
+    [2, 'BTC', 'USD', 6738912345679n, ['coingecko', 'defillama'], 99, 1, 1700000000]
+  );
+  assert(ethers.keccak256(reencoded) === hash1, 'Hash matches an independent abi.encode of the spec');
+  assert(hash1 !== computeDataHash('BTC', { ...point, quote: 'EUR' }, 1700000000) && preimage.values.quote === 'USD', 'Quote currency is part of the hash (USD by default)');
+  const reencodedV1 = ethers.AbiCoder.defaultAbiCoder().encode(
+    ['uint8', 'string', 'uint256', 'string[]', 'uint8', 'int16', 'uint256'],
+    [1, 'BTC', 6738912345679n, ['coingecko', 'defillama'], 99, 1, 1700000000]
+  );
+  assert(computeDataHash('BTC', { ...point, hashVersion: 1 }, 1700000000) === ethers.keccak256(reencodedV1), 'Points recorded under v1 still recompute');
+  try {
+    computeDataHash('BTC', { ...point, hashVersion: 1, quote: 'ETH' }, 1700000000);
+    assert(false, 'v1 refuses non-USD quotes');
+  } catch (e) {
+    assert(/only covers USD/.test(e.message), 'v1 refuses non-USD quotes');
+  }
+
+  // --- Signed responses ---
+  console.log('\n--- Signed Responses ---');
+
+  const domain = buildDomain(84532, '0xF30C7624f5d759e3695738374Ff2D1618E92F12C');
+  const oracleKey = ethers.Wallet.createRandom();
+  const responseSigner = createResponseSigner({ privateKey: oracleKey.privateKey, domain });
+  const signed = { ...point, asset: 'BTC', timestamp: 1700000000, dataHash: hash1 };
+  signed.signature = await responseSigner.signPrice('BTC', signed, 1700000000);
+
+  assert(verifyResponse(signed, { domain, signer: oracleKey.address }).valid, 'Signed price verifies against oracle address');
+  assert(!verifyResponse({ ...signed, price: 70000 }, { domain, signer: oracleKey.address }).valid, 'Tampered price fails verification');
+  assert(!verifyResponse(signed, { domain, signer: ethers.Wallet.createRandom().address }).valid, 'Wrong signer fails verification');
+  assert(!verifyResponse(signed, { domain: buildDomain(1, domain.verifyingContract), signer: oracleKey.address }).valid, 'Signature is bound to the domain');
+
+  const { asset: _a, timestamp: _t, ...listed } = signed;
+  const pricesResponse = { timestamp: 1700000000, prices: { BTC: listed } };
+  const check = verifyResponse(pricesResponse, { domain, signer: oracleKey.address });
+  assert(check.valid && check.checked === 1, 'Verifies /prices-shaped responses');
+  const unsigned = verifyResponse({ timestamp: 1700000000, prices: { BTC: { ...listed, signature: null } } }, { domain, signer: oracleKey.address });
+  assert(!unsigned.valid && /missing signature/.test(unsigned.errors[0]), 'Unsigned price is reported');
+  assert(verifyResponse({ ...signed, prices: { coingecko: 67389, defillama: 67390 } }, { domain, signer: oracleKey.address }).valid, 'Single-price responses with per-source prices verify');
+
+  // --- History store ---
+  console.log('\n--- History Store ---');
+
+  const historyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'molt-history-'));
+  const history = createHistoryStore({ dir: historyDir });
+  const base = 1700006400; // 2023-11-15T00:00:00Z
+  const btcAt = (price, confidence = 99) => ({ price, prices: { coingecko: price }, sources: 2, sourceNames: ['coingecko', 'defillama'], confidence, divergenceBps: 2 });
+  history.append({ timestamp: base - 60, prices: { BTC: btcAt(99) } });
+  history.append({ timestamp: base, prices: { BTC: btcAt(100) } });
+  history.append({ timestamp: base, prices: { BTC: btcAt(555) } });
+  history.append({ timestamp: base + 600, prices: { BTC: btcAt(110, 85) } });
+  history.append({ timestamp: base + 1800, prices: { BTC: btcAt(90) } });
+  history.append({ timestamp: base + 3600, prices: { BTC: btcAt(105), ETH: btcAt(2000) } });
+
+  const atT = await history.at('BTC', base + 700);
+  assert(atT.timestamp === base + 600 && atT.price === 110, 'Returns the latest snapshot at or before T');
+  assert(atT.dataHash === computeDataHash('BTC', btcAt(110, 85), base + 600), 'Historical point keeps the dataHash served at the time');
+  assert((await history.at('BTC', base - 30)).price === 99, 'Looks back across the UTC day boundary');
+  assert(await history.at('BTC', base - 3600) === null, 'Nothing before the first snapshot');
+  assert((await history.range('BTC', base, base)).length === 1, 'Same snapshot is stored once');
+
+  const candles = await history.candles('BTC', base, base + 3600, 3600);
+  assert(candles.length === 2, `Buckets into hourly candles: ${candles.length}`);
+  const [c1] = candles;
+  assert(c1.open === 100 && c1.high === 110 && c1.low === 90 && c1.close === 90 && c1.samples === 3, 'OHLC from recorded prices');
+  assert(c1.minConfidence === 85 && c1.closeDataHash === computeDataHash('BTC', btcAt(90), base + 1800), 'Candle carries min confidence and close dataHash');
+  assert(fs.readdirSync(historyDir).length === 2, 'One append-only file per UTC day');
+  const scanStart = Date.now();
+  const everything = await history.range('BTC', 0, 9e12);
+  assert(everything.length === 5 && Date.now() - scanStart < 1000, 'A range from 1970 past Date\'s limit reads only the day files on disk');
+
+  assert(parseInterval('15m') === 900 && parseInterval('1d') === 86400 && parseInterval('x') === null, 'Parses candle intervals');
+  assert(parseTime('2023-11-15T00:00:00Z') === base && parseTime(String(base)) === base, 'Parses unix and ISO timestamps');
+  fs.rmSync(historyDir, { recursive: true });
+
+  // --- Sealed snapshots ---
+  console.log('\n--- Sealed Snapshots ---');
+
+  const sealedDir = fs.mkdtempSync(path.join(os.tmpdir(), 'molt-sealed-'));
+  const sealedHistory = createHistoryStore({ dir: sealedDir });
+  const snapshotLog = createSnapshotLog({ sign: responseSigner.signPrice, lastId: sealedHistory.lastId, keep: 2 });
+  const raw = { timestamp: base, iso: new Date(base * 1000).toISOString(), prices: { BTC: btcAt(100), ETH: btcAt(2000) } };
+  const [s1, s2] = await Promise.all([snapshotLog.seal(raw), snapshotLog.seal({ ...raw, timestamp: base + 60 })]);
+  assert(s1.id === 1 && s2.id === 2, 'Snapshots get increasing sequence ids');
+  const sealedBtc = s1.prices.BTC;
+  assert(sealedBtc.asset === 'BTC' && sealedBtc.timestamp === base && sealedBtc.snapshotId === 1 && sealedBtc.dataHash === computeDataHash('BTC', btcAt(100), base), 'Derived fields are computed at sealing');
+  assert(verifyResponse(s1, { domain, signer: oracleKey.address }).valid, 'Sealed prices carry a valid signature');
+  assert(Object.isFrozen(s1) && Object.isFrozen(sealedBtc) && Object.isFrozen(sealedBtc.prices), 'Sealed snapshot is deeply frozen');
+  try { sealedBtc.price = 1; } catch (e) { /* strict mode throws */ }
+  assert(sealedBtc.price === 100 && raw.prices.BTC.dataHash === undefined, 'Sealing leaves the input untouched and the result cannot change');
+  assert(snapshotLog.get(1) === s1 && snapshotLog.get(3) === null, 'Recent snapshots are looked up by id');
+
+  await sealedHistory.append(s1);
+  await sealedHistory.append(s2);
+  const s3 = await snapshotLog.seal({ ...raw, timestamp: base + 120 });
+  assert(snapshotLog.get(1) === null && snapshotLog.get(3) === s3, 'Only the most recent snapshots stay in memory');
+  const archived = await sealedHistory.byId(1);
+  assert(archived.id === 1 && archived.prices.BTC.dataHash === sealedBtc.dataHash, 'Older snapshots are found in history by id');
+  assert(await sealedHistory.byId(99) === null, 'Unknown id is not found');
+  const restarted = createSnapshotLog({ lastId: createHistoryStore({ dir: sealedDir }).lastId });
+  assert((await restarted.seal({ ...raw, timestamp: base + 180 })).id === 3, 'Ids resume after the last stored snapshot');
+  fs.rmSync(sealedDir, { recursive: true });
+
+  // --- TWAP / VWAP ---
+  console.log('\n--- TWAP / VWAP ---');
+
+  const sample = (timestamp, price, volume24h, confidence = 99) => ({ timestamp, price, volume24h, confidence, divergenceBps: 5, sourceNames: ['defillama', 'coingecko'] });
+  const full = computeTwap([
+    sample(940, 100, 1000), // in effect at the window start
+    sample(1060, 110, 3000),
+    sample(1120, 120, 1000)
+  ], { from: 1000, to: 1180, maxGapSec: 180 });
+  assert(full.twap === (100 * 60 + 110 * 60 + 120 * 60) / 180, `TWAP weights prices by time in effect: ${full.twap}`);
+  assert(Math.abs(full.vwap - (100 * 1000 + 110 * 3000 + 120 * 1000) / 5000) < 1e-9, `VWAP weights by volume: ${full.vwap}`);
+  assert(full.coverage === 1 && full.gaps.length === 0 && full.samples === 3, 'Full coverage without gaps');
+  assert(full.confidence === 99 && full.sourceNames.join() === 'coingecko,defillama', 'Confidence and sources carried over');
+
+  const gappy = computeTwap([sample(1000, 100), sample(1600, 100)], { from: 1000, to: 1800, maxGapSec: 180 });
+  assert(gappy.gaps.length === 2 && gappy.gaps[0].from === 1180 && gappy.gaps[0].seconds === 420, 'Missing data reported as gaps');
+  assert(gappy.coverage === 0.45 && gappy.confidence === 45, `Confidence drops with coverage: ${gappy.confidence}`);
+  assert(gappy.vwap === null, 'VWAP null without volume');
+  assert(computeTwap([sample(100, 1)], { from: 1000, to: 1800 }) === null, 'No samples in window returns null');
+
+  const label = twapLabel('BTC', 3600);
+  const twapHash = computeDataHash(label, { price: full.twap, sourceNames: full.sourceNames, confidence: full.confidence, divergenceBps: full.divergenceBps }, 1180);
+  assert(label === 'BTC:TWAP:3600' && twapHash !== computeDataHash('BTC', { price: full.twap, sourceNames: full.sourceNames, confidence: 99, divergenceBps: 5 }, 1180), 'TWAP hashes under its own label');
+
+  // --- Price stream ---
+  console.log('\n--- Price Stream ---');
+
+  const fakeClient = () => {
+    const req = new EventEmitter();
+    const res = { chunks: [], writeHead() {}, write(chunk) { this.chunks.push(chunk); }, end() {} };
+    const events = () => res.chunks.join('').split('\n\n')
+      .filter(block => block.includes('event: price'))
+      .map(block => JSON.parse(block.split('data: ')[1]));
+    return { req, res, events };
+  };
+
+  let streamSnapshot = { timestamp: 1, prices: { BTC: { price: 1 }, ETH: { price: 2 } } };
+  let streamFetches = 0;
+  const hub = createStreamHub({
+    getSnapshot: async () => { streamFetches++; return streamSnapshot; },
+    toUpdate: async (asset, info) => ({ price: info.price, dataHash: `hash-${asset}-${info.price}` }),
+    intervalMs: 60000,
+    heartbeatMs: 60000,
+    bufferSize: 3,
+    maxClients: 3
+  });
+
+  const alice = fakeClient();
+  const bob = fakeClient();
+  hub.subscribe(alice.req, alice.res, { assets: ['BTC'] });
+  hub.subscribe(bob.req, bob.res);
+  await hub.refresh();
+  assert(streamFetches === 1, 'Subscribers share one refresh');
+  assert(alice.events().length === 1 && alice.events()[0].asset === 'BTC', 'Subscribers only receive their assets');
+  assert(bob.events().map(e => e.seq).join() === '1,2', 'Events carry increasing sequence numbers');
+  assert(bob.events()[0].dataHash === 'hash-BTC-1', 'Events carry the update payload');
+
+  await hub.refresh();
+  assert(bob.events().length === 2, 'Unchanged snapshot is not re-sent');
+  const carol = fakeClient();
+  hub.subscribe(carol.req, carol.res);
+  assert(!hub.subscribe(fakeClient().req, fakeClient().res), 'Hub rejects clients beyond its limit');
+  carol.req.emit('close');
+
+  streamSnapshot = { timestamp: 2, prices: { BTC: { price: 3 }, ETH: { price: 4 } } };
+  await hub.publish(streamSnapshot);
+  bob.req.emit('close');
+  const resumed = fakeClient();
+  hub.subscribe(resumed.req, resumed.res, { lastSeq: 2 });
+  assert(resumed.events().map(e => e.seq).join() === '3,4', 'Resume replays events after the last seen sequence');
+  const late = fakeClient();
+  hub.subscribe(late.req, late.res, { lastSeq: 0 });
+  assert(late.res.chunks.join('').includes('event: reset'), 'Resume beyond the buffer sends a reset');
+  assert(hub.status().clients === 3 && hub.status().running, 'Loop runs while clients are connected');
+  for (const c of [alice, resumed, late]) c.req.emit('close');
+  assert(!hub.status().running, 'Loop stops when the last client leaves');
+  const fromBeforeRestart = fakeClient();
+  hub.subscribe(fromBeforeRestart.req, fromBeforeRestart.res, { lastSeq: 999 });
+  const restartReset = fromBeforeRestart.res.chunks.join('').match(/event: reset\ndata: (.*)\n/);
+  assert(restartReset && JSON.parse(restartReset[1]).restarted && fromBeforeRestart.events().map(e => e.seq).join() === '2,3,4', 'A sequence from before a restart gets a reset and the whole buffer');
+  fromBeforeRestart.req.emit('close');
+
+  console.log('\n--- Alerts ---');
+
+  let conditionError = null;
+  try { parseCondition({ type: 'move', asset: 'BTC', pct: 2, windowSec: 10 }); } catch (e) { conditionError = e.message; }
+  assert(conditionError && conditionError.includes('windowSec'), 'Invalid conditions are rejected');
+
+  const deliveries = [];
+  let failNext = 0;
+  const alertFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'molt-alerts-')), 'alerts.json');
+  const alertManager = createAlertManager({
+    file: alertFile,
+    deliver: async (url, secret, payload) => {
+      if (failNext > 0) { failNext--; throw new Error('HTTP 500'); }
+      deliveries.push(payload);
+    },
+    baseDelayMs: 1,
+    maxAttempts: 3
+  });
+  let privateError = null;
+  try { alertManager.register({ url: 'http://127.0.0.1/hook', condition: { type: 'price', asset: 'BTC', above: 1 } }, 'a'); } catch (e) { privateError = e.message; }
+  assert(privateError && privateError.includes('private'), 'Private webhook targets are refused');
+
+  const register = (condition) => alertManager.register({ url: 'https://agent.example/hook', condition }, 'tester');
+  const move = register({ type: 'move', asset: 'BTC', pct: 2, windowSec: 600 });
+  const divergence = register({ type: 'divergence', asset: '*', aboveBps: 300 });
+  const depeg = register({ type: 'depeg', asset: 'usdc', bps: 50 });
+  const fg = register({ type: 'fearGreed', crosses: 20, direction: 'below' });
+  assert(move.secret && move.secret.length === 64 && !alertManager.get(move.id, 'wrong'), 'Alerts are managed with their secret');
+  assert(alertManager.assets().sort().join() === 'BTC,USDC', 'Alert assets are exposed for refreshes');
+
+  const alertSnapshot = (timestamp, btc, usdc, fearGreed, divergenceBps = 10) => ({
+    timestamp,
+    prices: { BTC: { price: btc, confidence: 95, divergenceBps }, USDC: { price: usdc, confidence: 95, divergenceBps: 1 } },
+    fearGreed: { value: fearGreed, label: 'x' }
+  });
+  assert(alertManager.evaluate(alertSnapshot(1000, 100000, 1, 25)).length === 0, 'Quiet market fires nothing');
+  let fired = alertManager.evaluate(alertSnapshot(1300, 102500, 0.993, 18, 350));
+  assert(fired.map(f => f.event).sort().join() === 'depeg,divergence,fearGreed,move', 'Move, divergence, depeg and fear & greed cross fire');
+  assert(fired.find(f => f.event === 'move').data.movePct === 2.5, 'Move reports its size');
+  assert(fired.find(f => f.event === 'depeg').data.deviationBps === -70, 'Depeg reports its deviation');
+  fired = alertManager.evaluate(alertSnapshot(1360, 102600, 0.993, 17, 360));
+  assert(fired.length === 0, 'Conditions fire once until they clear');
+  alertManager.evaluate(alertSnapshot(2400, 102600, 1, 17));
+  fired = alertManager.evaluate(alertSnapshot(2460, 102600, 0.99, 17));
+  assert(fired.length === 1 && fired[0].event === 'depeg', 'Cleared conditions re-arm');
+  await alertManager.drain();
+  assert(deliveries.length === 5, 'Fired alerts are delivered');
+
+  failNext = 2;
+  alertManager.evaluate(alertSnapshot(2490, 102600, 1, 17));
+  alertManager.evaluate(alertSnapshot(2520, 102600, 1.01, 17));
+  await alertManager.drain();
+  const log = alertManager.get(depeg.id, depeg.secret).deliveries;
+  assert(log[0].status === 'delivered' && log[0].attempts === 3, 'Failed deliveries are retried');
+  failNext = 5;
+  alertManager.evaluate(alertSnapshot(2580, 102600, 1, 17, 500));
+  alertManager.evaluate(alertSnapshot(2640, 102600, 1, 17, 500));
+  await alertManager.drain();
+  const divergenceLog = alertManager.get(divergence.id, divergence.secret).deliveries;
+  assert(divergenceLog[0].status === 'failed' && divergenceLog[0].lastError === 'HTTP 500', 'Delivery log records exhausted retries');
+
+  const reloaded = createAlertManager({ file: alertFile });
+  assert(reloaded.count() === 4, 'Alerts persist across restarts');
+  assert(alertManager.remove(fg.id, fg.secret) && alertManager.count() === 3, 'Alerts can be deleted');
+
+  const received = await new Promise((resolve, reject) => {
+    const receiver = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        res.end('ok');
+        receiver.close();
+        resolve({ headers: req.headers, body });
+      });
+    });
+    receiver.listen(0, '127.0.0.1', () => {
+      postWebhook(`http://127.0.0.1:${receiver.address().port}/hook`, 'shh', { hello: 1 }, { allowPrivate: true }).catch(reject);
+    });
+  });
+  const expected = signPayload('shh', received.headers['x-moltoracle-timestamp'], received.body);
+  assert(received.headers['x-moltoracle-signature'] === expected, 'Webhooks carry an HMAC-SHA256 signature');
+
+  // A rebinding resolver: public on the first answer, loopback on any later one
+  const hookHits = [];
+  const hookReceiver = http.createServer((req, res) => { hookHits.push(req.headers.host); res.end('ok'); });
+  await new Promise(resolve => hookReceiver.listen(0, '127.0.0.1', resolve));
+  const hookPort = hookReceiver.address().port;
+  let answers = 0;
+  const rebinding = async () => (answers++ === 0 ? [{ address: '192.0.2.10', family: 4 }] : [{ address: '127.0.0.1', family: 4 }]);
+  const rebound = await postWebhook(`http://hooks.rebind.test:${hookPort}/hook`, 'shh', { hello: 1 }, { lookup: rebinding, timeoutMs: 300 }).catch(e => e);
+  assert(rebound instanceof Error && answers === 1 && hookHits.length === 0, 'Webhooks connect to the address that passed the check, not a second DNS answer');
+  const toLoopback = async () => [{ address: '127.0.0.1', family: 4 }];
+  const refused = await postWebhook(`http://hooks.rebind.test:${hookPort}/hook`, 'shh', { hello: 1 }, { lookup: toLoopback }).catch(e => e);
+  assert(/private address 127\.0\.0\.1/.test(refused.message) && hookHits.length === 0, 'Hostnames resolving to private addresses are refused');
+  const pinnedStatus = await postWebhook(`http://hooks.rebind.test:${hookPort}/hook`, 'shh', { hello: 1 }, { lookup: toLoopback, allowPrivate: true });
+  assert(pinnedStatus === 200 && hookHits[0] === `hooks.rebind.test:${hookPort}`, 'The pinned connection keeps the webhook Host header');
+  hookReceiver.close();
+
+  console.log('\n--- API Keys & Quotas ---');
+
+  const storeFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'molt-store-')), 'store.json');
+  const memoryStore = createMemoryStore({ file: storeFile });
+  const testTiers = { anonymous: { perMinute: 2, perDay: 100 }, free: { perMinute: 3, perDay: 4 }, internal: { perMinute: null, perDay: null } };
+  const keyManager = createKeyManager({ store: memoryStore, tiers: testTiers });
+  const issued = await keyManager.issue({ name: 'agent-1', tier: 'free' });
+  assert(/^mo_[0-9a-f]{48}$/.test(issued.key) && issued.tier === 'free', 'Keys are issued with a tier');
+  assert((await keyManager.resolve(issued.key)).id === issued.id, 'Issued keys resolve');
+  assert(!JSON.stringify(await keyManager.list()).includes(issued.key), 'Keys are stored hashed');
+
+  const t0 = Date.UTC(2025, 0, 1, 12, 0, 0);
+  const quotas = [];
+  for (let i = 0; i < 4; i++) quotas.push(await keyManager.consume(`key:${issued.id}`, 'free', t0 + i * 1000));
+  assert(quotas[0].allowed && quotas[0].limit === 3 && quotas[0].remaining === 2 && quotas[0].window === 'minute', 'Quota reports the tightest window');
+  assert(!quotas[3].allowed && quotas[3].retryAfter === 57 && quotas[3].reset === t0 / 1000 + 60, 'Minute quota rejects with Retry-After');
+  const nextMinute = await keyManager.consume(`key:${issued.id}`, 'free', t0 + 60000);
+  assert(nextMinute.allowed && nextMinute.window === 'day' && nextMinute.remaining === 0, 'Rejected requests do not use up the daily quota');
+  const dayOut = await keyManager.consume(`key:${issued.id}`, 'free', t0 + 120000);
+  assert(!dayOut.allowed && dayOut.window === 'day', 'Daily quota applies across minutes');
+  assert((await keyManager.consume('key:ops', 'internal', t0)).limit === null, 'Internal tier is unlimited');
+
+  const storeWrites = () => fs.existsSync(storeFile) && fs.statSync(storeFile).mtimeMs;
+  await memoryStore.flush();
+  const flushedAt = storeWrites();
+  await new Promise(resolve => setTimeout(resolve, 20));
+  await memoryStore.flush();
+  assert(flushedAt && storeWrites() === flushedAt, 'Store file is not rewritten without a change');
+  await memoryStore.set('marker', 1);
+  const flushing = memoryStore.flush();
+  const writtenAtOnce = 'marker' in JSON.parse(fs.readFileSync(storeFile, 'utf8'));
+  await flushing;
+  assert(!writtenAtOnce && JSON.parse(fs.readFileSync(storeFile, 'utf8')).marker.value === 1 && !fs.existsSync(`${storeFile}.tmp`), 'Changes are written asynchronously');
+
+  memoryStore.close();
+  const reopened = createKeyManager({ store: createMemoryStore({ file: storeFile }), tiers: testTiers });
+  assert((await reopened.resolve(issued.key)) && !(await reopened.consume(`key:${issued.id}`, 'free', t0 + 125000)).allowed, 'Keys and counters survive a restart');
+  assert(await reopened.revoke(issued.id) && !(await reopened.resolve(issued.key)), 'Revoked keys stop resolving');
+
+  const [decoded] = parseReply(Buffer.from(encodeCommand(['SET', 'k', 'héllo'])));
+  assert(decoded.join() === 'SET,k,héllo' && parseReply(Buffer.from('$5\r\nab')) === null, 'RESP encodes and waits for complete replies');
+
+  // A minimal in-memory RESP server standing in for Redis; SCAN pages one key at a time
+  const redisData = new Map();
+  const redisTtls = new Map();
+  const redisCommands = [];
+  const redis = net.createServer((socket) => {
+    let pendingBytes = Buffer.alloc(0);
+    socket.on('data', (chunk) => {
+      pendingBytes = Buffer.concat([pendingBytes, chunk]);
+      let parsed;
+      while ((parsed = parseReply(pendingBytes))) {
+        pendingBytes = pendingBytes.subarray(parsed[1]);
+        const [cmd, key, value] = parsed[0];
+        redisCommands.push(cmd);
+        if (cmd === 'GET') socket.write(redisData.has(key) ? `$${Buffer.byteLength(redisData.get(key))}\r\n${redisData.get(key)}\r\n` : '$-1\r\n');
+        else if (cmd === 'SET') { redisData.set(key, value); socket.write('+OK\r\n'); }
+        else if (cmd === 'DEL') { redisData.delete(key); socket.write(':1\r\n'); }
+        else if (cmd === 'EVAL') {
+          const [, , , counter, ttl] = parsed[0];
+          redisData.set(counter, String(parseInt(redisData.get(counter) || '0') + 1));
+          if (!redisTtls.has(counter)) redisTtls.set(counter, parseInt(ttl));
+          socket.write(`:${redisData.get(counter)}\r\n`);
+        } else if (cmd === 'SCAN') {
+          const matching = [...redisData.keys()].filter(k => k.startsWith(parsed[0][3].slice(0, -1)));
+          const at = parseInt(key);
+          const page = matching.slice(at, at + 1);
+          const next = at + 1 < matching.length ? String(at + 1) : '0';
+          socket.write(`*2\r\n$${next.length}\r\n${next}\r\n*${page.length}\r\n` + page.map(k => `$${k.length}\r\n${k}\r\n`).join(''));
+        } else socket.write('-ERR unknown command\r\n');
+      }
+    });
+  });
+  await new Promise(resolve => redis.listen(0, '127.0.0.1', resolve));
+  const redisStore = createRedisStore({ url: `redis://127.0.0.1:${redis.address().port}`, prefix: 'test:' });
+  const redisKeys = createKeyManager({ store: redisStore });
+  const redisIssued = await redisKeys.issue({ name: 'agent-2', tier: 'pro' });
+  assert((await redisKeys.resolve(redisIssued.key)).tier === 'pro' && redisData.has(`test:keyid:${redisIssued.id}`), 'Redis store holds keys under its prefix');
+  const [a, b] = await Promise.all([redisStore.incr('c', 60), redisStore.incr('c', 60)]);
+  assert(a + b === 3 && (await redisKeys.list()).length === 1, 'Redis store pipelines counters and lists keys');
+  assert(redisTtls.get('test:c') === 60 && !redisCommands.includes('INCR') && !redisCommands.includes('EXPIRE'), 'Counters get their expiry in the same atomic command');
+  await redisKeys.issue({ name: 'agent-3', tier: 'free' });
+  assert((await redisKeys.list()).length === 2 && !redisCommands.includes('KEYS'), 'Keys are listed with SCAN, page by page');
+  redisStore.close();
+  redis.close();
+
+  console.log('\n--- Resilient Fetch ---');
+
+  let upstreamHits = 0;
+  const upstream = http.createServer((req, res) => {
+    upstreamHits++;
+    if (req.url === '/hang') return;
+    if (req.url === '/flaky' && upstreamHits % 3 !== 0) { res.statusCode = 503; return res.end('busy'); }
+    if (req.url === '/missing') { res.statusCode = 404; return res.end('{}'); }
+    if (req.url === '/down') { res.statusCode = 500; return res.end('{}'); }
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ ok: true, url: req.url }));
+  });
+  await new Promise(resolve => upstream.listen(0, '127.0.0.1', resolve));
+  const upstreamUrl = `http://127.0.0.1:${upstream.address().port}`;
+  const quick = { retryDelayMs: 1, failureThreshold: 2, cooldownMs: 200 };
+
+  upstreamHits = 0;
+  assert((await fetchJson(`${upstreamUrl}/flaky`, { source: 'test-flaky', ...quick })).ok && upstreamHits === 3, 'Retries 5xx until success');
+  upstreamHits = 0;
+  const status404 = await fetchJson(`${upstreamUrl}/missing`, { source: 'test-missing', ...quick }).catch(e => e);
+  assert(status404.status === 404 && upstreamHits === 1, 'Client errors are not retried');
+  const started = Date.now();
+  const hung = await fetchJson(`${upstreamUrl}/hang`, { source: 'test-hang', timeoutMs: 100, retries: 0 }).catch(e => e);
+  assert(/Timeout/.test(hung.message) && Date.now() - started < 1000, 'Hanging upstream times out');
+
+  upstreamHits = 0;
+  for (let i = 0; i < 2; i++) await fetchJson(`${upstreamUrl}/down`, { source: 'test-down', ...quick, retries: 0 }).catch(() => {});
+  const skipped = await fetchJson(`${upstreamUrl}/down`, { source: 'test-down', ...quick }).catch(e => e);
+  assert(skipped.code === 'CIRCUIT_OPEN' && upstreamHits === 2, 'Open circuit skips the source');
+  assert(getSourceHealth()['test-down'].circuit === 'open' && getSourceHealth()['test-down'].errorRate === 1, 'Health reports the open circuit');
+  await new Promise(resolve => setTimeout(resolve, 250));
+  const probe = await fetchJson(`${upstreamUrl}/down`, { source: 'test-down', ...quick }).catch(e => e);
+  assert(probe.status === 500 && upstreamHits === 3 && getSourceHealth()['test-down'].circuit === 'open', 'Failed half-open probe re-opens without retries');
+  await new Promise(resolve => setTimeout(resolve, 250));
+  assert((await fetchJson(`${upstreamUrl}/ok`, { source: 'test-down', ...quick })).ok, 'Successful probe closes the circuit');
+  const downHealth = getSourceHealth()['test-down'];
+  assert(downHealth.circuit === 'closed' && downHealth.lastSuccess && downHealth.latencyMs.avg !== null, 'Health reports last success and latency');
+
+  const rpcCalls = [];
+  const revert = await call('test-rpc', async () => { rpcCalls.push(1); throw Object.assign(new Error('reverted'), { code: 'CALL_EXCEPTION' }); }, quick).catch(e => e);
+  assert(revert.code === 'CALL_EXCEPTION' && rpcCalls.length === 1, 'Contract reverts are not retried');
+
+  // A call from before the circuit opened finishes while the probe is still out
+  const gate = () => { let release; const promise = new Promise((resolve, reject) => { release = { resolve, reject }; }); return { promise, release }; };
+  const probeQuick = { ...quick, retries: 0, cooldownMs: 100 };
+  const earlier = gate();
+  const earlierCall = call('test-probe', () => earlier.promise, probeQuick).catch(e => e);
+  for (let i = 0; i < 2; i++) await call('test-probe', async () => { throw new Error('down'); }, probeQuick).catch(() => {});
+  await new Promise(resolve => setTimeout(resolve, 120));
+  const slowProbe = gate();
+  const probeCall = call('test-probe', () => slowProbe.promise, probeQuick).catch(e => e);
+  earlier.release.reject(new Error('down'));
+  await earlierCall;
+  await new Promise(resolve => setTimeout(resolve, 120));
+  let secondProbe = false;
+  const blocked = await call('test-probe', async () => { secondProbe = true; return 'ok'; }, probeQuick).catch(e => e);
+  assert(blocked.code === 'CIRCUIT_OPEN' && !secondProbe, 'Only one half-open probe runs, even when an older call finishes during it');
+  slowProbe.release.resolve('ok');
+  assert(await probeCall === 'ok' && getSourceHealth()['test-probe'].circuit === 'closed', 'The probe still closes the circuit');
+  upstream.close();
+
+  console.log('\n--- Upstream Fixtures ---');
+
+  const tapeFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'molt-tape-')), 'upstream.json');
+  const rpcReply = (req) => {
+    const payload = JSON.parse(Buffer.from(req.body).toString('utf8'));
+    const reply = (c) => ({ jsonrpc: '2.0', id: c.id, result: '0x2a' });
+    return { statusCode: 200, statusMessage: 'OK', headers: {}, body: Buffer.from(JSON.stringify(Array.isArray(payload) ? payload.map(reply) : reply(payload))) };
+  };
+  const recorder = createTape({ mode: 'record', file: tapeFile, liveGetUrl: async (req) => rpcReply(req) });
+  let liveCalls = 0;
+  const recordedPrice = await recorder.json('https://api.example.com/price?ids=btc&apikey=s3cret', async () => { liveCalls++; return { btc: 50000 }; });
+  await recorder.json('https://api.example.com/limited', async () => { throw Object.assign(new Error('HTTP 429'), { status: 429 }); }).catch(() => {});
+  const recordReq = new ethers.FetchRequest('https://rpc.example.com');
+  recordReq.getUrlFunc = recorder.getUrl;
+  const recordedRpc = new ethers.JsonRpcProvider(recordReq, 1, { staticNetwork: true });
+  const recordedBlock = await recordedRpc.send('eth_blockNumber', []);
+  assert(recordedPrice.btc === 50000 && liveCalls === 1 && recordedBlock === '0x2a', 'Record mode passes calls through');
+  assert(!fs.existsSync(tapeFile), 'Recording does not write per response');
+  assert(recorder.flush() && !recorder.flush(), 'flush() writes the tape once');
+  const tapeText = fs.readFileSync(tapeFile, 'utf8');
+  assert(tapeText.includes('apikey=REDACTED') && !tapeText.includes('s3cret'), 'Recorded keys redact API keys');
+  assert(JSON.parse(tapeText).entries['RPC rpc.example.com eth_blockNumber []'].result === '0x2a', 'JSON-RPC reads are recorded by host, method and params');
+
+  const replayer = createTape({ mode: 'replay', file: tapeFile, liveGetUrl: async () => { throw new Error('went live'); } });
+  const replayed = await replayer.json('https://api.example.com/price?ids=btc&apikey=other', async () => { throw new Error('went live'); });
+  assert(replayed.btc === 50000, 'Replay answers from the tape whatever the API key');
+  const replayed429 = await replayer.json('https://api.example.com/limited', async () => ({})).catch(e => e);
+  assert(replayed429.status === 429, 'Recorded HTTP errors replay as errors');
+  const noFixture = await replayer.json('https://api.example.com/unknown', async () => ({})).catch(e => e);
+  assert(noFixture.code === 'NO_FIXTURE' && noFixture.noRetry && replayer.misses().length === 1, 'A call without a fixture fails like an outage');
+  assert((await replayer.json('http://127.0.0.1:1/local', async () => ({ local: true }))).local, 'Loopback requests are never replayed');
+  const replayReq = new ethers.FetchRequest('https://rpc.example.com');
+  replayReq.getUrlFunc = replayer.getUrl;
+  const replayedRpc = new ethers.JsonRpcProvider(replayReq, 1, { staticNetwork: true });
+  assert(await replayedRpc.send('eth_blockNumber', []) === '0x2a', 'JSON-RPC reads replay through ethers');
+  const rpcMiss = await replayedRpc.send('eth_gasPrice', []).catch(e => e);
+  assert(/went live/.test(rpcMiss.message), 'Other JSON-RPC methods always go through');
+  assert(replayer.now() === Math.floor(Date.parse(JSON.parse(tapeText).recordedAt) / 1000), 'Replay judges data age at recording time');
+  try {
+    createTape({ mode: 'replay', file: path.join(os.tmpdir(), `molt-no-tape-${process.pid}.json`) });
+    assert(false, 'Replay without a fixture file refuses to start');
+  } catch (e) {
+    assert(/No fixture file/.test(e.message), 'Replay without a fixture file refuses to start');
+  }
+
+  console.log('\n--- Scenario Simulation ---');
+
+  assert(parseScenarios('outage:binance, depeg:usdt:-300, divergence:kraken:BTC:+500').map(s => s.type).join() === 'outage,depeg,divergence', 'Scenario specs parse');
+  for (const bad of ['flood:binance', 'depeg:USDT', 'depeg:USDT:lots', 'divergence:kraken:BTC:10000']) {
+    try {
+      parseScenarios(bad);
+      assert(false, `Rejects scenario ${bad}`);
+    } catch (e) {
+      assert(true, `Rejects scenario ${bad}`);
+    }
+  }
+
+  const simBuiltins = getSources();
+  for (const source of simBuiltins) unregisterSource(source.name);
+  for (const [name, btc] of [['sim-a', 50000], ['sim-b', 50010], ['sim-c', 49990]]) {
+    registerSource({ name, supportedAssets: ['BTC', 'USDT'], fetchPrices: (assets) => call(name, async () => ({ BTC: { price: btc, bid: btc - 1, ask: btc + 1 }, USDT: { price: 1 } }), { retries: 0 }) });
+  }
+  const calm = await getPriceSnapshot(['BTC', 'USDT']);
+  setScenarios('divergence:sim-b:BTC:+500,depeg:USDT:-300,outage:sim-c');
+  assert(getScenarios().join() === 'divergence:sim-b:BTC:500,depeg:USDT:-300,outage:sim-c', 'Active scenarios are listed');
+  const incident = await getPriceSnapshot(['BTC', 'USDT']);
+  assert(calm.prices.BTC.sources === 3 && incident.prices.BTC.sources === 2 && !incident.prices.BTC.sourceNames.includes('sim-c'), 'An outage removes the source');
+  assert(getSourceHealth()['sim-c'].failures === 1 && /simulated outage/.test(getSourceHealth()['sim-c'].lastError), 'Outages are seen by health and circuit breakers');
+  assert(incident.prices.BTC.prices['sim-b'] === 52510.5 && incident.prices.BTC.divergenceBps > 400, 'A divergence moves one source');
+  assert(incident.prices.USDT.price === 0.97 && incident.prices.USDT.sources === 2, 'A depeg moves every source');
+  setScenarios('');
+  assert((await getPriceSnapshot(['BTC'])).prices.BTC.divergenceBps === calm.prices.BTC.divergenceBps, 'Clearing the scenarios restores the replayed data');
+  for (const name of ['sim-a', 'sim-b', 'sim-c']) unregisterSource(name);
+  for (const source of simBuiltins) registerSource(source);
+
+  console.log('\n--- Yields ---');
+
+  const usdcEth = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+  const llamaPools = normalizePools({
+    data: [
+      { pool: 'p1', chain: 'Ethereum', project: 'aave-v3', symbol: 'USDC', tvlUsd: 2e9, apy: 4.2, apyBase: 4.2, apyMean30d: 4.0, apyPct1D: 0.1, underlyingTokens: [usdcEth] },
+      { pool: 'p2', chain: 'Base', project: 'aerodrome-v1', symbol: 'WETH-USDC', tvlUsd: 5e7, apy: 60, apyBase: 10, apyReward: 50, apyMean30d: 12, apyPct1D: 2 },
+      { pool: 'p3', chain: 'Ethereum', project: 'lido', symbol: 'STETH', tvlUsd: 3e10, apy: 3.1, apyBase: 3.1, apyMean30d: 3.0 },
+      { pool: 'dust', chain: 'Ethereum', project: 'tiny', symbol: 'USDC', tvlUsd: 500, apy: 900 }
+    ]
+  });
+  assert(llamaPools.length === 3 && llamaPools[1].apyReward === 50, 'Normalizes pools and drops dust');
+  assert(filterPools(llamaPools).pools.map(p => p.pool).join() === 'p3,p1,p2', 'Sorts by TVL, largest first');
+  assert(filterPools(llamaPools, { asset: 'usdc' }).total === 2, 'Asset matches any leg of the symbol');
+  assert(filterPools(llamaPools, { chain: 'ethereum', project: 'AAVE-V3' }).pools[0].pool === 'p1', 'Filters by chain and project case-insensitively');
+  assert(filterPools(llamaPools, { minTvl: 1e9, limit: 1 }).pools.length === 1, 'Filters by minimum TVL and limits');
+
+  const spiked = verifyPool(llamaPools[2]);
+  assert(spiked.confidence === 60 && spiked.sources === 1 && !spiked.spike, 'Unchecked pool is single-source');
+  assert(verifyPool(llamaPools[1]).spike && /APY SPIKE/.test(verifyPool(llamaPools[1]).warning), 'Flags APY far above its 30-day mean');
+  assert(verifyPool({ ...llamaPools[2], apyPct1D: 12 }).spike, 'Flags a sharp one-day APY jump');
+  const agreeing = verifyPool(llamaPools[0], { source: 'aave-v3', apy: 4.25 });
+  assert(agreeing.divergenceBps === 5 && agreeing.confidence === 99 && agreeing.sourceNames.join() === 'defillama,aave-v3', 'On-chain match gives high confidence');
+  const diverging = verifyPool(llamaPools[0], { source: 'aave-v3', apy: 8.5 });
+  assert(diverging.divergenceBps === 430 && diverging.confidence === 40 && /HIGH DIVERGENCE/.test(diverging.warning), 'On-chain mismatch is flagged');
+
+  assert(Math.abs(rayToApy(10n ** 27n * 5n / 100n) - 5.127) < 0.001, 'Ray APR compounds to APY');
+  const aaveIface = new ethers.Interface(AAVE_V3_POOL_ABI);
+  const rpcReads = [];
+  const fakeRpc = {
+    call: async (tx) => {
+      rpcReads.push(aaveIface.decodeFunctionData('getReserveData', tx.data)[0]);
+      return aaveIface.encodeFunctionResult('getReserveData', [[0, 0, 10n ** 27n * 42n / 1000n, 0, 10n ** 27n * 6n / 100n, 0, 1700000000, 1, ethers.ZeroAddress, ethers.ZeroAddress, ethers.ZeroAddress, ethers.ZeroAddress, 0, 0, 0]]);
+    }
+  };
+  const aave = createAaveV3Adapter({ providerFor: () => fakeRpc });
+  assert(aave.supports(llamaPools[0]) && !aave.supports(llamaPools[1]), 'Aave adapter supports Aave v3 pools with an underlying token');
+  const [checked, unchecked] = await verifyPools([llamaPools[0], llamaPools[1]], [aave]);
+  assert(rpcReads.length === 1 && rpcReads[0] === usdcEth, 'Reads getReserveData for the underlying asset');
+  assert(checked.apys['aave-v3'] > 4.28 && checked.apys['aave-v3'] < 4.3 && checked.borrowApy > 6 && checked.confidence === 99, `Cross-checks against the on-chain supply rate (${checked.divergenceBps}bps)`);
+  assert(unchecked.sources === 1, 'Pools without an adapter are left single-source');
+  await verifyPools([llamaPools[0]], [aave]);
+  assert(rpcReads.length === 1, 'On-chain reads are cached');
+  const [failedCheck] = await verifyPools([llamaPools[0]], [createAaveV3Adapter({ providerFor: () => null })]);
+  assert(failedCheck.confidence === 60 && /ONCHAIN CHECK FAILED/.test(failedCheck.warning), 'Failed on-chain read is reported');
+
+  console.log('\n--- Multi-Chain Gas ---');
+
+  const gweiHex = (g) => ethers.toQuantity(ethers.parseUnits(String(g), 'gwei'));
+  const feeHistory = {
+    oldestBlock: '0x64', // 100
+    baseFeePerGas: [10, 11, 12, 12.5].map(gweiHex), // last entry is the next block
+    gasUsedRatio: [0.5, 0, 0.7],
+    reward: [[1, 2, 3], [0, 0, 0], [1.5, 2.5, 4]].map(r => r.map(gweiHex))
+  };
+  const fees = feeEstimates(feeHistory);
+  assert(fees.baseFee === 12.5 && fees.blockNumber === 102 && fees.blocks === 3, 'Next base fee and latest block from eth_feeHistory');
+  assert(fees.priorityFee.low === 1.25 && fees.priorityFee.standard === 2.25 && fees.priorityFee.fast === 3.5, 'Priority percentiles are medians over non-empty blocks');
+  assert(fees.maxFee.standard === 27.25 && fees.gasPrice.standard === 14.75, 'maxFee allows a doubled base fee; gasPrice pays current fees');
+  const tinyFees = feeEstimates({ oldestBlock: '0x1', baseFeePerGas: ['0x5f5e1', '0x5f5e1'], gasUsedRatio: [0.1], reward: [['0x0', '0x3e8', '0x2710']] });
+  assert(tinyFees.baseFee === 0.000390625 && tinyFees.priorityFee.standard === 0.000001, 'Sub-gwei L2 fees keep wei precision');
+
+  const feeCalls = [];
+  const fakeChainRpc = { send: async (method, params) => { feeCalls.push([method, ...params]); return feeHistory; } };
+  const crossChecked = await fetchChainGas('ethereum', { providerFor: () => fakeChainRpc, etherscan: async () => ({ low: 13, standard: 14.76, fast: 16, baseFee: 12.4, blockNumber: 102, source: 'etherscan' }) });
+  assert(feeCalls[0][0] === 'eth_feeHistory' && feeCalls[0][1] === '0x14' && feeCalls[0][3].join() === '10,50,90', 'Asks for 20 blocks at the 10/50/90th percentiles');
+  assert(crossChecked.chainId === 1 && crossChecked.sourceNames.join() === 'rpc,etherscan' && crossChecked.divergenceBps === 7 && crossChecked.confidence === 99, 'Ethereum is cross-verified with Etherscan');
+  const baseGas = await fetchChainGas('base', { providerFor: () => fakeChainRpc, etherscan: async () => { throw new Error('Etherscan is Ethereum-only'); } });
+  assert(baseGas.chainId === 8453 && baseGas.sources === 1 && baseGas.confidence === 60, 'Other chains come from their RPC alone');
+  const scanOnly = await fetchChainGas('ethereum', { providerFor: () => null, etherscan: async () => ({ low: 1, standard: 2, fast: 3, baseFee: 1.5, blockNumber: 7 }) });
+  assert(scanOnly.gasPrice.standard === 2 && scanOnly.sourceNames.join() === 'etherscan', 'Falls back to Etherscan without an RPC');
+  const allGas = await fetchGas(['ethereum', 'base', 'nowhere'], { providerFor: (chain) => (chain === 'base' ? fakeChainRpc : null), etherscan: async () => null });
+  assert(Object.keys(allGas.chains).join() === 'base', 'Chains without data are left out');
+  assert(allGas.standard === undefined, 'Without Ethereum there are no top-level gas prices');
+  const ethGas = await fetchGas(['ethereum', 'base'], { providerFor: () => fakeChainRpc, etherscan: async () => null });
+  assert(ethGas.low === 13.75 && ethGas.standard === 14.75 && ethGas.fast === 16 && ethGas.baseFee === 12.5 && ethGas.source === 'rpc', 'Ethereum gas stays at the top level for existing /gas clients');
+  assert(await fetchGas(['ethereum'], { providerFor: () => null, etherscan: async () => null }) === null, 'No data at all is null');
+
+  console.log('\n--- Stablecoin Pegs ---');
+
+  assert(severityFor(-10) === 'pegged' && severityFor(60) === 'minor' && severityFor(-250) === 'moderate' && severityFor(900) === 'severe' && severityFor(-1300) === 'critical', 'Severity levels by absolute deviation');
+  assert(assets.getPeggedAssets().USDC === 1 && assets.getPeggedAssets().DAI === 1 && assets.getPeggedAssets().BTC === undefined, 'Registry marks pegged stablecoins');
+  const usdcReadings = verifyReadings([
+    { source: 'coingecko', price: 0.9991 },
+    { source: 'kraken', price: 0.9989, spreadBps: 1, quote: 'USD' },
+    { source: 'okx', price: 0.9997, spreadBps: 1, quote: 'USDT' },
+    { source: 'chainlink', price: 0.9990 }
+  ]);
+  const usdcPeg = pegStatus('USDC', usdcReadings, { peg: 1 });
+  assert(usdcPeg.deviationBps === -10 && usdcPeg.severity === 'pegged' && usdcPeg.warning === null, 'Peg deviation from the cross-verified price');
+  assert(usdcPeg.venues.okx.quote === 'USDT' && usdcPeg.venues.kraken.quote === 'USD' && usdcPeg.venues.okx.deviationBps === -3, 'Per-venue deviation with its quote currency');
+  const depegged = pegStatus('USDC', verifyReadings([{ source: 'coingecko', price: 0.87 }, { source: 'chainlink', price: 0.88 }, { source: 'kraken', price: 0.875 }]));
+  assert(depegged.severity === 'critical' && /DEPEG CRITICAL/.test(depegged.warning), 'Depeg is flagged with its severity');
+
+  const pegs = computePegs(
+    { USDC: usdcReadings, BTC: verifyReadings([{ source: 'coingecko', price: 60000 }]) },
+    { USDC: 1, USDT: 1 },
+    { stablecoins: [{ symbol: 'USDC', circulating: 58e9, circulatingPrevDay: 60e9, circulatingPrevWeek: 50e9 }] }
+  );
+  assert(Object.keys(pegs).join() === 'USDC', 'Pegs only for priced stablecoins');
+  assert(pegs.USDC.supply.change24h.usd === -2e9 && pegs.USDC.supply.change24h.pct === -3.33 && pegs.USDC.supply.change7d.pct === 16, 'Supply changes over 24h and 7d');
+  assert(/SUPPLY OUTFLOW/.test(pegs.USDC.warning), 'Heavy 24h outflow is flagged');
+
+  console.log('\n--- Anomaly Detection ---');
+
+  const detector = createAnomalyDetector({ exemptFrozen: (asset) => asset === 'USDC' });
+  let tick = 1700000000;
+  const feed = (price, source) => ({ source, price });
+  let warmupHeld = 0;
+  for (let i = 0; i < 20; i++) {
+    tick += 60;
+    const p = 50000 * (1 + (i % 2 ? 0.001 : -0.001));
+    warmupHeld += detector.screen('BTC', [feed(p, 'coingecko'), feed(p, 'defillama'), feed(p + 5, 'kraken')], tick).quarantined.length;
+  }
+  assert(warmupHeld === 0, 'Ordinary noise is never quarantined');
+  tick += 60;
+  const wick = detector.screen('BTC', [feed(46000, 'coingecko'), feed(46010, 'defillama'), feed(50010, 'kraken')], tick);
+  assert(wick.quarantined.map(r => r.source).join() === 'coingecko,defillama' && wick.accepted.length === 1, 'A wick two sources report is quarantined');
+  assert(wick.quarantined[0].reasons[0].code === 'ZSCORE_OUTLIER' && wick.quarantined[0].reasons[0].z < -8, 'Quarantine carries a z-score reason code');
+  const afterWick = verifyReadings(wick.accepted, { quarantined: wick.quarantined });
+  assert(afterWick.price === 50010 && afterWick.quarantined.join() === 'coingecko,defillama' && afterWick.prices.coingecko === 46000, 'Aggregation skips quarantined readings but lists them');
+  assert(afterWick.confidence === 40 && afterWick.reasons.filter(r => r.code === 'ZSCORE_OUTLIER').length === 2, `Each quarantined reading costs confidence (${afterWick.confidence})`);
+  tick += 60;
+  assert(detector.screen('BTC', [feed(50020, 'coingecko')], tick).accepted.length === 1, 'Readings back at the prior level are accepted; the wick never was');
+
+  const allHeld = verifyReadings([], { quarantined: [{ ...feed(46000, 'coingecko'), reasons: [{ code: 'ZSCORE_OUTLIER', source: 'coingecko', z: -40 }] }] });
+  assert(allHeld.price === 46000 && allHeld.confidence === 20 && allHeld.reasons.some(r => r.code === 'ALL_SOURCES_QUARANTINED'), 'All-quarantined readings are served at confidence 20');
+
+  const jumpy = createAnomalyDetector();
+  jumpy.screen('ETH', [feed(3000, 'okx')], 1000);
+  const jump = jumpy.screen('ETH', [feed(3600, 'okx')], 1060);
+  assert(jump.quarantined[0].reasons[0].code === 'MAX_MOVE_EXCEEDED' && jump.quarantined[0].reasons[0].moveBps === 2000, 'Moves over the per-interval cap are quarantined');
+  assert(jumpy.screen('ETH', [feed(3610, 'okx')], 1120).accepted.length === 1, 'A move that persists is accepted as the new level');
+  assert(jumpy.screen('ETH', [feed(3615, 'okx')], 1180).accepted.length === 1, 'The new level becomes the baseline');
+
+  const frozen = createAnomalyDetector({ frozenSec: 600, exemptFrozen: (asset) => asset === 'USDC' });
+  let frozenResult;
+  for (let t = 0; t <= 660; t += 60) frozenResult = frozen.screen('SOL', [feed(150, 'binance'), { ...feed(150, 'chainlink'), updatedAt: 1 }], t);
+  assert(frozenResult.quarantined.length === 1 && frozenResult.quarantined[0].reasons[0].code === 'FROZEN_VALUE' && frozenResult.quarantined[0].reasons[0].sinceSec === 660, 'A source stuck on one price is quarantined');
+  for (let t = 0; t <= 660; t += 60) frozenResult = frozen.screen('USDC', [feed(1, 'binance')], t);
+  assert(frozenResult.quarantined.length === 0, 'Pegged assets and on-chain feeds are exempt from the frozen check');
+
+  const coded = verifyReadings([feed(100, 'a'), feed(100.1, 'b'), feed(120, 'c')]);
+  assert(coded.reasons.some(r => r.code === 'OUTLIER_EXCLUDED' && r.source === 'c' && r.bps > 1000) && /OUTLIER EXCLUDED: c/.test(coded.warning), 'Findings are reason codes, with warning as their text');
+
+  console.log('\n--- Multi-Currency Quotes ---');
+
+  const usd = (price, confidence = 99, divergenceBps = 4) => ({ price, confidence, divergenceBps, sourceNames: ['coingecko', 'kraken'], dataHash: computeDataHash('X', { price, confidence, divergenceBps, sourceNames: ['coingecko', 'kraken'] }, 1) });
+  const legs = { BTC: usd(60000), ETH: usd(3000, 85, 60), EUR: usd(1.2, 95, 20) };
+  const cross = crossRate(legs.BTC, legs.EUR);
+  assert(cross.price === 50000 && cross.confidence === 95 && cross.divergenceBps === 24, 'Cross rate through USD takes the weaker leg and adds divergences');
+
+  const derived = priceInQuote('BTC', 'EUR', legs);
+  assert(derived.asset === 'BTC/EUR' && derived.base === 'BTC' && derived.quote === 'EUR' && derived.price === 50000, 'Derives a pair with no direct quotes');
+  assert(derived.sourceNames.join() === CROSS_SOURCE && derived.confidence === 95 && derived.divergenceBps === 24, 'Derived-only price carries its legs\' confidence and divergence');
+  assert(derived.legs.base.dataHash === legs.BTC.dataHash && derived.legs.quote.asset === 'EUR', 'Both legs listed with their dataHash');
+
+  const direct = priceInQuote('ETH', 'BTC', legs, [{ source: 'coinbase', price: 0.05001, quote: 'BTC', spreadBps: 2 }, { source: 'kraken', price: 0.04999, quote: 'BTC', spreadBps: 3 }]);
+  assert(direct.sources === 3 && direct.confidence === 99 && direct.quotes.coinbase === 'BTC', `Direct quotes and the cross rate aggregate as sources: ${direct.confidence}`);
+  const oneDirect = priceInQuote('ETH', 'BTC', legs, [{ source: 'coingecko', price: 0.05 }]);
+  assert(oneDirect.confidence === 85 && oneDirect.divergenceBps === 64, `With one direct quote the legs cap confidence: ${oneDirect.confidence}`);
+  const outvoted = priceInQuote('ETH', 'BTC', { ...legs, ETH: usd(3300, 40, 900) }, [{ source: 'a', price: 0.05 }, { source: 'b', price: 0.05001 }, { source: 'c', price: 0.04999 }]);
+  assert(outvoted.excluded.includes(CROSS_SOURCE) && outvoted.confidence === 94, `A bad leg is outvoted by direct quotes: ${outvoted.confidence}`);
+  assert(priceInQuote('BTC', 'EUR', { BTC: legs.BTC }) === null, 'No cross rate without the quote leg');
+
+  const eurHash = computeDataHash(derived.asset, derived, 1700000000);
+  assert(eurHash !== computeDataHash(derived.asset, { ...derived, quote: 'USD' }, 1700000000), 'A quoted price cannot pass for a USD price');
+  const eurSigner = createResponseSigner({ privateKey: ethers.Wallet.createRandom().privateKey, domain: buildDomain(84532, ethers.ZeroAddress) });
+  const eurResponse = { ...derived, timestamp: 1700000000, dataHash: eurHash, hashVersion: HASH_VERSION };
+  eurResponse.signature = await eurSigner.signPrice(derived.asset, eurResponse, 1700000000);
+  assert(toPriceMessage(derived.asset, eurResponse, 1700000000).asset === 'BTC/EUR' && ethers.verifyTypedData(eurSigner.domain, PRICE_TYPES, toPriceMessage(derived.asset, eurResponse, 1700000000), eurResponse.signature) === eurSigner.address, 'Quoted prices are signed under their pair label');
+
+  console.log('\n--- Market Resolution ---');
+
+  const marketDir = fs.mkdtempSync(path.join(os.tmpdir(), 'molt-markets-'));
+  const marketHistory = createHistoryStore({ dir: path.join(marketDir, 'history') });
+  const opened = 1790000000;
+  const resolveAt = opened + 7200;
+  for (let t = resolveAt - 900; t <= resolveAt; t += 60) {
+    marketHistory.append({ timestamp: t, prices: { BTC: btcAt(100 + (t - resolveAt + 900) / 60), ETH: btcAt(2000, 40) } });
+  }
+  const attested = [];
+  const marketFile = path.join(marketDir, 'markets.json');
+  const marketOptions = {
+    file: marketFile,
+    history: marketHistory,
+    isKnownAsset: (t) => t !== 'NOPE',
+    resolveTimeoutSec: 600,
+    attest: async (batch) => { attested.push(...batch); return batch.map((b, i) => ({ ...b, id: i, txHash: '0xabc', blockNumber: 7 })); }
+  };
+  const marketManager = createMarketManager(marketOptions);
+  const define = (extra) => ({ question: 'Will BTC be above $110?', asset: 'btc', rule: 'spot', above: 110, resolveAt, ...extra });
+
+  const badMarkets = [
+    define({ resolveAt: opened - 1 }),
+    define({ below: 90 }),
+    define({ window: '1h' }),
+    define({ rule: 'median' }),
+    define({ rule: 'twap', window: '30s' }),
+    define({ question: '' })
+  ];
+  assert(badMarkets.every(m => { try { parseMarket(m, { now: opened }); return false; } catch (e) { return true; } }), 'Rejects past, ambiguous and malformed market definitions');
+  assert(parseMarket(define({ rule: 'twap', window: '10m', resolveAt: new Date(resolveAt * 1000).toISOString() }), { now: opened }).window === 600, 'Parses ISO resolution times and interval windows');
+  try {
+    marketManager.register(define({ asset: 'NOPE' }), 'me', opened);
+    assert(false, 'Unknown market asset rejected');
+  } catch (e) {
+    assert(/Unknown asset/.test(e.message), 'Unknown market asset rejected');
+  }
+
+  const spot = marketManager.register(define(), 'me', opened);
+  const twapMarket = marketManager.register(define({ rule: 'twap', window: '10m', below: 120, above: undefined }), 'me', opened);
+  const closeMarket = marketManager.register(define({ rule: 'close', window: '15m', above: 114 }), 'me', opened);
+  const shaky = marketManager.register(define({ asset: 'ETH', above: 1000 }), 'me', opened);
+  const noData = marketManager.register(define({ asset: 'SOL' }), 'me', opened);
+  assert(spot.status === 'open' && spot.comparator === 'above' && spot.disputeSec === 3600 && spot.owner === undefined, 'Registers an open market without exposing its owner');
+  assert(marketManager.assets().join() === 'BTC,ETH,SOL', 'Open markets name the assets to keep recording');
+
+  assert((await marketManager.tick(resolveAt + 30)).length === 0, 'Waits for resolveAt to settle');
+  await marketManager.tick(resolveAt + 60);
+  const proposed = marketManager.get(spot.id);
+  const spotPoint = await marketHistory.at('BTC', resolveAt);
+  assert(proposed.status === 'proposed' && proposed.resolution.outcome === 'yes' && proposed.resolution.value === 115, `Spot rule reads the price at resolveAt: ${proposed.resolution.value}`);
+  assert(proposed.resolution.evidence.snapshot.dataHash === spotPoint.dataHash && proposed.resolution.evidence.snapshot.prices.coingecko === 115, 'Evidence carries per-source prices and the served dataHash');
+  assert(proposed.resolution.outcomeHash === marketManager.preimage(spot.id).outcomeHash && proposed.disputeUntil === resolveAt + 60 + 3600, 'Outcome is committed by its outcomeHash until the dispute window closes');
+  const twapResolved = marketManager.get(twapMarket.id).resolution;
+  const expectedTwap = computeTwap(await marketHistory.range('BTC', resolveAt - 600 - 180, resolveAt), { from: resolveAt - 600, to: resolveAt });
+  assert(twapResolved.outcome === 'yes' && twapResolved.value === expectedTwap.twap, `TWAP rule averages the window: ${twapResolved.value}`);
+  assert(twapResolved.evidenceHashes[0] === computeDataHash(twapLabel('BTC', 600), { ...expectedTwap, price: expectedTwap.twap }, resolveAt), 'TWAP evidence hash matches /twap for the same window');
+  const closed = marketManager.get(closeMarket.id).resolution;
+  assert(closed.outcome === 'no' && closed.value === 114 && closed.evidence.open === 100 && closed.evidence.high === 114, 'Close rule takes the last price before resolveAt');
+  assert(marketManager.get(shaky.id).resolution.outcome === 'invalid' && marketManager.get(shaky.id).resolution.reason === 'LOW_CONFIDENCE', 'Low-confidence data resolves as invalid');
+  assert(marketManager.get(noData.id).status === 'open', 'Keeps retrying while history does not cover resolveAt');
+  await marketManager.tick(resolveAt + 700);
+  assert(marketManager.get(noData.id).resolution.reason === 'NO_DATA', 'Gives up as invalid after the resolve timeout');
+
+  const upheld = await marketManager.dispute(spot.id, 'price looked wrong', resolveAt + 120);
+  assert(upheld.result === 'upheld' && upheld.outcomeHash === proposed.resolution.outcomeHash && marketManager.get(spot.id).disputes.length === 1, 'A dispute re-checks and upholds a correct outcome');
+
+  const recordedAt = (price) => ({ ...btcAt(price), timestamp: resolveAt, dataHash: computeDataHash('BTC', btcAt(price), resolveAt) });
+  let swing = recordedAt(120);
+  const swingManager = createMarketManager({ history: { at: async () => swing } });
+  const swung = swingManager.register(define(), 'me', opened);
+  await swingManager.tick(resolveAt + 60);
+  swing = recordedAt(105);
+  const revised = await swingManager.dispute(swung.id, null, resolveAt + 100);
+  const afterRevision = swingManager.get(swung.id);
+  assert(revised.result === 'revised' && afterRevision.resolution.outcome === 'no' && afterRevision.revisions[0].outcome === 'yes', 'A re-check that disagrees revises the outcome');
+  assert(afterRevision.disputeUntil === resolveAt + 100 + 3600, 'A revision restarts the dispute window');
+
+  const finalTime = resolveAt + 60 + 3600;
+  await marketManager.tick(finalTime);
+  const finalized = marketManager.get(spot.id);
+  assert(finalized.status === 'final' && finalized.finalizedAt === finalTime, 'Finalizes once the dispute window closes');
+  const entry = attested.find(a => a.asset === `MARKET:${spot.id}`);
+  assert(entry && entry.dataHash === finalized.resolution.outcomeHash && entry.price === 11500000000n, 'Final outcome is attested with its outcomeHash');
+  assert(finalized.attestation.txHash === '0xabc' && finalized.attestation.dataHash === finalized.resolution.outcomeHash, 'Attestation recorded on the market');
+  try {
+    await marketManager.dispute(spot.id, null, finalTime + 1);
+    assert(false, 'Final outcomes cannot be disputed');
+  } catch (e) {
+    assert(/dispute window/.test(e.message), 'Final outcomes cannot be disputed');
+  }
+  assert(marketManager.list({ status: 'final' }).length === 4 && marketManager.count().final === 4, 'Lists markets by status');
+
+  const marketsReloaded = createMarketManager({ ...marketOptions, attest: null });
+  assert(marketsReloaded.get(spot.id).resolution.outcomeHash === finalized.resolution.outcomeHash, 'Markets persist across restarts');
+  fs.rmSync(marketDir, { recursive: true });
+
+  console.log('\n--- Client SDK ---');
+
+  const served = async (asset, info, timestamp) => {
+    const hashed = { ...info, asset, timestamp, dataHash: computeDataHash(asset, info, timestamp), hashVersion: HASH_VERSION };
+    return { ...hashed, signature: await responseSigner.signPrice(asset, hashed, timestamp) };
+  };
+  const btcServed = await served('BTC', { ...point, price: 67389.5, sources: 2, prices: { coingecko: 67389, defillama: 67390 } }, 1700000000);
+  const solServed = await served('SOL', { ...point, price: 150, confidence: 40 }, 1700000000);
+  const eurServed = await served('BTC/EUR', { ...point, price: 62100, quote: 'EUR' }, 1700000000);
+  const apiHits = {};
+  let limitedFor = 0;
+  let paymentHeader = null;
+  const api = http.createServer((req, res) => {
+    const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+    apiHits[pathname] = (apiHits[pathname] || 0) + 1;
+    const send = (status, body, headers = {}) => { res.writeHead(status, { 'Content-Type': 'application/json', ...headers }); res.end(JSON.stringify(body)); };
+    if (pathname === '/signer') return send(200, { address: oracleKey.address, domain });
+    if (pathname === '/price/BTC' && searchParams.get('quote') === 'EUR') return send(200, eurServed);
+    if (pathname === '/price/BTC') {
+      if (req.headers['x-api-key'] !== 'k1') return send(401, { error: 'Invalid or revoked API key' });
+      if (apiHits[pathname] <= limitedFor) return send(429, { error: 'Rate limited', retryAfter: 0 }, { 'Retry-After': '0' });
+      return send(200, btcServed);
+    }
+    if (pathname === '/price/SOL') return send(200, solServed);
+    if (pathname === '/price/ETH') return send(200, { ...btcServed, price: 99999 });
+    if (pathname === '/prices') return send(200, { timestamp: 1700000000, prices: { BTC: btcServed, SOL: solServed } });
+    if (pathname === '/tvl') return apiHits[pathname] === 1 ? send(503, { error: 'Quota store unavailable' }) : send(200, { chains: [{ chain: 'Ethereum', tvl: 6e10 }] });
+    if (pathname === '/gas/base') return send(200, { chain: 'base', baseFee: 0.005 });
+    if (pathname === '/snapshot') {
+      if (req.headers['x-payment']) paymentHeader = req.headers['x-payment'];
+      if (!paymentHeader) return send(402, { error: 'Payment required', payment: { price: '0.01', symbol: 'USDC', amount: '10000', recipient: ethers.Wallet.createRandom().address, nonce: ethers.hexlify(ethers.randomBytes(32)), expiresAt: 1900000000, schemes: ['eip3009', 'tx'], eip712: { domain: { name: 'USD Coin', version: '2', chainId: 8453, verifyingContract: ethers.ZeroAddress } } } });
+      return send(200, { timestamp: 1700000000, prices: { BTC: btcServed } });
+    }
+    if (pathname === '/quota') return send(429, { error: 'Rate limited', retryAfter: 3600 }, { 'Retry-After': '3600' });
+    if (pathname === '/alerts' && req.method === 'POST') return send(503, { error: 'Alert store unavailable' });
+    if (pathname === '/markets/slow/dispute') return setTimeout(() => send(200, { id: 'slow', status: 'disputed' }), 200);
+    if (pathname === '/markets' && req.method === 'POST') {
+      let body = '';
+      req.on('data', chunk => body += chunk);
+      return req.on('end', () => send(201, { id: 'm1', question: JSON.parse(body).question }));
+    }
+    send(404, { error: 'Not found' });
+  });
+  await new Promise(resolve => api.listen(0, '127.0.0.1', resolve));
+  const apiUrl = `http://127.0.0.1:${api.address().port}`;
+  const client = createClient({ baseUrl: apiUrl, apiKey: 'k1', signer: oracleKey.address, retryDelayMs: 1 });
+
+  const clientBtc = await client.getPrice('BTC');
+  assert(clientBtc.price === 67389.5 && clientBtc.dataHash === btcServed.dataHash, 'getPrice returns a verified price');
+  assert((await client.getPrice('BTC', { quote: 'EUR' })).asset === 'BTC/EUR', 'Quoted prices verify with the quote in the hash');
+  const tampered = await client.getPrice('ETH').catch(e => e);
+  assert(tampered.code === 'VERIFICATION_FAILED' && /dataHash does not match/.test(tampered.message), 'Tampered prices are rejected by local hash recomputation');
+  const forged = await createClient({ baseUrl: apiUrl, apiKey: 'k1', signer: ethers.Wallet.createRandom().address }).getPrice('BTC').catch(e => e);
+  assert(forged.code === 'VERIFICATION_FAILED' && /signed by/.test(forged.message), 'Prices signed by another key are rejected');
+  const lowConfidence = await createClient({ baseUrl: apiUrl, minConfidence: 90 }).getPrice('SOL').catch(e => e);
+  assert(lowConfidence.code === 'LOW_CONFIDENCE' && lowConfidence.body.confidence === 40, 'Prices below minConfidence are rejected');
+  assert((await client.getPrice('SOL', { minConfidence: 30 })).price === 150, 'minConfidence can be set per call');
+  const someLow = await createClient({ baseUrl: apiUrl, minConfidence: 90 }).getPrices();
+  assert(Object.keys(someLow.prices).join() === 'BTC' && someLow.belowConfidence.join() === 'SOL', 'Price maps leave out assets below minConfidence');
+
+  apiHits['/price/BTC'] = 0;
+  limitedFor = 2;
+  assert((await client.getPrice('BTC')).price === 67389.5 && apiHits['/price/BTC'] === 3, 'Rate-limited calls are retried after Retry-After');
+  const quotaSpent = await client.request('GET', '/quota').catch(e => e);
+  assert(quotaSpent.status === 429 && quotaSpent.retryAfter === 3600 && apiHits['/quota'] === 1, 'A Retry-After beyond maxRetryDelayMs fails at once');
+  assert((await client.getTvl()).chains[0].chain === 'Ethereum' && apiHits['/tvl'] === 2, 'Server errors are retried');
+  const unauthorized = await createClient({ baseUrl: apiUrl, apiKey: 'bad', retryDelayMs: 1 }).getPrice('BTC').catch(e => e);
+  assert(unauthorized.status === 401 && /Invalid or revoked/.test(unauthorized.message), 'Client errors throw with status and message');
+  assert((await client.getGas('base')).baseFee === 0.005, 'getGas reads one chain');
+  assert((await client.createMarket({ question: 'BTC above $70k?' })).id === 'm1', 'POST routes send JSON bodies');
+  const alertDown = await client.createAlert({ url: 'https://example.com/hook', condition: { type: 'price', asset: 'BTC', above: 1 } }).catch(e => e);
+  assert(alertDown.status === 503 && apiHits['/alerts'] === 1, 'POSTs are not retried after a server error');
+  const slowDispute = await createClient({ baseUrl: apiUrl, timeoutMs: 50, retryDelayMs: 1 }).disputeMarket('slow', 'wrong close').catch(e => e);
+  assert(slowDispute instanceof Error && apiHits['/markets/slow/dispute'] === 1, 'POSTs are not retried after a timeout');
+
+  const unpaid = await client.getSnapshot().catch(e => e);
+  assert(unpaid.status === 402 && unpaid.body.payment.price === '0.01', 'Without a payer 402 carries the quote');
+  const tooDear = await createClient({ baseUrl: apiUrl, payer: ethers.Wallet.createRandom(), maxPrice: 0.001 }).getSnapshot().catch(e => e);
+  assert(tooDear.code === 'PRICE_TOO_HIGH' && paymentHeader === null, 'Quotes above maxPrice are not paid');
+  const paidSnapshot = await createClient({ baseUrl: apiUrl, payer: ethers.Wallet.createRandom(), maxPrice: 0.05 }).getSnapshot();
+  assert(paidSnapshot.prices.BTC && JSON.parse(Buffer.from(paymentHeader, 'base64').toString()).scheme === 'eip3009', 'A payer settles 402 quotes with a signed authorization');
+
+  const clientCheck = await client.verify({ timestamp: 1700000000, prices: { BTC: btcServed, SOL: solServed } });
+  assert(clientCheck.valid && clientCheck.checked === 2 && clientCheck.onChain === null, 'verify() checks every price in a map');
+  assert(!(await client.verify({ ...btcServed, confidence: 98 })).valid, 'verify() reports tampered fields');
+  api.close();
+
+  console.log('\n--- Dataset Cache ---');
+
+  let clock = 1000000;
+  let loads = 0;
+  let gasValue = { standard: 10 };
+  let loadFails = false;
+  const datasetCache = createCache({ now: () => clock });
+  datasetCache.define('gas', {
+    ttlMs: 15000,
+    maxStaleMs: 60000,
+    load: async () => {
+      loads++;
+      await new Promise(resolve => setImmediate(resolve));
+      if (loadFails) throw new Error('upstream down');
+      return { ...gasValue };
+    }
+  });
+
+  const [first, second, third] = await Promise.all([datasetCache.get('gas'), datasetCache.get('gas'), datasetCache.get('gas')]);
+  assert(loads === 1 && first.value.standard === 10 && third.value === second.value, 'Concurrent misses share one refresh');
+  assert(first.age === 0 && first.stale === false, 'Fresh data has age 0 and is not stale');
+  clock += 10000;
+  const hit = await datasetCache.get('gas');
+  assert(loads === 1 && hit.age === 10 && !hit.stale, 'Within TTL is served from cache');
+
+  clock += 10000;
+  gasValue = { standard: 12 };
+  const staleHit = await datasetCache.get('gas');
+  assert(staleHit.stale && staleHit.value.standard === 10 && staleHit.age === 20, 'Expired data is served stale at once');
+  await datasetCache.refresh('gas');
+  assert(loads === 2 && (await datasetCache.get('gas')).value.standard === 12, 'Stale read refreshes in the background');
+
+  loadFails = true;
+  clock += 20000;
+  await datasetCache.get('gas');
+  await datasetCache.refresh('gas');
+  const kept = await datasetCache.get('gas');
+  assert(kept.value.standard === 12 && kept.stale && datasetCache.status().gas.lastError === 'upstream down', 'Failed refresh keeps the previous value');
+  clock += 60000;
+  const expired = await datasetCache.get('gas');
+  assert(expired.value === null, 'Data past maxStale is not served');
+
+  loadFails = false;
+  const loadsBefore = loads;
+  datasetCache.startWarming({ intervals: { gas: 20 } });
+  await new Promise(resolve => setTimeout(resolve, 70));
+  datasetCache.stopWarming();
+  assert(loads - loadsBefore >= 3 && datasetCache.peek('gas').standard === 12, `Warming refreshes on a schedule (${loads - loadsBefore} loads)`);
+  const gasStatus = datasetCache.status().gas;
+  assert(gasStatus.ttl === 15 && gasStatus.misses === 4 && gasStatus.staleHits === 3, 'Status reports TTL, hits and misses');
+
+  // --- Upstream source tests (replayed from tests/fixtures/upstream.json unless UPSTREAM_FIXTURES=live) ---
+  console.log(process.env.UPSTREAM_FIXTURES === 'replay' ? '\n--- Source Tests (replayed fixtures) ---' : '\n--- Source Tests (live) ---');
 
   try {
     const cg = await fetchCoinGecko(['BTC', 'ETH']);
@@ -77,6 +1152,11 @@ async function runTests() {
     assert(false, `DeFiLlama failed: ${e.message}`);
   }
 
+  for (const [name, fetchVenue] of [['Binance', fetchBinance], ['Coinbase', fetchCoinbase], ['Kraken', fetchKraken], ['OKX', fetchOKX]]) {
+    const venue = await fetchVenue(['BTC']);
+    assert(venue.BTC && venue.BTC.price > 0 && venue.BTC.spreadBps >= 0, `${name} BTC mid: $${venue.BTC?.price?.toLocaleString()} (${venue.BTC?.spreadBps}bps spread)`);
+  }
+
   try {
     const fg = await fetchFearGreed();
     assert(fg && fg.value >= 0 && fg.value <= 100, `Fear & Greed: ${fg?.value} (${fg?.label})`);
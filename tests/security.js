@@ -1,22 +1,34 @@
 /**
  * MoltOracle Security Tests
- * Verify the server can't be exploited
+ * Verify the server can't be exploited. Starts its own server on port 3042,
+ * replaying tests/fixtures/upstream.json and signing with a throwaway key,
+ * unless SECURITY_BASE points at one.
  */
 
 const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { ethers } = require('ethers');
+const { verifyResponse } = require('../src/signing');
+const { getTrackedAssets, getPeggedAssets, getQuoteCurrencies } = require('../src/assets');
+const { GAS_CHAINS } = require('../src/gas');
 
 let passed = 0;
 let failed = 0;
-const BASE = 'http://localhost:3042';
+const BASE = process.env.SECURITY_BASE || 'http://localhost:3042';
+const servers = [];
+const ADMIN_TOKEN = process.env.SECURITY_BASE ? null : ethers.hexlify(ethers.randomBytes(16));
 
 function assert(condition, msg) {
   if (condition) { passed++; console.log(`  ✅ ${msg}`); }
   else { failed++; console.log(`  ❌ ${msg}`); }
 }
 
-function get(path) {
+function get(path, base = BASE, headers = {}) {
   return new Promise((resolve, reject) => {
-    http.get(`${BASE}${path}`, (res) => {
+    http.get(`${base}${path}`, { headers }, (res) => {
       let data = '';
       res.on('data', chunk => data += chunk);
       res.on('end', () => resolve({ status: res.statusCode, body: data, headers: res.headers }));
@@ -24,10 +36,10 @@ function get(path) {
   });
 }
 
-function request(method, path, body) {
+function request(method, path, body, headers = {}) {
   return new Promise((resolve, reject) => {
     const url = new URL(`${BASE}${path}`);
-    const opts = { hostname: url.hostname, port: url.port, path: url.pathname, method, headers: { 'Content-Type': 'application/json' } };
+    const opts = { hostname: url.hostname, port: url.port, path: url.pathname, method, headers: { 'Content-Type': 'application/json', ...headers } };
     const req = http.request(opts, (res) => {
       let data = '';
       res.on('data', chunk => data += chunk);
@@ -39,8 +51,46 @@ function request(method, path, body) {
   });
 }
 
+// Start a replaying server and wait until it answers /health
+async function startServer(port = 3042, env = {}) {
+  const base = `http://localhost:${port}`;
+  servers.push(spawn(process.execPath, [path.join(__dirname, '..', 'src', 'server.js')], {
+    env: {
+      ...process.env,
+      PORT: String(port),
+      DATA_DIR: fs.mkdtempSync(path.join(os.tmpdir(), 'molt-security-')),
+      UPSTREAM_FIXTURES: process.env.UPSTREAM_FIXTURES || 'replay',
+      CACHE_WARM: '0',
+      ADMIN_TOKEN,
+      ORACLE_PRIVATE_KEY: ethers.Wallet.createRandom().privateKey,
+      ORACLE_RPC_URL: 'http://127.0.0.1:9', // nothing listens: attestations fail, responses are still signed
+      ...env
+    },
+    stdio: 'ignore'
+  }));
+  for (let i = 0; i < 100; i++) {
+    const up = await get('/health', base).then(() => true, () => false);
+    if (up) return base;
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  throw new Error(`Server did not start on port ${port}`);
+}
+
+function finish(code) {
+  for (const server of servers) server.kill();
+  process.exit(code);
+}
+
 async function runSecurityTests() {
   console.log('\n🔐 MoltOracle Security Tests\n');
+  if (!process.env.SECURITY_BASE) await startServer();
+
+  // An internal key on our own server, so the longer sweeps below are not rate limited
+  let keyHeaders = {};
+  if (ADMIN_TOKEN) {
+    const issued = await request('POST', '/admin/keys', { name: 'security sweep', tier: 'internal' }, { Authorization: `Bearer ${ADMIN_TOKEN}` });
+    keyHeaders = { 'X-API-Key': JSON.parse(issued.body).key };
+  }
 
   // --- Input validation ---
   console.log('--- Input Validation ---');
@@ -62,6 +112,10 @@ async function runSecurityTests() {
   const r4 = await get(`/price/${longAsset}`);
   assert(r4.status === 404 || r4.status === 414 || JSON.parse(r4.body).error, 'Long input handled');
 
+  // Unbounded history range: few candles, decades of day files
+  const wide = await get('/history/BTC?from=0&interval=10000d');
+  assert(wide.status === 400 && /Range too wide/.test(JSON.parse(wide.body).error), 'History range is capped');
+
   // --- No write endpoints ---
   console.log('\n--- No Unauthorized Write ---');
 
@@ -74,6 +128,32 @@ async function runSecurityTests() {
   const r7 = await request('PUT', '/snapshot', { data: 'fake' });
   assert(r7.status === 404 || r7.status === 405, 'PUT blocked');
 
+  // --- Webhook targets: only public unicast addresses ---
+  console.log('\n--- Webhook SSRF ---');
+
+  const condition = { type: 'price', asset: 'BTC', above: 1 };
+  const specialTargets = {
+    multicast: '224.0.0.251',
+    benchmarking: '198.18.0.1',
+    reserved: '240.0.0.1',
+    broadcast: '255.255.255.255',
+    documentation: '192.0.2.10',
+    'carrier-grade NAT': '100.64.0.1',
+    'IPv6 multicast': '[ff02::1]',
+    'IPv6 documentation': '[2001:db8::1]',
+    'IPv6 unique local': '[fd00::1]',
+    'IPv4-mapped IPv6': '[::ffff:198.18.0.1]',
+    NAT64: '[64:ff9b::a00:1]'
+  };
+  for (const [kind, host] of Object.entries(specialTargets)) {
+    const hook = await request('POST', '/alerts', { url: `http://${host}/hook`, condition }, keyHeaders);
+    assert(hook.status === 400 && /private address/.test(JSON.parse(hook.body).error), `Webhook to ${kind} address ${host} refused`);
+  }
+  if (ADMIN_TOKEN) {
+    const publicHook = await request('POST', '/alerts', { url: 'http://[2606:4700:4700::1111]/hook', condition: { ...condition, above: 1e12 } }, keyHeaders);
+    assert(publicHook.status === 201, 'Webhook to a public address accepted');
+  }
+
   // --- No sensitive data leakage ---
   console.log('\n--- No Data Leakage ---');
 
@@ -110,6 +190,46 @@ async function runSecurityTests() {
   const btc2 = JSON.parse(r12.body);
   assert(btc.dataHash === btc2.dataHash, 'Hash is deterministic (same data = same hash)');
 
+  // A served price, per-source "prices" map included, verifies against /signer
+  const signer = await get('/signer');
+  if (signer.status === 200) {
+    const { address, domain } = JSON.parse(signer.body);
+    const check = verifyResponse(btc, { domain, signer: address });
+    assert(check.valid && check.checked === 1, `Signed /price/BTC verifies${check.errors.length ? `: ${check.errors.join('; ')}` : ''}`);
+    assert(!verifyResponse({ ...btc, price: btc.price * 1.01 }, { domain, signer: address }).valid, 'Tampered /price/BTC fails verification');
+  } else {
+    console.log('  (response signing disabled on this server)');
+  }
+
+  // Per-source staleness survives next to the cache flag
+  if (!process.env.SECURITY_BASE) {
+    const strictBase = await startServer(3043, { CHAINLINK_MAX_AGE: '1' });
+    const strict = JSON.parse((await get('/price/BTC', strictBase)).body);
+    assert(Array.isArray(strict.stale) && strict.stale.includes('chainlink') && typeof strict.cacheStale === 'boolean', `Stale Chainlink reading is listed in /price/BTC (stale: ${JSON.stringify(strict.stale)})`);
+  }
+
+  // --- Offline replay: every upstream call the routes make has a fixture (a recording run records them all) ---
+  console.log('\n--- Offline Replay ---');
+
+  const upstream = JSON.parse((await get('/health')).body).upstream;
+  if (upstream.mode !== 'live' && ADMIN_TOKEN) {
+    const routes = ['/snapshot', '/prices', '/fear-greed', '/tvl', '/stablecoins', '/gas', '/yields'];
+    for (const symbol of Object.keys(getPeggedAssets())) routes.push(`/stablecoins/${symbol}/peg`);
+    for (const chain of GAS_CHAINS) routes.push(`/gas/${chain}`);
+    for (const asset of getTrackedAssets()) {
+      for (const quote of getQuoteCurrencies()) if (asset !== quote) routes.push(`/price/${asset}?quote=${quote}`);
+    }
+    const failed = [];
+    for (const route of routes) {
+      if ((await get(route, BASE, keyHeaders)).status !== 200) failed.push(route);
+    }
+    const { misses = [] } = JSON.parse((await get('/health')).body).upstream;
+    assert(failed.length === 0, `Every data route answers from the fixture${failed.length ? `: ${failed.join(', ')} failed` : ''}`);
+    assert(misses.length === 0, `No replay misses${misses.length ? `: ${misses.join('; ')}` : ''}`);
+  } else {
+    console.log('  (server is not using fixtures)');
+  }
+
   // --- No server info leakage ---
   console.log('\n--- Server Hardening ---');
   assert(!r8.headers['x-powered-by'] || r8.headers['x-powered-by'] !== 'Express', 'X-Powered-By not default Express');
@@ -119,7 +239,10 @@ async function runSecurityTests() {
   console.log(`Security: ${passed} passed, ${failed} failed`);
   console.log(`${'='.repeat(40)}\n`);
 
-  process.exit(failed > 0 ? 1 : 0);
+  finish(failed > 0 ? 1 : 0);
 }
 
-runSecurityTests();
+runSecurityTests().catch((e) => {
+  console.error(e.message);
+  finish(1);
+});